@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+const { run } = require("../lib/cli");
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
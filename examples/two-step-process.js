@@ -71,9 +71,9 @@ async function twoStepProcessExample() {
   } catch (error) {
     console.error("[ERROR] Two-step process failed:", error.message);
 
-    if (error.message.includes("Amount too small")) {
+    if (error instanceof lnurlPay.AmountOutOfRangeError) {
       console.log("[HINT] Try increasing the amount or using POS mode");
-    } else if (error.message.includes("Invalid Lightning address")) {
+    } else if (error.code === "INVALID_LNURL") {
       console.log("[HINT] Check the Lightning address format");
     }
   }
@@ -1,27 +1,302 @@
 declare module "@bringinxyz/lnurl-pay" {
+  export type FetchGet = (request: {
+    url: string;
+    params?: Record<string, any>;
+    signal?: AbortSignal; // Fires on timeout or caller abort
+    headers?: Record<string, string>; // Set by createTransport
+    redirect?: "follow" | "error"; // "error" when a policy checked the URL
+    lookup?: (
+      hostname: string,
+      options: { family?: number; all?: boolean },
+      callback: (...args: any[]) => void
+    ) => void; // dns.lookup answering with the addresses a policy checked
+  }) => Promise<any>;
+
+  export interface TransportOptions {
+    retries?: number; // Retries after the first attempt (default: 2)
+    minDelay?: number; // Backoff before the first retry in ms (default: 250)
+    maxDelay?: number; // Backoff cap in ms (default: 5000)
+    maxRetryAfter?: number; // Longest Retry-After to wait for in ms (default: 30000)
+    headers?: Record<string, string>;
+    userAgent?: string;
+    fetchGet?: FetchGet; // Single request function (default: fetch, then axios, then node:http)
+  }
+
+  export interface CacheEntry {
+    params: PayServiceParams;
+    fetchedAt: number; // ms since epoch
+    staleAt: number; // Refreshed in the background after this
+    expiresAt: number; // Not served after this
+  }
+
+  export interface CacheStorage {
+    get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+    set(key: string, entry: CacheEntry): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+  }
+
+  export interface ParamsCacheOptions {
+    ttl?: number; // Time entries stay fresh in ms (default: 60000)
+    staleWhileRevalidate?: number; // Time stale entries are served while refreshing (default: 0)
+    storage?: CacheStorage; // Default: in-memory LRU
+    maxEntries?: number; // Size of the default storage (default: 500)
+    now?: () => number;
+  }
+
+  export interface ParamsCache {
+    ttl: number;
+    staleWhileRevalidate: number;
+    storage: CacheStorage;
+    get(
+      url: string,
+      posMode: boolean,
+      load: (background: boolean) => Promise<PayServiceParams>
+    ): Promise<PayServiceParams>;
+    peek(url: string, posMode: boolean): Promise<PayServiceParams | undefined>; // Unexpired entry, without loading
+    invalidate(lnUrlOrAddress: string): Promise<void>;
+    settle(): Promise<void>;
+  }
+
+  export interface ResolvedLnurl {
+    url: string; // Endpoint that will be queried
+    type: "address" | "lnurl" | "lud17" | "url";
+    tag: string | null; // LNURL tag implied by a LUD-17 scheme
+    domain: string;
+    address: { username: string; domain: string } | null;
+  }
+
+  export type Network = "bitcoin" | "testnet" | "signet" | "regtest" | "simnet";
+
+  export interface RoutingHintHop {
+    pubkey: string;
+    shortChannelId: string; // block x tx x output
+    feeBaseMsat: number;
+    feeProportionalMillionths: number;
+    cltvExpiryDelta: number;
+  }
+
+  export interface DecodedInvoice {
+    paymentRequest: string;
+    network: Network;
+    amountMsat: string | null; // Millisatoshis as a decimal string
+    amountSat: number | null; // Whole satoshis, null when not exact
+    timestamp: number; // Unix seconds
+    expiry: number; // Seconds after timestamp
+    expiresAt: number; // Unix seconds
+    paymentHash: string;
+    paymentSecret: string | null;
+    description: string | null;
+    descriptionHash: string | null;
+    payeeNodeKey: string;
+    minFinalCltvExpiry: number;
+    routingHints: RoutingHintHop[][];
+    features: number[]; // Set feature bits
+    metadata: string | null;
+    signature: string;
+    recoveryId: number;
+    hasValidDescriptionHash?: boolean; // Set by verifyInvoice
+  }
+
+  export interface VerifyInvoiceOptions {
+    msats: number | string | bigint; // Requested amount in millisatoshis
+    tolerance?: number; // Accepted deviation from msats as a fraction (default: 0)
+    network?: Network;
+    now?: number; // Unix seconds
+    metadata?: string; // Raw metadata string the invoice must commit to
+    descriptionHash?: string; // Expected description_hash, instead of metadata
+    validateDescriptionHash?: boolean; // Throw (default) or only flag a mismatch
+    payees?: string[]; // Node pubkeys allowed to issue the invoice
+  }
+
+  export type SuccessActionResult =
+    | { tag: "message"; message: string }
+    | { tag: "url"; description: string; url: string }
+    | { tag: "aes"; description: string; plaintext: string };
+
+  export type AmountUnit = "msat" | "sat" | "btc";
+
+  // Whole msats, or a decimal value in a unit: { value: "0.0001", unit: "btc" }
+  export type Amount =
+    | number
+    | bigint
+    | string
+    | { value: string | number; unit: AmountUnit };
+
+  export interface FiatAmount {
+    amount: number | string;
+    currency: string; // e.g. "EUR"
+    native?: boolean; // Use the service's own conversion when advertised (default: true)
+    tolerance?: number; // Invoice amount deviation accepted from service conversions (default: 0.01)
+  }
+
+  export interface RateQuote {
+    rate: number; // Price of one bitcoin in the currency
+    timestamp?: number; // ms since epoch (default: now)
+    spread?: number; // Fraction added to converted amounts (default: 0)
+  }
+
+  export interface RateProvider {
+    getRate(
+      currency: string,
+      options: { signal?: AbortSignal }
+    ): RateQuote | Promise<RateQuote>;
+  }
+
+  export interface StaticRateProvider extends RateProvider {
+    setRate(
+      currency: string,
+      rate: number,
+      timestamp?: number
+    ): StaticRateProvider;
+  }
+
+  export interface FiatConversion {
+    amount: string;
+    currency: string;
+    msats: string; // Invoice amount
+    source: "service" | "rateProvider";
+    rate: number; // Price of one bitcoin used
+    rateTimestamp: number; // ms since epoch
+    spread: number | null; // null when the service converted
+  }
+
+  export interface ResolutionPolicyOptions {
+    allowDomains?: string[]; // Domains and their subdomains
+    denyDomains?: string[]; // Domains and their subdomains, wins over allowDomains
+    devHosts?: string[]; // Allowed over HTTP and on private addresses
+    requireHttps?: boolean; // Default: true
+    blockPrivateAddresses?: boolean; // Default: true
+    lookup?: (
+      hostname: string
+    ) => Promise<Array<{ address: string; family?: number }>>;
+  }
+
+  export interface ResolutionPolicy {
+    checkUrl(url: string | URL): URL; // Scheme and domain rules, no DNS
+    checkAddress(url: string | URL): Promise<URL>; // Also resolves the host
+    wrap(fetchGet: FetchGet): FetchGet;
+  }
+
+  export type PolicyRule =
+    | "invalid-url"
+    | "https-required"
+    | "domain-denied"
+    | "domain-not-allowed"
+    | "dns-failed"
+    | "private-address";
+
+  export type PayeePinMap = Record<string, string | string[]>; // "user@domain" or "domain" (with a dot) to node pubkeys
+
+  export interface PayeePins {
+    getPayees(resolved: ResolvedLnurl): string[] | null; // Address pin first, then the closest domain
+    setPayees(key: string, pubkeys: string | string[]): PayeePins;
+    deletePayees(key: string): boolean;
+    toJSON(): Record<string, string[]>;
+  }
+
+  export interface PayCurrency {
+    code: string;
+    name: string;
+    symbol: string;
+    decimals: number;
+    multiplier: number; // msats per smallest unit
+    minSendable: number | null; // Smallest units
+    maxSendable: number | null; // Smallest units
+    convertible: boolean;
+  }
+
   export interface LnurlPayOptions {
     lnUrlOrAddress: string;
-    tokens: number;
+    tokens?: number; // Amount in sats
+    amount?: Amount; // Amount in msats or with a unit, instead of tokens
+    fiat?: FiatAmount; // Fiat amount, instead of tokens
+    rateProvider?: RateProvider; // For currencies the service doesn't convert
     comment?: string;
-    posMode?: boolean; // NEW parameter for POS mode
+    payerData?: PayerData; // LUD-18
+    posMode?: boolean | "auto"; // "auto": POS only below the standard minimum
+    checkPosLimits?: boolean; // Fetch the standard params to set posLimitsApplied
     onionAllowed?: boolean;
-    fetchGet?: (url: string) => Promise<any>;
-    timeout?: number; // Request timeout in milliseconds
+    allowInsecure?: boolean; // Plain HTTP to clearnet hosts, e.g. a local test service
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy; // Checks params, callback and success action URLs
+    payeePins?: PayeePins | PayeePinMap; // Pinned merchants only accept invoices from their nodes
+    timeout?: number; // Timeout per request in milliseconds
+    totalTimeout?: number; // Timeout for both requests together
+    signal?: AbortSignal;
+    cache?: ParamsCache;
+    network?: Network; // Network the invoice must be for (default: bitcoin)
+    validateDescriptionHash?: boolean; // Reject (default) or only flag a mismatch
+  }
+
+  export interface PayerDataField {
+    mandatory: boolean;
+  }
+
+  export interface PayerDataSpec {
+    name?: PayerDataField;
+    pubkey?: PayerDataField;
+    identifier?: PayerDataField;
+    email?: PayerDataField;
+    auth?: PayerDataField & { k1?: string };
+  }
+
+  export interface PayerData {
+    name?: string;
+    pubkey?: string; // Compressed secp256k1 public key (hex)
+    identifier?: string;
+    email?: string;
+    auth?: { key: string; k1: string; sig: string };
+  }
+
+  export interface MetadataImage {
+    mime: "image/png" | "image/jpeg";
+    base64: string;
+    dataUri: string; // data:image/png;base64,...
+  }
+
+  export interface ParsedMetadata {
+    description: string; // text/plain
+    longDescription: string | null; // text/long-desc
+    image: MetadataImage | null;
+    identifier: string | null; // text/identifier
+    email: string | null; // text/email
+    tags: Array<[string, string]>; // Every entry in order, unknown types included
+    warnings: string[]; // Tolerated problems, e.g. a dropped oversized image
+  }
+
+  export interface ParseMetadataOptions {
+    maxImageSize?: number; // Bytes after decoding, larger images are dropped (default: 131072)
   }
 
   export interface PayServiceParams {
     callback: string;
     fixed: boolean;
-    min: number;
-    max: number;
+    min: number; // sats, rounded up
+    max: number; // sats, rounded down
+    minSendable?: number; // msats
+    maxSendable?: number; // msats
     domain: string;
-    metadata: any[];
+    metadata: Array<[string, string]>;
     metadataHash: string;
-    identifier: string;
-    description: string;
-    image: string;
+    identifier: string; // text/identifier, or ""
+    description: string; // text/plain
+    longDescription: string | null; // text/long-desc
+    email: string | null; // text/email
+    image: string; // Image data URI, or ""
+    metadataWarnings?: string[]; // Tolerated metadata problems
     commentAllowed: number;
+    payerData?: PayerDataSpec | null; // LUD-18 fields the service asks for
+    currencies?: PayCurrency[]; // Fiat currencies the service converts
+    allowsNostr?: boolean; // NIP-57 zaps supported
+    nostrPubkey?: string | null; // Key the service signs zap receipts with
+    rawMetadata?: string; // Metadata string exactly as sent by the service
     rawData?: any;
+    posMode?: boolean; // Whether the params were requested in POS mode
+    posLimitsApplied?: boolean | null; // POS minimum below the standard one (null: unknown)
+    standardMin?: number | null; // Standard minimum in sats (POS mode only)
+    fetchedAt?: number; // Set for params from a cache
+    expiresAt?: number; // Cached params are rejected after this
+    fromCache?: boolean;
   }
 
   export interface InvoiceResponse {
@@ -29,30 +304,415 @@ declare module "@bringinxyz/lnurl-pay" {
     params: PayServiceParams;
     successAction?: any;
     rawData: any;
+    decodedInvoice: DecodedInvoice;
     hasValidAmount: boolean;
     hasValidDescriptionHash: boolean;
-    validatePreimage: () => boolean;
+    validatePreimage: (preimage: string) => boolean;
+    processSuccessAction: (preimage?: string) => SuccessActionResult | null;
+    verify?: string; // LUD-21 verify URL
+    fiat?: FiatConversion; // Set for fiat amounts
+    mode: "standard" | "pos"; // Mode the invoice was requested in
+    modeReason: PosModeReason;
   }
 
+  export type PosModeReason =
+    | "requested" // posMode was true or false
+    | "below-standard-minimum" // posMode "auto" fell back to POS
+    | "within-standard-limits"; // posMode "auto" kept standard mode
+
   export interface InvoiceWithServiceParamsResponse {
     invoice: string;
     successAction?: any;
     rawData: any;
+    decodedInvoice: DecodedInvoice;
+    hasValidAmount: boolean;
+    hasValidDescriptionHash: boolean;
+    validatePreimage: (preimage: string) => boolean;
+    processSuccessAction: (preimage?: string) => SuccessActionResult | null;
+    verify?: string; // LUD-21 verify URL
+    fiat?: FiatConversion; // Set for fiat amounts
+  }
+
+  export interface PaymentStatus {
+    settled: boolean;
+    preimage: string | null; // Checked against the invoice payment hash
+    pr: string;
+  }
+
+  export interface VerifyPaymentOptions {
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy; // Checks the verify URL
+    timeout?: number;
+    deadline?: number;
+    signal?: AbortSignal;
   }
 
+  export interface PaymentProgress {
+    attempt: number;
+    settled: boolean;
+    elapsed: number; // ms since polling started
+    expiresAt: number; // Invoice expiry (ms since epoch)
+    error?: NetworkError; // Failed check, polling continues
+  }
+
+  export interface WaitForPaymentOptions {
+    interval?: number; // Delay between checks in ms (default: 2000)
+    timeout?: number; // Default: until the invoice expires
+    requestTimeout?: number; // Timeout of each check in ms (default: 30000)
+    signal?: AbortSignal;
+    onProgress?: (progress: PaymentProgress) => void;
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy;
+  }
+
+  export type VerifiableInvoice = Pick<InvoiceResponse, "invoice" | "verify"> &
+    Partial<Pick<InvoiceResponse, "decodedInvoice" | "params">>;
+
   export interface ServiceParamsOptions {
     lnUrlOrAddress: string;
     posMode?: boolean;
+    checkPosLimits?: boolean; // Fetch the standard params to set posLimitsApplied
     onionAllowed?: boolean;
-    fetchGet?: (url: string) => Promise<any>;
+    allowInsecure?: boolean; // Plain HTTP to clearnet hosts, e.g. a local test service
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy;
     timeout?: number;
+    deadline?: number; // Overall deadline (ms since epoch)
+    signal?: AbortSignal;
+    standardParams?: PayServiceParams; // Skips refetching standard limits in POS mode
+    cache?: ParamsCache;
   }
 
   export interface InvoiceWithServiceParamsOptions {
     params: PayServiceParams;
-    tokens: number;
+    tokens?: number; // Amount in sats
+    amount?: Amount; // Amount in msats or with a unit, instead of tokens
+    fiat?: FiatAmount; // Fiat amount, instead of tokens
+    rateProvider?: RateProvider; // For currencies the service doesn't convert
     comment?: string;
+    payerData?: PayerData; // LUD-18
+    nostr?: string; // Serialized NIP-57 zap request
+    onionAllowed?: boolean;
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy;
+    timeout?: number;
+    deadline?: number; // Overall deadline (ms since epoch)
+    signal?: AbortSignal;
+    network?: Network;
+    validateDescriptionHash?: boolean;
+    payees?: string[]; // Node pubkeys allowed to issue the invoice
+  }
+
+  export interface NostrEvent {
+    id?: string;
+    pubkey?: string;
+    created_at: number;
+    kind: number;
+    tags: string[][];
+    content: string;
+    sig?: string;
+  }
+
+  export interface NostrSigner {
+    getPublicKey(): Promise<string>; // x-only public key (hex)
+    signEvent(event: NostrEvent): Promise<NostrEvent>; // Sets pubkey, id and sig
+  }
+
+  export interface ZapInvoiceOptions {
+    lnUrlOrAddress: string;
+    tokens?: number; // Amount in sats
+    amount?: Amount; // Whole msats or with a unit, instead of tokens
+    zapRequest?: NostrEvent; // Signed kind 9734 event, sent as is
+    signer?: NostrSigner; // Builds and signs the zap request instead
+    recipientPubkey?: string; // Required with a signer
+    relays?: string[]; // Required with a signer
+    eventId?: string; // Zapped event
+    comment?: string; // Zap request content
+    posMode?: boolean;
+    onionAllowed?: boolean;
+    allowInsecure?: boolean; // Plain HTTP to clearnet hosts, e.g. a local test service
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy;
+    payeePins?: PayeePins | PayeePinMap;
     timeout?: number;
+    totalTimeout?: number;
+    signal?: AbortSignal;
+    cache?: ParamsCache;
+    network?: Network;
+    validateDescriptionHash?: boolean;
+  }
+
+  export interface ZapInvoiceResponse extends InvoiceResponse {
+    zapRequest: NostrEvent; // Signed zap request the invoice commits to
+  }
+
+  export interface PayHandlerInvoiceRequest<User = any> {
+    user: User;
+    username: string;
+    msats: number;
+    descriptionHash: string; // sha256 of the exact metadata string, or of zapRequest
+    metadata: string;
+    comment?: string;
+    posMode: boolean;
+    zapRequest?: string; // NIP-57 zap request JSON as received
+    req: any;
+  }
+
+  export interface LnurlPayHandlerOptions<User = any> {
+    lookupUser: (username: string, req: any) => Promise<User | null>;
+    createInvoice: (
+      request: PayHandlerInvoiceRequest<User>
+    ) => Promise<string | { pr: string; successAction?: any; verify?: string }>;
+    minSendable: number; // msats
+    maxSendable: number; // msats
+    posMinSendable?: number; // msats, used for pos=true requests
+    metadata:
+      | string
+      | any[]
+      | ((
+          user: User,
+          username: string
+        ) => string | any[] | Promise<string | any[]>);
+    commentAllowed?: number;
+    baseUrl?: string; // Public origin for callback URLs; required unless trustProxy
+    trustProxy?: boolean; // Take the origin from Host/X-Forwarded-Proto (only behind a proxy setting them)
+    nostrPubkey?: string; // Zap receipt key (x-only hex); enables NIP-57 zaps
+    onError?: (error: Error, req: any) => void;
+  }
+
+  export type LnurlPayHandler = (
+    req: any,
+    res: any,
+    next?: (error?: any) => void
+  ) => Promise<void>;
+
+  export type MockFailure =
+    | {
+        step: "params" | "callback";
+        type: "timeout";
+        times?: number;
+      }
+    | {
+        step: "params" | "callback";
+        type: "error";
+        reason?: string;
+        status?: number; // HTTP status, default 200
+        times?: number;
+      }
+    | {
+        step: "callback";
+        type: "badHash";
+        times?: number;
+      }
+    | {
+        step: "callback";
+        type: "wrongAmount";
+        amountOffset?: number; // msats added to the invoice, default 1000
+        times?: number;
+      };
+
+  export interface MockLnurlServiceOptions {
+    username?: string; // default "merchant"
+    domain?: string; // default "bringin.test"
+    minSendable?: number; // msats, default 1000
+    maxSendable?: number; // msats, default 100000000
+    posMinSendable?: number; // msats
+    metadata?: string | any[];
+    commentAllowed?: number; // default 144
+    network?: Network;
+    expiry?: number; // seconds
+    nodeKey?: Buffer | string; // random by default
+    failures?: MockFailure[];
+    allowsNostr?: boolean; // Accept NIP-57 zap requests
+    nostrPubkey?: string; // Advertised zap receipt key, random by default
+  }
+
+  export interface MockIssuedInvoice {
+    invoice: string;
+    preimage: string;
+    paymentHash: string;
+    msats: number;
+    comment?: string;
+    posMode: boolean;
+    zapRequest: string | null; // Zap request JSON the invoice commits to
+  }
+
+  export interface MockLnurlService {
+    readonly address: string; // username@domain, served through fetchGet
+    readonly url: string | null; // payRequest URL while listening
+    readonly payee: string; // Node public key signing the invoices
+    readonly nostrPubkey: string | null; // Advertised zap receipt key
+    readonly requests: Array<{
+      url: string;
+      step: "params" | "callback" | null;
+    }>;
+    readonly invoices: MockIssuedInvoice[];
+    fetchGet: FetchGet;
+    listen(port?: number): Promise<string>;
+    close(): Promise<void>;
+    fail(failure: MockFailure): MockLnurlService;
+    reset(): MockLnurlService;
+  }
+
+  export interface EncodeInvoiceOptions {
+    privateKey: Buffer | string;
+    paymentHash: string;
+    msats?: number | bigint | null; // omit for an amountless invoice
+    network?: Network;
+    description?: string;
+    descriptionHash?: string;
+    paymentSecret?: string;
+    timestamp?: number;
+    expiry?: number;
+    minFinalCltvExpiry?: number;
+    features?: number[];
+  }
+
+  export interface WithdrawParams {
+    tag: "withdrawRequest";
+    callback: string;
+    k1: string;
+    domain: string;
+    defaultDescription: string;
+    minWithdrawable: number; // msats
+    maxWithdrawable: number; // msats
+    min: number; // sats, rounded up
+    max: number; // sats, rounded down
+    balanceCheck: string;
+    payLink: string;
+    posMode: boolean;
+    rawData?: any;
+  }
+
+  export interface WithdrawParamsOptions {
+    lnUrlOrAddress: string; // Bech32 LNURL, lnurlw:// or HTTPS URL
+    posMode?: boolean;
+    onionAllowed?: boolean;
+    allowInsecure?: boolean; // Plain HTTP to clearnet hosts, e.g. a local test service
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy;
+    timeout?: number;
+    deadline?: number;
+    signal?: AbortSignal;
+  }
+
+  export interface SubmitWithdrawInvoiceOptions {
+    params: WithdrawParams;
+    invoice: string; // BOLT11 invoice for the service to pay
+    onionAllowed?: boolean;
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy; // Checks the callback URL
+    timeout?: number;
+    deadline?: number;
+    signal?: AbortSignal;
+    network?: Network;
+  }
+
+  export interface WithdrawResponse {
+    params: WithdrawParams;
+    invoice: string;
+    decodedInvoice: DecodedInvoice;
+    rawData: any;
+  }
+
+  export interface AuthSigner {
+    getLinkingKey(domain: string): Promise<string>; // Compressed public key (hex)
+    sign(k1: string, domain: string): Promise<string>; // DER signature of k1 (hex)
+  }
+
+  export interface LnurlAuthOptions {
+    seed?: Buffer | string; // BIP32 seed (LUD-05 derivation)
+    signer?: AuthSigner; // Used instead of seed, e.g. a hardware signer
+    onionAllowed?: boolean;
+    allowInsecure?: boolean; // Plain HTTP to clearnet hosts, e.g. a local test service
+    fetchGet?: FetchGet;
+    policy?: ResolutionPolicy; // Checks the login URL
+    timeout?: number;
+    signal?: AbortSignal;
+  }
+
+  export interface LnurlAuthResponse {
+    domain: string;
+    key: string; // Linking public key sent to the service
+    action: "register" | "login" | "link" | "auth" | null;
+    rawData: any;
+  }
+
+  export type ErrorStep =
+    | "input"
+    | "params"
+    | "rate"
+    | "callback"
+    | "verify"
+    | "sign";
+
+  export interface LnurlPayErrorOptions {
+    code?: string;
+    cause?: unknown;
+    step?: ErrorStep;
+    posMode?: boolean;
+  }
+
+  export declare class LnurlPayError extends Error {
+    code: string;
+    cause?: unknown;
+    step?: ErrorStep; // Step that failed
+    posMode?: boolean; // Whether POS mode was requested
+    constructor(message: string, options?: LnurlPayErrorOptions);
+  }
+
+  export declare class ValidationError extends LnurlPayError {
+    field?: string; // Offending option
+    constructor(
+      message: string,
+      options?: LnurlPayErrorOptions & { field?: string }
+    );
+  }
+
+  export declare class AmountOutOfRangeError extends ValidationError {
+    amount?: number; // Requested amount
+    min?: number; // Service minimum
+    max?: number; // Service maximum
+    unit: "sat" | "msat"; // msat for withdraw invoices and `amount`
+  }
+
+  export declare class ServiceError extends LnurlPayError {
+    reason?: string; // Reason from an LNURL {"status":"ERROR"} response
+    constructor(
+      message: string,
+      options?: LnurlPayErrorOptions & { reason?: string }
+    );
+  }
+
+  export declare class NetworkError extends LnurlPayError {
+    status?: number; // HTTP status, when the service answered
+    retryAfter?: number; // Retry-After header in ms
+    constructor(
+      message: string,
+      options?: LnurlPayErrorOptions & { status?: number }
+    );
+  }
+
+  export declare class TimeoutError extends NetworkError {
+    timeout?: number; // Timeout that was exceeded (ms)
+    scope?: "step" | "total";
+  }
+
+  export declare class AbortError extends LnurlPayError {}
+
+  export declare class InvoiceMismatchError extends LnurlPayError {
+    field?: "amount" | "expiry" | "network" | "descriptionHash" | "payee";
+    expected?: unknown;
+    actual?: unknown;
+  }
+
+  export declare class PolicyError extends LnurlPayError {
+    rule?: PolicyRule;
+    url?: string; // Rejected URL
+    constructor(
+      message: string,
+      options?: LnurlPayErrorOptions & { rule?: PolicyRule; url?: string }
+    );
   }
 
   /**
@@ -64,7 +724,7 @@ declare module "@bringinxyz/lnurl-pay" {
      * Request invoice with POS mode support - same API as lnurl-pay
      * @param options - Request options
      * @returns Promise<InvoiceResponse> Invoice response in lnurl-pay format
-     * @throws Error When validation fails or request errors occur
+     * @throws LnurlPayError When validation fails or request errors occur
      */
     static requestInvoice(options: LnurlPayOptions): Promise<InvoiceResponse>;
 
@@ -72,7 +732,7 @@ declare module "@bringinxyz/lnurl-pay" {
      * Request pay service params with POS support
      * @param options - Request options
      * @returns Promise<PayServiceParams> Service parameters in lnurl-pay format
-     * @throws Error When validation fails or request errors occur
+     * @throws LnurlPayError When validation fails or request errors occur
      */
     static requestPayServiceParams(
       options: ServiceParamsOptions
@@ -82,12 +742,42 @@ declare module "@bringinxyz/lnurl-pay" {
      * Request invoice with service params (2nd step) - with POS support
      * @param options - Request options
      * @returns Promise<InvoiceWithServiceParamsResponse> Invoice response
-     * @throws Error When validation fails or request errors occur
+     * @throws LnurlPayError When validation fails or request errors occur
      */
     static requestInvoiceWithServiceParams(
       options: InvoiceWithServiceParamsOptions
     ): Promise<InvoiceWithServiceParamsResponse>;
 
+    /**
+     * Request a NIP-57 zap invoice
+     * @param options - Request options
+     * @returns Promise<ZapInvoiceResponse> Invoice response with the zap request
+     * @throws LnurlPayError When validation fails or request errors occur
+     */
+    static requestZapInvoice(
+      options: ZapInvoiceOptions
+    ): Promise<ZapInvoiceResponse>;
+
+    /**
+     * Request LNURL-withdraw (LUD-03) params
+     * @param options - Request options
+     * @returns Promise<WithdrawParams> Withdraw parameters
+     * @throws LnurlPayError When validation fails or request errors occur
+     */
+    static requestWithdrawParams(
+      options: WithdrawParamsOptions
+    ): Promise<WithdrawParams>;
+
+    /**
+     * Submit an invoice to an LNURL-withdraw service
+     * @param options - Request options
+     * @returns Promise<WithdrawResponse> Accepted withdraw request
+     * @throws LnurlPayError When validation fails or request errors occur
+     */
+    static submitWithdrawInvoice(
+      options: SubmitWithdrawInvoiceOptions
+    ): Promise<WithdrawResponse>;
+
     /**
      * Parse description from metadata
      * @param metadata - Metadata array
@@ -102,14 +792,77 @@ declare module "@bringinxyz/lnurl-pay" {
      */
     static extractImage(metadata: any[]): string;
 
+    /**
+     * Parse and validate LUD-06 metadata
+     * @param metadata - Raw metadata string or metadata array
+     * @returns ParsedMetadata Description, image, identifier and entries
+     */
+    static parseMetadata(
+      metadata: string | any[],
+      options?: ParseMetadataOptions
+    ): ParsedMetadata;
+
     /**
      * Calculate metadata hash
-     * @param metadata - Metadata to hash
+     * @param metadata - Raw metadata string or service params
      * @returns string Hash string
      */
-    static calculateMetadataHash(metadata: string | any[]): string;
+    static calculateMetadataHash(
+      metadata: string | any[] | PayServiceParams
+    ): string;
   }
 
+  export interface ClientLogger {
+    debug?(message: string, details?: Record<string, any>): void; // Requests and finished calls
+    warn?(message: string, details?: Record<string, any>): void; // Failed calls
+  }
+
+  export type ClientDefaults = Partial<
+    Omit<LnurlPayOptions, "lnUrlOrAddress">
+  > & {
+    network?: Network;
+    validateDescriptionHash?: boolean;
+  };
+
+  export interface ClientOptions {
+    defaults?: ClientDefaults; // Passed to every call; call options win. posMode "auto" only applies to requestInvoice
+    transport?: FetchGet | TransportOptions; // Options build a createTransport
+    cache?: ParamsCache;
+    policy?: ResolutionPolicy;
+    logger?: ClientLogger;
+  }
+
+  export interface LnurlClient {
+    requestInvoice: typeof requestInvoice;
+    requestPayServiceParams: typeof requestPayServiceParams;
+    requestInvoiceWithServiceParams: typeof requestInvoiceWithServiceParams;
+    requestZapInvoice: typeof requestZapInvoice;
+    requestWithdrawParams: typeof requestWithdrawParams;
+    submitWithdrawInvoice: typeof submitWithdrawInvoice;
+    verifyPayment: typeof verifyPayment;
+    waitForPayment: typeof waitForPayment;
+    lnurlAuth(
+      lnurl: string,
+      options?: Partial<LnurlAuthOptions>
+    ): Promise<LnurlAuthResponse>;
+    resolveLnurl: typeof resolveLnurl;
+    parseDescription: typeof EnhancedLnurlPay.parseDescription;
+    extractImage: typeof EnhancedLnurlPay.extractImage;
+    parseMetadata: typeof parseMetadata;
+    calculateMetadataHash: typeof EnhancedLnurlPay.calculateMetadataHash;
+    decodeLnurl: typeof decodeLnurl;
+    encodeLnurl: typeof encodeLnurl;
+    decodeInvoice: typeof decodeInvoice;
+    verifyInvoice: typeof verifyInvoice;
+    toMsats: typeof toMsats;
+    fromMsats: typeof fromMsats;
+    formatMsats: typeof formatMsats;
+    isValidPreimage: typeof isValidPreimage;
+    processSuccessAction: typeof processSuccessAction;
+  }
+
+  export declare function createClient(options?: ClientOptions): LnurlClient;
+
   // Export individual functions to match lnurl-pay API
   export declare function requestInvoice(
     options: LnurlPayOptions
@@ -120,6 +873,100 @@ declare module "@bringinxyz/lnurl-pay" {
   export declare function requestInvoiceWithServiceParams(
     options: InvoiceWithServiceParamsOptions
   ): Promise<InvoiceWithServiceParamsResponse>;
+  export declare function requestZapInvoice(
+    options: ZapInvoiceOptions
+  ): Promise<ZapInvoiceResponse>;
+
+  export declare function requestWithdrawParams(
+    options: WithdrawParamsOptions
+  ): Promise<WithdrawParams>;
+  export declare function submitWithdrawInvoice(
+    options: SubmitWithdrawInvoiceOptions
+  ): Promise<WithdrawResponse>;
+
+  export declare function resolveLnurl(
+    lnUrlOrAddress: string,
+    options?: { onionAllowed?: boolean; allowInsecure?: boolean }
+  ): ResolvedLnurl;
+  export declare function decodeLnurl(lnurl: string): string;
+  export declare function encodeLnurl(url: string): string;
+  export declare function isValidPreimage(
+    preimage: string | Buffer,
+    paymentHash: string | Buffer
+  ): boolean;
+  export declare function timingSafeEqual(
+    a: string | Buffer,
+    b: string | Buffer
+  ): boolean;
+  export declare function processSuccessAction(
+    successAction: any,
+    preimage?: string,
+    options?: { domain?: string }
+  ): SuccessActionResult | null;
+  export declare function lnurlAuth(
+    lnurl: string,
+    options: LnurlAuthOptions
+  ): Promise<LnurlAuthResponse>;
+  export declare function deriveLinkingKey(
+    seed: Buffer | string,
+    domain: string
+  ): { privateKey: Buffer; publicKey: Buffer };
+  export declare function createSeedSigner(seed: Buffer | string): AuthSigner;
+  export declare function createLnurlPayHandler<User = any>(
+    options: LnurlPayHandlerOptions<User>
+  ): LnurlPayHandler;
+  export declare function createMockLnurlService(
+    options?: MockLnurlServiceOptions
+  ): MockLnurlService;
+  export declare function createStaticRateProvider(
+    rates?: Record<string, number>,
+    options?: { spread?: number }
+  ): StaticRateProvider;
+  export declare function createResolutionPolicy(
+    options?: ResolutionPolicyOptions
+  ): ResolutionPolicy;
+  export declare function createPayeePins(pins?: PayeePinMap): PayeePins;
+  export declare function loadPayeePins(file: string): PayeePins;
+  export declare function createNostrSigner(
+    privateKey: Buffer | string
+  ): NostrSigner;
+  export declare function verifyPayment(
+    invoiceResponse: VerifiableInvoice,
+    options?: VerifyPaymentOptions
+  ): Promise<PaymentStatus>;
+  export declare function waitForPayment(
+    invoiceResponse: VerifiableInvoice,
+    options?: WaitForPaymentOptions
+  ): Promise<PaymentStatus & { settled: true; attempts: number }>;
+  export declare function createTransport(options?: TransportOptions): FetchGet;
+  export declare function createParamsCache(
+    options?: ParamsCacheOptions
+  ): ParamsCache;
+  export declare function createMemoryStorage(options?: {
+    maxEntries?: number;
+  }): CacheStorage & { readonly size: number };
+  export declare function parseMetadata(
+    metadata: string | any[],
+    options?: ParseMetadataOptions
+  ): ParsedMetadata;
+  export declare function toMsats(
+    amount: Amount,
+    options?: { rounding?: "exact" | "floor" | "ceil" }
+  ): bigint;
+  export declare function fromMsats(
+    msats: number | bigint | string,
+    unit?: AmountUnit
+  ): string;
+  export declare function formatMsats(
+    msats: number | bigint | string,
+    unit?: AmountUnit
+  ): string;
+  export declare function decodeInvoice(invoice: string): DecodedInvoice;
+  export declare function encodeInvoice(options: EncodeInvoiceOptions): string;
+  export declare function verifyInvoice(
+    invoice: string,
+    expected: VerifyInvoiceOptions
+  ): DecodedInvoice;
 
   // Default export
   export default EnhancedLnurlPay;
@@ -1,5 +1,60 @@
-const lnurlPay = require("lnurl-pay");
-const crypto = require("crypto");
+const { resolveLnurl, decodeLnurl, encodeLnurl } = require("./lib/resolve");
+const { parsePayServiceParams, assertNotLnurlError } = require("./lib/params");
+const { createTransport } = require("./lib/transport");
+const { createParamsCache, createMemoryStorage } = require("./lib/cache");
+const { withTimeout } = require("./lib/timeout");
+const { decodeInvoice, encodeInvoice } = require("./lib/bolt11");
+const {
+  verifyInvoice,
+  hashMetadata,
+  isValidPreimage,
+  timingSafeEqual,
+} = require("./lib/invoice");
+const { processSuccessAction } = require("./lib/success-action");
+const { validatePayerData } = require("./lib/payer-data");
+const { parseWithdrawParams } = require("./lib/withdraw");
+const { deriveLinkingKey, createSeedSigner, lnurlAuth } = require("./lib/auth");
+const { createLnurlPayHandler } = require("./lib/server");
+const { createMockLnurlService } = require("./lib/mock");
+const { parseMetadata } = require("./lib/metadata");
+const { toMsats, fromMsats, formatMsats } = require("./lib/amount");
+const { createResolutionPolicy, getFetchGet } = require("./lib/policy");
+const { createClient: createLnurlClient } = require("./lib/client");
+const {
+  normalizePayees,
+  createPayeePins,
+  loadPayeePins,
+} = require("./lib/pins");
+const {
+  validateFiat,
+  convertWithRate,
+  convertWithCurrency,
+  getQuote,
+  memoizeRateProvider,
+  createStaticRateProvider,
+} = require("./lib/fiat");
+const {
+  buildZapRequest,
+  validateZapRequest,
+  createNostrSigner,
+} = require("./lib/nostr");
+const {
+  parseVerifyUrl,
+  verifyPayment,
+  waitForPayment,
+} = require("./lib/verify");
+const {
+  LnurlPayError,
+  ValidationError,
+  AmountOutOfRangeError,
+  ServiceError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  InvoiceMismatchError,
+  PolicyError,
+  withErrorContext,
+} = require("./lib/errors");
 
 /**
  * Enhanced LNURL Pay with POS mode support
@@ -9,52 +64,155 @@ class EnhancedLnurlPay {
   /**
    * Request invoice with POS mode support - same API as lnurl-pay
    * @param {Object} options - Request options
-   * @param {string} options.lnUrlOrAddress - Lightning address or LNURL
-   * @param {number} options.tokens - Amount in satoshis
+   * @param {string} options.lnUrlOrAddress - Lightning address, LNURL, lnurlp:// or HTTPS URL
+   * @param {number} [options.tokens] - Amount in satoshis
+   * @param {number|bigint|string|Object} [options.amount] - Amount in msats,
+   *   or `{value, unit}` with unit "msat", "sat" or "btc"; replaces tokens
+   * @param {Object} [options.fiat] - Fiat amount `{amount, currency}`;
+   *   replaces tokens. `native: false` skips the service's own conversion,
+   *   `tolerance` bounds its invoice amount (default 0.01)
+   * @param {Object} [options.rateProvider] - `getRate(currency, {signal})`
+   *   resolving to `{rate, timestamp, spread}`, for fiat amounts the service
+   *   doesn't convert
    * @param {string} [options.comment] - Optional comment for the payment
-   * @param {boolean} [options.posMode=false] - Enable POS mode for lower minimums
+   * @param {Object} [options.payerData] - LUD-18 payer data (name, pubkey,
+   *   identifier, email, auth) requested by the service
+   * @param {boolean|string} [options.posMode=false] - Enable POS mode for lower
+   *   minimums, or "auto" to use it only when tokens is below the standard
+   *   minimum
    * @param {boolean} [options.onionAllowed=false] - Allow onion URLs
-   * @param {Function} [options.fetchGet] - Custom fetch function
-   * @param {number} [options.timeout=30000] - Request timeout in milliseconds
-   * @returns {Promise<Object>} Invoice response in lnurl-pay format
-   * @throws {Error} When validation fails or request errors occur
+   * @param {boolean} [options.allowInsecure=false] - Allow plain HTTP URLs
+   *   to clearnet hosts, e.g. a local test service
+   * @param {Object} [options.policy] - Resolution policy from
+   *   createResolutionPolicy, checking the params, callback and success
+   *   action URLs
+   * @param {Function} [options.fetchGet] - Custom fetch function, receives
+   *   `{url, params, signal}`
+   * @param {number} [options.timeout=30000] - Timeout per request in milliseconds
+   * @param {number} [options.totalTimeout] - Timeout for both requests together
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Object} [options.cache] - Params cache from createParamsCache
+   * @param {string} [options.network="bitcoin"] - Network the invoice must be for
+   * @param {boolean} [options.validateDescriptionHash=true] - Reject invoices whose
+   *   description_hash doesn't match the metadata (false only flags them)
+   * @param {Object} [options.payeePins] - Payee pubkeys pinned per address
+   *   or domain (createPayeePins, loadPayeePins); invoices for a pinned
+   *   merchant must come from one of its nodes
+   * @returns {Promise<Object>} Invoice response in lnurl-pay format, with the
+   *   `mode` used ("standard" or "pos") and the `modeReason`
+   * @throws {ValidationError} When the input is invalid
+   * @throws {AmountOutOfRangeError} When the amount is outside the service
+   *   limits
+   * @throws {ServiceError} When the service returns an error or invalid data
+   * @throws {NetworkError} When the service cannot be reached
+   * @throws {TimeoutError} When a request or the total timeout is exceeded
+   * @throws {InvoiceMismatchError} When the invoice does not match the request
    */
   static async requestInvoice(options) {
+    const context = { step: "input", posMode: options.posMode === true };
+
     // Input validation
     if (!options.lnUrlOrAddress) {
-      throw new Error("lnUrlOrAddress is required");
-    }
-    if (!Number.isInteger(options.tokens) || options.tokens <= 0) {
-      throw new Error("tokens must be a positive integer");
-    }
-    if (options.comment && typeof options.comment !== "string") {
-      throw new Error("comment must be a string");
-    }
-    if (options.comment && options.comment.length > 144) {
-      throw new Error("Comment too long. Maximum: 144 characters");
+      throw new ValidationError("lnUrlOrAddress is required", {
+        ...context,
+        field: "lnUrlOrAddress",
+      });
     }
+    this.validatePosMode(options.posMode, context, true);
+    const amount = this.parseRequestAmount(options, context);
+    this.validateComment(options.comment, 144, context);
 
-    // Validate Lightning address format
-    if (!options.lnUrlOrAddress.includes("@")) {
-      throw new Error("Invalid Lightning address format");
-    }
+    // Validate that the input resolves to an LNURL endpoint
+    const resolved = this.resolvePayUrl(
+      options.lnUrlOrAddress,
+      options,
+      context
+    );
+    const payees = this.getPinnedPayees(options.payeePins, resolved, context);
+
+    // Both steps share one overall deadline
+    const deadline =
+      options.totalTimeout !== undefined
+        ? Date.now() + options.totalTimeout
+        : undefined;
+
+    // Auto mode may convert a fiat amount twice; both use one quote
+    const rateProvider =
+      options.rateProvider && typeof options.rateProvider.getRate === "function"
+        ? memoizeRateProvider(options.rateProvider)
+        : options.rateProvider;
+
+    const paramsOptions = {
+      lnUrlOrAddress: options.lnUrlOrAddress,
+      onionAllowed: options.onionAllowed,
+      allowInsecure: options.allowInsecure,
+      fetchGet: options.fetchGet,
+      policy: options.policy,
+      timeout: options.timeout,
+      deadline,
+      signal: options.signal,
+      cache: options.cache,
+      checkPosLimits: options.checkPosLimits,
+    };
+    let posMode = options.posMode === true;
 
     try {
       // Get service parameters first
-      const params = await this.requestPayServiceParams({
-        lnUrlOrAddress: options.lnUrlOrAddress,
-        posMode: options.posMode,
-        onionAllowed: options.onionAllowed,
-        fetchGet: options.fetchGet,
-        timeout: options.timeout,
-      });
+      let params;
+      let modeReason = "requested";
+      if (options.posMode === "auto") {
+        params = await this.requestPayServiceParams({
+          ...paramsOptions,
+          posMode: false,
+        });
+
+        // Only fall back to POS limits when the standard ones rule out the
+        // amount
+        const needed =
+          amount.unit === "fiat"
+            ? await this.convertFiatAmount(
+                amount,
+                { ...options, rateProvider, deadline },
+                params,
+                context
+              )
+            : amount;
+        if (needed.ceil < this.getSendableRange(params).minSendable) {
+          posMode = true;
+          params = await this.requestPayServiceParams({
+            ...paramsOptions,
+            posMode: true,
+            standardParams: params,
+          });
+          modeReason = "below-standard-minimum";
+        } else {
+          modeReason = "within-standard-limits";
+        }
+      } else {
+        params = await this.requestPayServiceParams({
+          ...paramsOptions,
+          posMode,
+        });
+      }
 
       // Request invoice using the parameters
       const invoiceResponse = await this.requestInvoiceWithServiceParams({
         params: params,
         tokens: options.tokens,
+        amount: options.amount,
+        fiat: options.fiat,
+        rateProvider,
         comment: options.comment,
+        payerData: options.payerData,
+        onionAllowed: options.onionAllowed,
+        fetchGet: options.fetchGet,
+        policy: options.policy,
         timeout: options.timeout,
+        deadline,
+        signal: options.signal,
+        network: options.network,
+        validateDescriptionHash: options.validateDescriptionHash,
+        payees,
       });
 
       // Return in lnurl-pay format for compatibility
@@ -63,95 +221,536 @@ class EnhancedLnurlPay {
         params: params,
         successAction: invoiceResponse.successAction,
         rawData: invoiceResponse.rawData,
-        hasValidAmount:
-          options.tokens >= params.min && options.tokens <= params.max,
-        hasValidDescriptionHash: true, // Always true for our implementation
-        validatePreimage: () => true, // Placeholder for compatibility
+        decodedInvoice: invoiceResponse.decodedInvoice,
+        hasValidAmount: invoiceResponse.hasValidAmount,
+        hasValidDescriptionHash: invoiceResponse.hasValidDescriptionHash,
+        validatePreimage: invoiceResponse.validatePreimage,
+        processSuccessAction: invoiceResponse.processSuccessAction,
+        verify: invoiceResponse.verify,
+        fiat: invoiceResponse.fiat,
+        mode: posMode ? "pos" : "standard",
+        modeReason,
       };
     } catch (error) {
-      // Re-throw validation errors as-is
-      if (
-        error.message.includes("is required") ||
-        error.message.includes("must be") ||
-        error.message.includes("Invalid") ||
-        error.message.includes("too long")
-      ) {
-        throw error;
-      }
-
-      // Wrap other errors with context
-      if (options.posMode) {
-        throw new Error(`POS invoice request failed: ${error.message}`);
-      } else {
-        throw new Error(`Invoice request failed: ${error.message}`);
-      }
+      throw withErrorContext(error, {
+        step: "callback",
+        posMode,
+        message: posMode
+          ? "POS invoice request failed"
+          : "Invoice request failed",
+      });
     }
   }
 
   /**
    * Request pay service params with POS support
    * @param {Object} options - Request options
-   * @param {string} options.lnUrlOrAddress - Lightning address or LNURL
+   * @param {string} options.lnUrlOrAddress - Lightning address, LNURL, lnurlp:// or HTTPS URL
    * @param {boolean} [options.posMode=false] - Enable POS mode
    * @param {boolean} [options.onionAllowed=false] - Allow onion URLs
-   * @param {Function} [options.fetchGet] - Custom fetch function
+   * @param {boolean} [options.allowInsecure=false] - Allow plain HTTP URLs
+   *   to clearnet hosts, e.g. a local test service
+   * @param {Object} [options.policy] - Resolution policy from
+   *   createResolutionPolicy, checking the params, callback and success
+   *   action URLs
+   * @param {Function} [options.fetchGet] - Custom fetch function, receives
+   *   `{url, signal}`
    * @param {number} [options.timeout=30000] - Request timeout in milliseconds
-   * @returns {Promise<Object>} Service parameters in lnurl-pay format
-   * @throws {Error} When validation fails or request errors occur
+   * @param {number} [options.deadline] - Overall deadline (ms since epoch)
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Object} [options.standardParams] - Standard params already fetched
+   *   for the same input, used for `posLimitsApplied` in POS mode
+   * @param {boolean} [options.checkPosLimits=false] - In POS mode, fetch the
+   *   standard params too when they are not passed or cached, so
+   *   `posLimitsApplied` is known
+   * @param {Object} [options.cache] - Params cache from createParamsCache
+   * @returns {Promise<Object>} Service parameters in lnurl-pay format. In POS
+   *   mode `posLimitsApplied` tells whether the service returned a lower
+   *   minimum than its standard one (null when that could not be checked)
+   * @throws {ValidationError} When the input is invalid
+   * @throws {ServiceError} When the service returns an error or invalid data
+   * @throws {NetworkError} When the service cannot be reached
+   * @throws {TimeoutError} When the request times out
    */
   static async requestPayServiceParams(options) {
+    const context = { step: "input", posMode: options.posMode === true };
+
     // Input validation
     if (!options.lnUrlOrAddress) {
-      throw new Error("lnUrlOrAddress is required");
+      throw new ValidationError("lnUrlOrAddress is required", {
+        ...context,
+        field: "lnUrlOrAddress",
+      });
     }
+    this.validatePosMode(options.posMode, context, false);
 
-    // Validate Lightning address format
-    if (!options.lnUrlOrAddress.includes("@")) {
-      throw new Error("Invalid Lightning address format");
+    // Resolve address, bech32 LNURL, LUD-17 or plain URL input
+    const resolved = this.resolvePayUrl(
+      options.lnUrlOrAddress,
+      options,
+      context
+    );
+    // Cached params skip the checked transport, so the domain rules are
+    // checked up front too
+    if (options.policy) {
+      try {
+        options.policy.checkUrl(resolved.url);
+      } catch (error) {
+        throw withErrorContext(error, context);
+      }
     }
 
     try {
-      // Use the original lnurl-pay function but with POS mode URL modification
-      let lnUrlOrAddress = options.lnUrlOrAddress;
-
-      // Add POS mode parameter to the URL if enabled
-      if (options.posMode) {
-        if (lnUrlOrAddress.startsWith("http")) {
-          // It's already a full URL, add pos parameter
-          const separator = lnUrlOrAddress.includes("?") ? "&" : "?";
-          lnUrlOrAddress += `${separator}pos=true`;
-        } else {
-          // It's a Lightning address, we'll handle POS mode in the service
-          // The service should detect POS mode based on the request
-        }
+      if (!options.cache) {
+        return await this.loadPayServiceParams(resolved, options);
       }
 
-      // Call the original lnurl-pay function
-      const params = await lnurlPay.requestPayServiceParams({
-        lnUrlOrAddress: lnUrlOrAddress,
-        onionAllowed: options.onionAllowed,
+      // Background refreshes outlive this call, so they only get the
+      // transport settings
+      const refreshOptions = {
+        posMode: options.posMode,
+        checkPosLimits: options.checkPosLimits,
         fetchGet: options.fetchGet,
+        policy: options.policy,
+        timeout: options.timeout,
+      };
+      return await options.cache.get(
+        resolved.url,
+        options.posMode === true,
+        (background) =>
+          this.loadPayServiceParams(
+            resolved,
+            background ? refreshOptions : options
+          )
+      );
+    } catch (error) {
+      throw withErrorContext(error, {
+        step: "params",
+        posMode: options.posMode,
+        message: options.posMode
+          ? "Failed to get POS service params"
+          : "Failed to get service params",
       });
+    }
+  }
 
-      // Add POS mode indicator to the response
-      params.posMode = options.posMode || false;
-
+  /**
+   * Fetch service params for a resolved input in standard or POS mode
+   * @param {Object} resolved - Resolved endpoint (see resolveLnurl)
+   * @param {Object} options - requestPayServiceParams options
+   * @returns {Promise<Object>} Service parameters
+   */
+  static async loadPayServiceParams(resolved, options) {
+    if (!options.posMode) {
+      const params = await this.fetchPayServiceParams(resolved.url, options);
+      params.posMode = false;
+      params.posLimitsApplied = false;
       return params;
+    }
+
+    // Addresses resolve to their .well-known/lnurlp/<user> URL, so every
+    // input type gets the POS flag the same way
+    const url = new URL(resolved.url);
+    url.searchParams.set("pos", "true");
+
+    // The standard limits tell whether the service actually honoured POS
+    // mode. They are only fetched alongside when asked for, and failing
+    // that only leaves it unknown.
+    const standardRequest = this.getStandardParams(resolved, options)
+      .then(
+        (standard) =>
+          standard ||
+          (options.checkPosLimits
+            ? this.fetchPayServiceParams(resolved.url, options)
+            : null)
+      )
+      .catch(() => null);
+    const params = await this.fetchPayServiceParams(url.toString(), options);
+    const standard = await standardRequest;
+
+    params.posMode = true;
+    params.standardMin = standard ? standard.min : null;
+    params.posLimitsApplied = standard ? params.min < standard.min : null;
+
+    return params;
+  }
+
+  /**
+   * Find standard params already at hand for a resolved input: passed in,
+   * or in the params cache
+   * @param {Object} resolved - Resolved endpoint (see resolveLnurl)
+   * @param {Object} options - requestPayServiceParams options
+   * @returns {Promise<Object|null>} Standard params, null when not at hand
+   */
+  static async getStandardParams(resolved, options) {
+    if (options.standardParams) {
+      return options.standardParams;
+    }
+    if (options.cache && typeof options.cache.peek === "function") {
+      return (await options.cache.peek(resolved.url, false)) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Fetch and parse the payRequest at a URL within the params step timeout
+   * @param {string} url - payRequest URL
+   * @param {Object} options - fetchGet, policy, timeout, deadline and signal
+   * @returns {Promise<Object>} Parsed service parameters
+   */
+  static async fetchPayServiceParams(url, options) {
+    const fetchGet = this.getFetchGet(options);
+    const data = await withTimeout("params", options, (signal) =>
+      fetchGet({ url, signal })
+    );
+    return parsePayServiceParams(data);
+  }
+
+  /**
+   * Pick the fetchGet for a request, wrapped by the resolution policy when
+   * one is set
+   * @param {Object} options - Request options with fetchGet and policy
+   * @returns {Function} fetchGet called with `{url, params, signal}`
+   */
+  static getFetchGet(options) {
+    return getFetchGet(options);
+  }
+
+  /**
+   * Look up the payee pubkeys pinned for a resolved input
+   * @param {Object} [payeePins] - Pins from createPayeePins or loadPayeePins,
+   *   or a plain object in the same format
+   * @param {Object} resolved - Resolved input (see resolveLnurl)
+   * @param {Object} [context] - Step and POS mode for thrown errors
+   * @returns {string[]|undefined} Pinned pubkeys, undefined when not pinned
+   * @throws {ValidationError} When plain pins are invalid
+   */
+  static getPinnedPayees(payeePins, resolved, context = {}) {
+    if (!payeePins) {
+      return undefined;
+    }
+    try {
+      const pins =
+        typeof payeePins.getPayees === "function"
+          ? payeePins
+          : createPayeePins(payeePins);
+      return pins.getPayees(resolved) || undefined;
+    } catch (error) {
+      throw withErrorContext(error, context);
+    }
+  }
+
+  /**
+   * Resolve the input of a pay request and make sure it can be a payRequest
+   * @param {string} lnUrlOrAddress - Lightning address, LNURL or URL
+   * @param {Object} [options] - Request options; `onionAllowed` and
+   *   `allowInsecure` are passed to resolveLnurl
+   * @param {Object} [context] - Step and POS mode for thrown errors
+   * @returns {Object} Resolved endpoint (see resolveLnurl)
+   * @throws {ValidationError} When the input cannot be resolved to a payRequest
+   */
+  static resolvePayUrl(lnUrlOrAddress, options, context = {}) {
+    return this.resolveEndpoint(lnUrlOrAddress, "payRequest", options, context);
+  }
+
+  /**
+   * Resolve an input and make sure it can point at the expected LNURL tag
+   * @param {string} lnUrlOrAddress - Lightning address, LNURL or URL
+   * @param {string} tag - Expected tag (payRequest, withdrawRequest)
+   * @param {Object} [options] - Request options; `onionAllowed` and
+   *   `allowInsecure` are passed to resolveLnurl
+   * @param {Object} [context] - Step and POS mode for thrown errors
+   * @returns {Object} Resolved endpoint (see resolveLnurl)
+   * @throws {ValidationError} When the input cannot be resolved to the tag
+   */
+  static resolveEndpoint(lnUrlOrAddress, tag, options = {}, context = {}) {
+    let resolved;
+    try {
+      resolved = resolveLnurl(lnUrlOrAddress, {
+        onionAllowed: options.onionAllowed,
+        allowInsecure: options.allowInsecure,
+      });
     } catch (error) {
-      // Re-throw validation errors as-is
+      throw withErrorContext(error, context);
+    }
+
+    if (resolved.tag && resolved.tag !== tag) {
+      throw new ValidationError(
+        `Invalid LNURL type: expected ${tag}, got ${resolved.tag}`,
+        { ...context, code: "INVALID_LNURL", field: "lnUrlOrAddress" }
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Validate the posMode option
+   * @param {boolean|string} [posMode] - posMode option
+   * @param {Object} context - Step and POS mode for thrown errors
+   * @param {boolean} allowAuto - Whether "auto" can be resolved by the caller
+   * @throws {ValidationError} When posMode is not supported
+   */
+  static validatePosMode(posMode, context, allowAuto) {
+    if (posMode === "auto" && !allowAuto) {
+      throw new ValidationError(
+        'posMode "auto" needs an amount, use requestInvoice instead',
+        { ...context, field: "posMode" }
+      );
+    }
+    if (
+      posMode !== undefined &&
+      posMode !== null &&
+      typeof posMode !== "boolean" &&
+      posMode !== "auto"
+    ) {
+      throw new ValidationError('posMode must be a boolean or "auto"', {
+        ...context,
+        field: "posMode",
+      });
+    }
+  }
+
+  /**
+   * Validate an amount in satoshis
+   * @param {number} tokens - Amount in satoshis
+   * @param {Object} context - Step and POS mode for thrown errors
+   * @throws {ValidationError} When tokens is not a positive integer
+   */
+  static validateTokens(tokens, context) {
+    if (!Number.isInteger(tokens) || tokens <= 0) {
+      throw new ValidationError("tokens must be a positive integer", {
+        ...context,
+        field: "tokens",
+      });
+    }
+  }
+
+  /**
+   * Read the amount of a request from `tokens` (sats), `amount` (msats or
+   * a unit-tagged value) or `fiat`
+   * @param {Object} options - Request options with `tokens`, `amount` or
+   *   `fiat`
+   * @param {Object} context - Step and POS mode for thrown errors
+   * @returns {{unit: string, tokens: number, floor: bigint, ceil: bigint}}
+   *   The amount in msats rounded down and up; both are equal unless the
+   *   amount has a fraction of a msat. Fiat amounts (unit "fiat") are
+   *   converted by convertFiatAmount once the params are known
+   * @throws {ValidationError} When several or none are given, or the amount
+   *   is invalid
+   */
+  static parseRequestAmount(options, context) {
+    if (options.fiat !== undefined && options.fiat !== null) {
       if (
-        error.message.includes("is required") ||
-        error.message.includes("Invalid")
+        options.tokens !== undefined ||
+        (options.amount !== undefined && options.amount !== null)
       ) {
-        throw error;
+        throw new ValidationError("Pass only one of tokens, amount or fiat", {
+          ...context,
+          field: "fiat",
+        });
       }
+      return {
+        unit: "fiat",
+        field: "fiat",
+        fiat: validateFiat(options.fiat, context),
+      };
+    }
+    if (options.amount === undefined || options.amount === null) {
+      this.validateTokens(options.tokens, context);
+      const msats = BigInt(options.tokens) * 1000n;
+      return { unit: "sat", tokens: options.tokens, floor: msats, ceil: msats };
+    }
+    if (options.tokens !== undefined) {
+      throw new ValidationError("Pass either tokens or amount, not both", {
+        ...context,
+        field: "amount",
+      });
+    }
 
-      // Wrap other errors with context
-      if (options.posMode) {
-        throw new Error(`Failed to get POS service params: ${error.message}`);
-      } else {
-        throw new Error(`Failed to get service params: ${error.message}`);
-      }
+    let floor;
+    let ceil;
+    try {
+      floor = toMsats(options.amount, { rounding: "floor" });
+      ceil = toMsats(options.amount, { rounding: "ceil" });
+    } catch (error) {
+      throw withErrorContext(error, context);
+    }
+    if (ceil <= 0n) {
+      throw new ValidationError("amount must be positive", {
+        ...context,
+        field: "amount",
+      });
+    }
+    return { unit: "msat", floor, ceil };
+  }
+
+  /**
+   * Convert a fiat amount to msats: in the service's own currency when its
+   * params advertise it, otherwise with the rate provider
+   * @param {Object} amount - Fiat amount from parseRequestAmount
+   * @param {Object} options - Request options (`fiat`, `rateProvider`,
+   *   `timeout`, `deadline`, `signal`)
+   * @param {Object} params - Service parameters
+   * @param {Object} context - Step and POS mode for thrown errors
+   * @returns {Promise<Object>} Amount in msats as from parseRequestAmount,
+   *   with the `fiat` conversion record. Service conversions also carry the
+   *   `callbackAmount` to send and the invoice amount `tolerance`
+   * @throws {ValidationError} When no rate provider is given for a currency
+   *   the service doesn't convert
+   * @throws {LnurlPayError} With code RATE_PROVIDER_ERROR when the rate
+   *   lookup fails
+   */
+  static async convertFiatAmount(amount, options, params, context) {
+    const { fiat } = amount;
+    const currency =
+      options.fiat.native !== false &&
+      (params.currencies || []).find((entry) => entry.code === fiat.currency);
+
+    if (currency) {
+      const { units, msats } = convertWithCurrency(
+        fiat.amount,
+        currency,
+        context
+      );
+      return {
+        unit: "msat",
+        field: "fiat",
+        floor: msats,
+        ceil: msats,
+        // The service converts at its own rate when the invoice is created
+        callbackAmount: `${units}.${currency.code}`,
+        tolerance:
+          options.fiat.tolerance !== undefined ? options.fiat.tolerance : 0.01,
+        fiat: {
+          amount: fiat.amount,
+          currency: fiat.currency,
+          source: "service",
+          rate: 100000000000 / (currency.multiplier * 10 ** currency.decimals),
+          rateTimestamp: Date.now(),
+          spread: null,
+        },
+      };
+    }
+
+    if (
+      !options.rateProvider ||
+      typeof options.rateProvider.getRate !== "function"
+    ) {
+      throw new ValidationError(
+        `rateProvider is required to pay in ${fiat.currency}`,
+        { ...context, field: "rateProvider" }
+      );
+    }
+    let quote;
+    try {
+      quote = await withTimeout("rate", options, (signal) =>
+        getQuote(options.rateProvider, fiat.currency, signal)
+      );
+    } catch (error) {
+      throw withErrorContext(error, { ...context, step: "rate" });
+    }
+    return {
+      unit: "msat",
+      field: "fiat",
+      ...convertWithRate(fiat.amount, quote),
+      fiat: {
+        amount: fiat.amount,
+        currency: fiat.currency,
+        source: "rateProvider",
+        rate: quote.rate,
+        rateTimestamp: quote.timestamp,
+        spread: quote.spread,
+      },
+    };
+  }
+
+  /**
+   * Get the service limits in msats
+   * @param {Object} params - Service parameters
+   * @returns {{minSendable: bigint, maxSendable: bigint}} Limits
+   */
+  static getSendableRange(params) {
+    // Params built by hand or cached by older versions only carry sats
+    return {
+      minSendable: BigInt(
+        params.minSendable !== undefined
+          ? params.minSendable
+          : params.min * 1000
+      ),
+      maxSendable: BigInt(
+        params.maxSendable !== undefined
+          ? params.maxSendable
+          : params.max * 1000
+      ),
+    };
+  }
+
+  /**
+   * Pick the msats to request and check them against the service limits.
+   * Fractions of a msat are rounded toward the allowed window.
+   * @param {Object} amount - Amount from parseRequestAmount
+   * @param {Object} params - Service parameters
+   * @param {Object} context - Step and POS mode for thrown errors
+   * @returns {bigint} Millisatoshis to request
+   * @throws {AmountOutOfRangeError} When the amount is outside the limits
+   */
+  static selectMsats(amount, params, context) {
+    const { minSendable, maxSendable } = this.getSendableRange(params);
+    const msats = amount.floor >= minSendable ? amount.floor : amount.ceil;
+
+    // Amounts in sats keep reporting sats, as lnurl-pay does
+    const bounds =
+      amount.unit === "sat"
+        ? {
+            ...context,
+            amount: amount.tokens,
+            min: params.min,
+            max: params.max,
+          }
+        : {
+            ...context,
+            field: amount.field || "amount",
+            unit: "msat",
+            amount: Number(msats),
+            min: Number(minSendable),
+            max: Number(maxSendable),
+          };
+    const label = amount.unit === "sat" ? "sats" : "msats";
+    if (msats < minSendable) {
+      throw new AmountOutOfRangeError(
+        `Amount too small. Minimum: ${bounds.min} ${label}`,
+        bounds
+      );
+    }
+    if (msats > maxSendable) {
+      throw new AmountOutOfRangeError(
+        `Amount too large. Maximum: ${bounds.max} ${label}`,
+        bounds
+      );
+    }
+    return msats;
+  }
+
+  /**
+   * Validate an optional payment comment
+   * @param {string} [comment] - Comment
+   * @param {number} maxLength - Maximum length accepted
+   * @param {Object} context - Step and POS mode for thrown errors
+   * @throws {ValidationError} When the comment is not a string or too long
+   */
+  static validateComment(comment, maxLength, context) {
+    if (comment && typeof comment !== "string") {
+      throw new ValidationError("comment must be a string", {
+        ...context,
+        field: "comment",
+      });
+    }
+    if (comment && comment.length > maxLength) {
+      throw new ValidationError(
+        `Comment too long. Maximum: ${maxLength} characters`,
+        { ...context, field: "comment" }
+      );
     }
   }
 
@@ -159,66 +758,717 @@ class EnhancedLnurlPay {
    * Request invoice with service params (2nd step) - with POS support
    * @param {Object} options - Request options
    * @param {Object} options.params - Service parameters from requestPayServiceParams
-   * @param {number} options.tokens - Amount in satoshis
+   * @param {number} [options.tokens] - Amount in satoshis
+   * @param {number|bigint|string|Object} [options.amount] - Amount in msats,
+   *   or `{value, unit}` with unit "msat", "sat" or "btc"; replaces tokens
+   * @param {Object} [options.fiat] - Fiat amount `{amount, currency}`;
+   *   replaces tokens. `native: false` skips the service's own conversion,
+   *   `tolerance` bounds its invoice amount (default 0.01)
+   * @param {Object} [options.rateProvider] - `getRate(currency, {signal})`
+   *   resolving to `{rate, timestamp, spread}`, for fiat amounts the service
+   *   doesn't convert
    * @param {string} [options.comment] - Optional comment for the payment
+   * @param {Object} [options.payerData] - LUD-18 payer data (name, pubkey,
+   *   identifier, email, auth) requested by the service
+   * @param {string} [options.nostr] - Serialized NIP-57 zap request; the
+   *   invoice must commit to it instead of the metadata
+   * @param {boolean} [options.onionAllowed=false] - Allow onion callback URLs
+   * @param {Object} [options.policy] - Resolution policy from
+   *   createResolutionPolicy, checking the params, callback and success
+   *   action URLs
+   * @param {Function} [options.fetchGet] - Custom fetch function, receives
+   *   `{url, params, signal}`
    * @param {number} [options.timeout=30000] - Request timeout in milliseconds
-   * @returns {Promise<Object>} Invoice response
-   * @throws {Error} When validation fails or request errors occur
+   * @param {number} [options.deadline] - Overall deadline (ms since epoch)
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {string} [options.network="bitcoin"] - Network the invoice must be for
+   * @param {boolean} [options.validateDescriptionHash=true] - Reject invoices whose
+   *   description_hash doesn't match the metadata (false only flags them)
+   * @param {string[]} [options.payees] - Node pubkeys allowed to issue the
+   *   invoice, e.g. from `pins.getPayees(resolveLnurl(input))`
+   * @returns {Promise<Object>} Invoice response including the decoded invoice
+   * @throws {ValidationError} When the input is invalid or the cached params
+   *   have expired
+   * @throws {AmountOutOfRangeError} When the amount is outside the service
+   *   limits
+   * @throws {ServiceError} When the service returns an error or invalid data
+   * @throws {NetworkError} When the service cannot be reached
+   * @throws {TimeoutError} When the request times out
+   * @throws {InvoiceMismatchError} When the invoice does not match the request
    */
   static async requestInvoiceWithServiceParams(options) {
+    const params = options.params;
+    const context = {
+      step: "input",
+      posMode: Boolean(params && params.posMode),
+    };
+
     // Input validation
-    if (!options.params) {
-      throw new Error("params is required");
-    }
-    if (!Number.isInteger(options.tokens) || options.tokens <= 0) {
-      throw new Error("tokens must be a positive integer");
+    if (!params) {
+      throw new ValidationError("params is required", {
+        ...context,
+        field: "params",
+      });
     }
-    if (options.comment && typeof options.comment !== "string") {
-      throw new Error("comment must be a string");
+    let amount = this.parseRequestAmount(options, context);
+    let payees;
+    if (options.payees !== undefined) {
+      try {
+        payees = normalizePayees(options.payees);
+      } catch (error) {
+        throw withErrorContext(error, context);
+      }
     }
 
-    // Validate amount against service limits
-    if (options.tokens < options.params.min) {
-      throw new Error(`Amount too small. Minimum: ${options.params.min} sats`);
+    // Cached params carry an expiry; never request an invoice with old limits
+    if (params.expiresAt !== undefined && Date.now() >= params.expiresAt) {
+      throw new ValidationError(
+        "Service params have expired, request them again",
+        { ...context, code: "PARAMS_EXPIRED", field: "params" }
+      );
     }
-    if (options.tokens > options.params.max) {
-      throw new Error(`Amount too large. Maximum: ${options.params.max} sats`);
+
+    if (amount.unit === "fiat") {
+      amount = await this.convertFiatAmount(amount, options, params, context);
     }
 
+    // Validate amount against service limits, in msats
+    const msats = this.selectMsats(amount, params, context);
+
     // Validate comment length
+    this.validateComment(options.comment, params.commentAllowed, context);
+
+    // LUD-18: the invoice commits to the metadata followed by the exact
+    // payerData string sent
+    const payerData = validatePayerData(
+      options.payerData,
+      params.payerData || null,
+      context
+    );
+    const payerDataJson = payerData ? JSON.stringify(payerData) : undefined;
+    if (options.nostr !== undefined) {
+      this.assertZapsSupported(params, context);
+    }
+    // NIP-57 zaps commit to the zap request itself
+    const metadataSource =
+      options.nostr !== undefined
+        ? { metadata: String(options.nostr) }
+        : this.getMetadataSource(params, payerDataJson);
+    if (!metadataSource) {
+      throw new ValidationError(
+        "params.rawMetadata is required to send payerData",
+        { ...context, field: "params" }
+      );
+    }
+
+    let callback;
+    try {
+      callback = new URL(params.callback);
+    } catch (error) {
+      throw new ValidationError("Invalid callback URL in params", {
+        ...context,
+        field: "params",
+        cause: error,
+      });
+    }
+    if (/\.onion$/i.test(callback.hostname) && !options.onionAllowed) {
+      throw new ValidationError(
+        "Onion URLs are not allowed (set onionAllowed to enable)",
+        { ...context, code: "ONION_NOT_ALLOWED", field: "onionAllowed" }
+      );
+    }
+
+    try {
+      // Within maxSendable, so a safe integer
+      const callbackParams = {
+        amount: amount.callbackAmount || Number(msats),
+      };
+      if (params.posMode) {
+        // The service needs the flag again to accept amounts below its
+        // standard minimum
+        callbackParams.pos = "true";
+      }
+      if (options.comment) {
+        callbackParams.comment = options.comment;
+      }
+      if (payerDataJson) {
+        callbackParams.payerdata = payerDataJson;
+      }
+      if (options.nostr !== undefined) {
+        callbackParams.nostr = String(options.nostr);
+      }
+
+      const fetchGet = this.getFetchGet(options);
+      const data = await withTimeout("callback", options, (signal) =>
+        fetchGet({ url: callback.toString(), params: callbackParams, signal })
+      );
+      assertNotLnurlError(data);
+
+      // url success actions send the payer to yet another host
+      const successAction = data && data.successAction;
+      if (options.policy && successAction && successAction.tag === "url") {
+        await withTimeout("callback", options, () =>
+          options.policy.checkAddress(successAction.url)
+        );
+      }
+
+      const invoice = data && data.pr && String(data.pr);
+      if (!invoice) {
+        throw new ServiceError("Invalid pay service invoice", {
+          code: "INVALID_RESPONSE",
+        });
+      }
+
+      // Check the invoice itself instead of trusting the service
+      let decodedInvoice;
+      try {
+        decodedInvoice = verifyInvoice(invoice, {
+          msats,
+          tolerance: amount.tolerance,
+          network: options.network,
+          ...metadataSource,
+          validateDescriptionHash: options.validateDescriptionHash,
+          payees,
+        });
+      } catch (error) {
+        if (error.code !== "INVALID_INVOICE") {
+          throw error;
+        }
+        throw new ServiceError(
+          `Invalid pay service invoice: ${error.message}`,
+          {
+            code: "INVALID_INVOICE",
+            step: "verify",
+            cause: error,
+          }
+        );
+      }
+
+      return {
+        params,
+        rawData: data,
+        invoice,
+        // LUD-21 URL to check whether the invoice was paid
+        verify: parseVerifyUrl(data.verify),
+        successAction: data.successAction
+          ? {
+              ...data.successAction,
+              // Same helper lnurl-pay attaches to aes success actions
+              decipher: (preimage) =>
+                data.successAction.tag === "aes"
+                  ? processSuccessAction(data.successAction, preimage).plaintext
+                  : null,
+            }
+          : undefined,
+        decodedInvoice,
+        fiat: amount.fiat && {
+          ...amount.fiat,
+          msats: decodedInvoice.amountMsat,
+        },
+        hasValidAmount: true,
+        hasValidDescriptionHash: decodedInvoice.hasValidDescriptionHash,
+        validatePreimage: (preimage) =>
+          isValidPreimage(preimage, decodedInvoice.paymentHash),
+        processSuccessAction: (preimage) =>
+          processSuccessAction(data.successAction, preimage, {
+            domain: params.domain,
+          }),
+      };
+    } catch (error) {
+      throw withErrorContext(error, {
+        step: "callback",
+        posMode: params.posMode,
+        message: "Invoice request failed",
+      });
+    }
+  }
+
+  /**
+   * Request a NIP-57 zap invoice: sign a kind 9734 zap request (or take one
+   * already signed) and send it to a service that supports zaps
+   * @param {Object} options - Request options
+   * @param {string} options.lnUrlOrAddress - Lightning address, LNURL, lnurlp:// or HTTPS URL
+   * @param {number} [options.tokens] - Amount in satoshis
+   * @param {number|bigint|string|Object} [options.amount] - Amount in whole
+   *   msats, or `{value, unit}`; replaces tokens. `fiat` is not supported
+   * @param {Object} [options.zapRequest] - Signed zap request to send as is
+   * @param {Object} [options.signer] - Nostr signer with getPublicKey() and
+   *   signEvent(event), e.g. from createNostrSigner or a NIP-07 extension
+   * @param {string} [options.recipientPubkey] - Recipient's Nostr pubkey (hex),
+   *   required with a signer
+   * @param {string[]} [options.relays] - Relays for the zap receipt, required
+   *   with a signer
+   * @param {string} [options.eventId] - Zapped event id (hex)
+   * @param {string} [options.comment] - Zap comment, sent as the event content
+   * @param {boolean} [options.posMode=false] - Enable POS mode
+   * @param {boolean} [options.onionAllowed=false] - Allow onion URLs
+   * @param {boolean} [options.allowInsecure=false] - Allow plain HTTP URLs
+   *   to clearnet hosts, e.g. a local test service
+   * @param {Object} [options.policy] - Resolution policy from
+   *   createResolutionPolicy, checking the params, callback and success
+   *   action URLs
+   * @param {Function} [options.fetchGet] - Custom fetch function
+   * @param {number} [options.timeout=30000] - Timeout per request in milliseconds
+   * @param {number} [options.totalTimeout] - Timeout for both requests together
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Object} [options.cache] - Params cache from createParamsCache
+   * @param {string} [options.network="bitcoin"] - Network the invoice must be for
+   * @param {boolean} [options.validateDescriptionHash=true] - Reject invoices
+   *   whose description_hash doesn't match the zap request
+   * @param {Object} [options.payeePins] - Payee pubkeys pinned per address
+   *   or domain, as for requestInvoice
+   * @returns {Promise<Object>} Invoice response as from requestInvoice, with
+   *   the signed `zapRequest`
+   * @throws {ValidationError} When the input or zap request is invalid
+   * @throws {ServiceError} When the service does not support zaps, returns an
+   *   error or invalid data
+   * @throws {NetworkError} When the service cannot be reached
+   * @throws {InvoiceMismatchError} When the invoice does not match the zap
+   *   request
+   */
+  static async requestZapInvoice(options) {
+    const context = { step: "input", posMode: options.posMode === true };
+
+    // Input validation
+    if (!options.lnUrlOrAddress) {
+      throw new ValidationError("lnUrlOrAddress is required", {
+        ...context,
+        field: "lnUrlOrAddress",
+      });
+    }
+    this.validatePosMode(options.posMode, context, false);
+    const amount = this.parseRequestAmount(options, context);
+    // The zap request is signed before the service's currencies or a rate
+    // are known, so it can't commit to a converted fiat amount
+    if (amount.unit === "fiat") {
+      throw new ValidationError(
+        "Zaps take tokens or amount, not fiat: convert the fiat amount first",
+        { ...context, field: "fiat" }
+      );
+    }
+    // The zap request commits to the exact amount
+    if (amount.floor !== amount.ceil) {
+      throw new ValidationError("Zap amounts must be whole msats", {
+        ...context,
+        field: "amount",
+      });
+    }
+    const msats = amount.floor;
+
+    if (options.zapRequest) {
+      try {
+        validateZapRequest(options.zapRequest, { msats });
+      } catch (error) {
+        throw withErrorContext(error, context);
+      }
+    } else {
+      this.validateZapOptions(options, context);
+    }
+
+    const resolved = this.resolvePayUrl(
+      options.lnUrlOrAddress,
+      options,
+      context
+    );
+    const payees = this.getPinnedPayees(options.payeePins, resolved, context);
+
+    const deadline =
+      options.totalTimeout !== undefined
+        ? Date.now() + options.totalTimeout
+        : undefined;
+    const posMode = options.posMode === true;
+
+    try {
+      const params = await this.requestPayServiceParams({
+        lnUrlOrAddress: options.lnUrlOrAddress,
+        posMode,
+        onionAllowed: options.onionAllowed,
+        allowInsecure: options.allowInsecure,
+        fetchGet: options.fetchGet,
+        policy: options.policy,
+        timeout: options.timeout,
+        deadline,
+        signal: options.signal,
+        cache: options.cache,
+      });
+      this.assertZapsSupported(params, { ...context, step: "params" });
+
+      // Only ask the signer once the service is known to accept zaps
+      const zapRequest =
+        options.zapRequest ||
+        (await this.signZapRequest(
+          options.signer,
+          buildZapRequest({
+            recipientPubkey: options.recipientPubkey.toLowerCase(),
+            msats,
+            lnurl: encodeLnurl(resolved.url).toLowerCase(),
+            relays: options.relays,
+            eventId: options.eventId && options.eventId.toLowerCase(),
+            content: options.comment,
+          }),
+          msats
+        ));
+
+      const invoiceResponse = await this.requestInvoiceWithServiceParams({
+        params,
+        tokens: options.tokens,
+        amount: options.amount,
+        nostr: JSON.stringify(zapRequest),
+        onionAllowed: options.onionAllowed,
+        fetchGet: options.fetchGet,
+        policy: options.policy,
+        timeout: options.timeout,
+        deadline,
+        signal: options.signal,
+        network: options.network,
+        validateDescriptionHash: options.validateDescriptionHash,
+        payees,
+      });
+
+      return {
+        invoice: invoiceResponse.invoice,
+        params,
+        successAction: invoiceResponse.successAction,
+        rawData: invoiceResponse.rawData,
+        decodedInvoice: invoiceResponse.decodedInvoice,
+        hasValidAmount: invoiceResponse.hasValidAmount,
+        hasValidDescriptionHash: invoiceResponse.hasValidDescriptionHash,
+        validatePreimage: invoiceResponse.validatePreimage,
+        processSuccessAction: invoiceResponse.processSuccessAction,
+        verify: invoiceResponse.verify,
+        fiat: invoiceResponse.fiat,
+        mode: posMode ? "pos" : "standard",
+        modeReason: "requested",
+        zapRequest,
+      };
+    } catch (error) {
+      throw withErrorContext(error, {
+        step: "callback",
+        posMode,
+        message: "Zap invoice request failed",
+      });
+    }
+  }
+
+  /**
+   * Validate the options needed to build a zap request
+   * @param {Object} options - requestZapInvoice options
+   * @param {Object} context - Step and POS mode for thrown errors
+   * @throws {ValidationError} When the signer, recipient, relays or event id
+   *   are missing or malformed
+   */
+  static validateZapOptions(options, context) {
+    const fail = (message, field) =>
+      new ValidationError(message, { ...context, field });
+
     if (
-      options.comment &&
-      options.comment.length > options.params.commentAllowed
+      !options.signer ||
+      typeof options.signer.getPublicKey !== "function" ||
+      typeof options.signer.signEvent !== "function"
     ) {
-      throw new Error(
-        `Comment too long. Maximum: ${options.params.commentAllowed} characters`
+      throw fail("zapRequest or signer is required", "signer");
+    }
+    if (!/^[0-9a-f]{64}$/i.test(options.recipientPubkey || "")) {
+      throw fail(
+        "recipientPubkey must be a 32 byte hex public key",
+        "recipientPubkey"
       );
     }
+    if (
+      !Array.isArray(options.relays) ||
+      options.relays.length === 0 ||
+      !options.relays.every(
+        (relay) => typeof relay === "string" && /^wss?:\/\/\S+$/i.test(relay)
+      )
+    ) {
+      throw fail("relays must be a list of ws:// or wss:// URLs", "relays");
+    }
+    if (options.eventId && !/^[0-9a-f]{64}$/i.test(options.eventId)) {
+      throw fail("eventId must be a 32 byte hex event id", "eventId");
+    }
+    if (options.comment && typeof options.comment !== "string") {
+      throw fail("comment must be a string", "comment");
+    }
+  }
 
+  /**
+   * Sign a zap request and check what the signer returned
+   * @param {Object} signer - Nostr signer
+   * @param {Object} event - Unsigned zap request
+   * @param {number} msats - Requested amount in millisatoshis
+   * @returns {Promise<Object>} Signed zap request
+   * @throws {LnurlPayError} With code SIGNER_ERROR when signing fails
+   */
+  static async signZapRequest(signer, event, msats) {
+    let signed;
     try {
-      // Call the original lnurl-pay function
-      const result = await lnurlPay.requestInvoiceWithServiceParams({
-        params: options.params,
-        tokens: options.tokens,
-        comment: options.comment,
+      const pubkey = String(await signer.getPublicKey()).toLowerCase();
+      signed = await signer.signEvent({ ...event, pubkey });
+    } catch (error) {
+      throw new LnurlPayError(`Signer failed: ${error.message}`, {
+        code: "SIGNER_ERROR",
+        step: "sign",
+        cause: error,
       });
+    }
 
-      return result;
+    try {
+      return validateZapRequest(signed, { msats });
     } catch (error) {
-      // Re-throw validation errors as-is
-      if (
-        error.message.includes("is required") ||
-        error.message.includes("must be") ||
-        error.message.includes("too small") ||
-        error.message.includes("too large") ||
-        error.message.includes("too long")
-      ) {
-        throw error;
+      throw new LnurlPayError(
+        `Signer returned an invalid zap request: ${error.message}`,
+        { code: "SIGNER_ERROR", step: "sign", cause: error }
+      );
+    }
+  }
+
+  /**
+   * Make sure a service accepts NIP-57 zap requests
+   * @param {Object} params - Service parameters
+   * @param {Object} context - Step and POS mode for thrown errors
+   * @throws {ServiceError} When the service does not advertise allowsNostr
+   *   and a nostrPubkey
+   */
+  static assertZapsSupported(params, context) {
+    if (!params.allowsNostr || !params.nostrPubkey) {
+      throw new ServiceError("Service does not support Nostr zaps", {
+        ...context,
+        code: "ZAPS_NOT_SUPPORTED",
+      });
+    }
+  }
+
+  /**
+   * Request LNURL-withdraw (LUD-03) params
+   * @param {Object} options - Request options
+   * @param {string} options.lnUrlOrAddress - Bech32 LNURL, lnurlw:// or HTTPS URL
+   * @param {boolean} [options.posMode=false] - Enable POS mode
+   * @param {boolean} [options.onionAllowed=false] - Allow onion URLs
+   * @param {boolean} [options.allowInsecure=false] - Allow plain HTTP URLs
+   *   to clearnet hosts, e.g. a local test service
+   * @param {Object} [options.policy] - Resolution policy from
+   *   createResolutionPolicy, checking the params URL
+   * @param {Function} [options.fetchGet] - Custom fetch function, receives
+   *   `{url, signal}`
+   * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+   * @param {number} [options.deadline] - Overall deadline (ms since epoch)
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Object>} Withdraw parameters, bounds in msats
+   *   (`minWithdrawable`, `maxWithdrawable`) and sats (`min`, `max`)
+   * @throws {ValidationError} When the input is invalid
+   * @throws {ServiceError} When the service returns an error or invalid data
+   * @throws {NetworkError} When the service cannot be reached
+   * @throws {TimeoutError} When the request times out
+   */
+  static async requestWithdrawParams(options) {
+    const context = { step: "input", posMode: options.posMode === true };
+
+    if (!options.lnUrlOrAddress) {
+      throw new ValidationError("lnUrlOrAddress is required", {
+        ...context,
+        field: "lnUrlOrAddress",
+      });
+    }
+    this.validatePosMode(options.posMode, context, false);
+
+    const resolved = this.resolveEndpoint(
+      options.lnUrlOrAddress,
+      "withdrawRequest",
+      options,
+      context
+    );
+
+    try {
+      const url = new URL(resolved.url);
+      if (options.posMode) {
+        url.searchParams.set("pos", "true");
+      }
+
+      const fetchGet = this.getFetchGet(options);
+      const data = await withTimeout("params", options, (signal) =>
+        fetchGet({ url: url.toString(), signal })
+      );
+      const params = parseWithdrawParams(data);
+      params.posMode = options.posMode === true;
+
+      return params;
+    } catch (error) {
+      throw withErrorContext(error, {
+        step: "params",
+        posMode: options.posMode,
+        message: options.posMode
+          ? "Failed to get POS withdraw params"
+          : "Failed to get withdraw params",
+      });
+    }
+  }
+
+  /**
+   * Submit an invoice to an LNURL-withdraw service (LUD-03 second step)
+   * @param {Object} options - Request options
+   * @param {Object} options.params - Params from requestWithdrawParams
+   * @param {string} options.invoice - BOLT11 invoice the service should pay
+   * @param {boolean} [options.onionAllowed=false] - Allow onion callback URLs
+   * @param {Object} [options.policy] - Resolution policy from
+   *   createResolutionPolicy, checking the callback URL
+   * @param {Function} [options.fetchGet] - Custom fetch function, receives
+   *   `{url, params, signal}`
+   * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+   * @param {number} [options.deadline] - Overall deadline (ms since epoch)
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {string} [options.network="bitcoin"] - Network the invoice must be for
+   * @returns {Promise<Object>} `{params, invoice, decodedInvoice, rawData}`
+   *   once the service accepted the invoice
+   * @throws {ValidationError} When the input or the invoice is invalid
+   * @throws {AmountOutOfRangeError} When the invoice amount is outside the
+   *   withdrawable range (amounts in msats)
+   * @throws {ServiceError} When the service returns an error or invalid data
+   * @throws {NetworkError} When the service cannot be reached
+   * @throws {TimeoutError} When the request times out
+   */
+  static async submitWithdrawInvoice(options) {
+    const params = options.params;
+    const context = {
+      step: "input",
+      posMode: Boolean(params && params.posMode),
+    };
+
+    if (!params || !params.callback || !params.k1) {
+      throw new ValidationError("params with a callback and k1 is required", {
+        ...context,
+        field: "params",
+      });
+    }
+    if (!options.invoice || typeof options.invoice !== "string") {
+      throw new ValidationError("invoice is required", {
+        ...context,
+        field: "invoice",
+      });
+    }
+
+    let decodedInvoice;
+    try {
+      decodedInvoice = decodeInvoice(options.invoice);
+    } catch (error) {
+      throw withErrorContext(error, context);
+    }
+
+    const network = options.network || "bitcoin";
+    if (decodedInvoice.network !== network) {
+      throw new ValidationError(
+        `Invoice network mismatch. Expected: ${network}, got: ${decodedInvoice.network}`,
+        { ...context, field: "invoice" }
+      );
+    }
+    if (decodedInvoice.expiresAt <= Math.floor(Date.now() / 1000)) {
+      throw new ValidationError("Invoice has already expired", {
+        ...context,
+        field: "invoice",
+      });
+    }
+    if (decodedInvoice.amountMsat === null) {
+      throw new ValidationError("Withdraw invoices must have an amount", {
+        ...context,
+        field: "invoice",
+      });
+    }
+
+    // Bounds are compared in msats so sub-satoshi limits are honoured
+    const amount = BigInt(decodedInvoice.amountMsat);
+    const bounds = {
+      ...context,
+      field: "invoice",
+      unit: "msat",
+      amount: Number(amount),
+      min: params.minWithdrawable,
+      max: params.maxWithdrawable,
+    };
+    if (amount < BigInt(params.minWithdrawable)) {
+      throw new AmountOutOfRangeError(
+        `Amount too small. Minimum: ${params.minWithdrawable} msats`,
+        bounds
+      );
+    }
+    if (amount > BigInt(params.maxWithdrawable)) {
+      throw new AmountOutOfRangeError(
+        `Amount too large. Maximum: ${params.maxWithdrawable} msats`,
+        bounds
+      );
+    }
+
+    let callback;
+    try {
+      callback = new URL(params.callback);
+    } catch (error) {
+      throw new ValidationError("Invalid callback URL in params", {
+        ...context,
+        field: "params",
+        cause: error,
+      });
+    }
+    if (/\.onion$/i.test(callback.hostname) && !options.onionAllowed) {
+      throw new ValidationError(
+        "Onion URLs are not allowed (set onionAllowed to enable)",
+        { ...context, code: "ONION_NOT_ALLOWED", field: "onionAllowed" }
+      );
+    }
+
+    try {
+      const callbackParams = { k1: params.k1, pr: options.invoice };
+      if (params.posMode) {
+        callbackParams.pos = "true";
+      }
+
+      const fetchGet = this.getFetchGet(options);
+      const data = await withTimeout("callback", options, (signal) =>
+        fetchGet({ url: callback.toString(), params: callbackParams, signal })
+      );
+      assertNotLnurlError(data);
+
+      if (!data || data.status !== "OK") {
+        throw new ServiceError("Invalid withdraw service response", {
+          code: "INVALID_RESPONSE",
+        });
       }
 
-      // Wrap other errors with context
-      throw new Error(`Invoice request failed: ${error.message}`);
+      return {
+        params,
+        invoice: options.invoice,
+        decodedInvoice,
+        rawData: data,
+      };
+    } catch (error) {
+      throw withErrorContext(error, {
+        step: "callback",
+        posMode: params.posMode,
+        message: "Withdraw request failed",
+      });
+    }
+  }
+
+  /**
+   * Get what the invoice description_hash must commit to
+   * @param {Object} params - Service parameters
+   * @param {string} [payerData] - Serialized LUD-18 payerData sent with the
+   *   callback, hashed after the metadata
+   * @returns {Object|null} Raw metadata string, or the precomputed hash for
+   *   params that were not fetched through this library; null when payerData
+   *   is sent but the raw metadata is unknown
+   */
+  static getMetadataSource(params, payerData) {
+    let metadata;
+    if (typeof params.rawMetadata === "string") {
+      metadata = params.rawMetadata;
+    } else if (params.rawData && typeof params.rawData.metadata === "string") {
+      metadata = params.rawData.metadata;
+    }
+
+    if (payerData) {
+      return metadata !== undefined ? { metadata: metadata + payerData } : null;
     }
+    return metadata !== undefined
+      ? { metadata }
+      : { descriptionHash: params.metadataHash || "" };
   }
 
   /**
@@ -259,9 +1509,25 @@ class EnhancedLnurlPay {
     return imageEntry ? imageEntry[1] : "";
   }
 
+  /**
+   * Parse and validate LUD-06 metadata
+   * @param {string|Array} metadata - Raw metadata string or metadata array
+   * @param {Object} [options] - Parsing options
+   * @param {number} [options.maxImageSize=131072] - Largest accepted image
+   *   in bytes
+   * @returns {Object} `{description, longDescription, image, identifier,
+   *   email, tags}`
+   * @throws {ValidationError} When the metadata doesn't follow LUD-06
+   */
+  static parseMetadata(metadata, options) {
+    return parseMetadata(metadata, options);
+  }
+
   /**
    * Calculate metadata hash
-   * @param {string|Array} metadata - Metadata to hash
+   * @param {string|Array|Object} metadata - Raw metadata string as sent by the
+   *   service, or service params (their raw metadata is used). Arrays are
+   *   re-serialized and only match services that send compact JSON.
    * @returns {string} Hash string
    */
   static calculateMetadataHash(metadata) {
@@ -269,25 +1535,94 @@ class EnhancedLnurlPay {
       return "";
     }
 
-    const metadataString = Array.isArray(metadata)
-      ? JSON.stringify(metadata)
-      : String(metadata);
+    if (Array.isArray(metadata)) {
+      return hashMetadata(JSON.stringify(metadata));
+    }
+
+    if (typeof metadata === "object") {
+      const source = this.getMetadataSource(metadata);
+      return source.metadata !== undefined
+        ? hashMetadata(source.metadata)
+        : source.descriptionHash;
+    }
 
-    return crypto.createHash("sha256").update(metadataString).digest("hex");
+    return hashMetadata(String(metadata));
   }
 }
 
-// Export individual functions to match lnurl-pay API
-module.exports = {
+// Functions a client applies its settings to, plus the helpers it passes
+// through
+const api = {
   requestInvoice: EnhancedLnurlPay.requestInvoice.bind(EnhancedLnurlPay),
   requestPayServiceParams:
     EnhancedLnurlPay.requestPayServiceParams.bind(EnhancedLnurlPay),
   requestInvoiceWithServiceParams:
     EnhancedLnurlPay.requestInvoiceWithServiceParams.bind(EnhancedLnurlPay),
+  requestZapInvoice: EnhancedLnurlPay.requestZapInvoice.bind(EnhancedLnurlPay),
+  requestWithdrawParams:
+    EnhancedLnurlPay.requestWithdrawParams.bind(EnhancedLnurlPay),
+  submitWithdrawInvoice:
+    EnhancedLnurlPay.submitWithdrawInvoice.bind(EnhancedLnurlPay),
   parseDescription: EnhancedLnurlPay.parseDescription.bind(EnhancedLnurlPay),
   extractImage: EnhancedLnurlPay.extractImage.bind(EnhancedLnurlPay),
+  parseMetadata: EnhancedLnurlPay.parseMetadata.bind(EnhancedLnurlPay),
   calculateMetadataHash:
     EnhancedLnurlPay.calculateMetadataHash.bind(EnhancedLnurlPay),
+  verifyPayment,
+  waitForPayment,
+  lnurlAuth,
+  resolveLnurl,
+  decodeLnurl,
+  encodeLnurl,
+  decodeInvoice,
+  verifyInvoice,
+  toMsats,
+  fromMsats,
+  formatMsats,
+  isValidPreimage,
+  processSuccessAction,
+};
+
+/**
+ * Create a client sharing defaults, transport, cache, logger and policy
+ * across calls. See lib/client.js.
+ * @param {Object} [options] - Client options
+ * @returns {Object} Client with the same methods as the module
+ */
+function createClient(options) {
+  return createLnurlClient(api, options);
+}
+
+// The module-level functions are a client without settings
+const defaultClient = createLnurlClient(api);
+
+// Export individual functions to match lnurl-pay API
+module.exports = {
+  ...defaultClient,
+  createClient,
+  encodeInvoice,
+  timingSafeEqual,
+  deriveLinkingKey,
+  createSeedSigner,
+  createNostrSigner,
+  createLnurlPayHandler,
+  createMockLnurlService,
+  createStaticRateProvider,
+  createResolutionPolicy,
+  createPayeePins,
+  loadPayeePins,
+  createTransport,
+  createParamsCache,
+  createMemoryStorage,
+  LnurlPayError,
+  ValidationError,
+  AmountOutOfRangeError,
+  ServiceError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  InvoiceMismatchError,
+  PolicyError,
 };
 
 // Also export the class for advanced usage
@@ -0,0 +1,127 @@
+const { ValidationError } = require("./errors");
+
+// Decimal places of each unit relative to millisatoshis
+const UNIT_DECIMALS = { msat: 0, sat: 3, btc: 11 };
+const UNIT_LABELS = { msat: "msats", sat: "sats", btc: "BTC" };
+const DECIMAL_REGEX = /^(\d+)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+// Far beyond any msat amount (21M BTC is 2.1e18 msats), small enough that
+// the BigInt arithmetic stays cheap
+const MAX_DIGITS = 40;
+const MAX_EXPONENT = 30;
+
+function invalidAmount(message) {
+  return new ValidationError(message, { field: "amount" });
+}
+
+function getDecimals(unit) {
+  if (!Object.prototype.hasOwnProperty.call(UNIT_DECIMALS, unit)) {
+    throw invalidAmount(
+      `Unknown amount unit: ${unit} (expected msat, sat or btc)`
+    );
+  }
+  return UNIT_DECIMALS[unit];
+}
+
+// Split a non-negative decimal into an integer and a power of ten:
+// value = digits * 10^exponent
+function parseDecimal(value) {
+  const match =
+    (typeof value === "string" || typeof value === "number") &&
+    DECIMAL_REGEX.exec(String(value).trim());
+  if (!match) {
+    throw invalidAmount(`Invalid amount value: ${value}`);
+  }
+  const [, whole, fraction = "", exponent = "0"] = match;
+  if (
+    whole.length + fraction.length > MAX_DIGITS ||
+    Math.abs(Number(exponent)) > MAX_EXPONENT
+  ) {
+    throw invalidAmount(`Amount value out of range: ${value}`);
+  }
+  return {
+    digits: BigInt(whole + fraction),
+    exponent: Number(exponent) - fraction.length,
+  };
+}
+
+/**
+ * Convert an amount to millisatoshis without going through floating point
+ * @param {number|bigint|string|Object} amount - Whole msats (number, bigint
+ *   or decimal string), or `{value, unit}` with unit "msat", "sat" or "btc"
+ *   and a decimal value such as `"0.0001"`
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.rounding="exact"] - "floor" or "ceil" to round
+ *   fractions of a msat, "exact" to reject them
+ * @returns {bigint} Millisatoshis
+ * @throws {ValidationError} When the amount is malformed or negative, or not
+ *   a whole number of msats with "exact" rounding
+ */
+function toMsats(amount, options = {}) {
+  const rounding = options.rounding || "exact";
+  if (typeof amount === "bigint") {
+    if (amount < 0n) {
+      throw invalidAmount("amount must not be negative");
+    }
+    return amount;
+  }
+  if (typeof amount === "number" && !Number.isSafeInteger(amount)) {
+    throw invalidAmount(
+      "amount in msats must be a safe integer, pass larger or fractional values as { value, unit }"
+    );
+  }
+
+  const isTagged = amount !== null && typeof amount === "object";
+  const decimals = isTagged ? getDecimals(amount.unit) : 0;
+  const { digits, exponent } = parseDecimal(isTagged ? amount.value : amount);
+
+  const shift = exponent + decimals;
+  if (shift >= 0) {
+    return digits * 10n ** BigInt(shift);
+  }
+  const divisor = 10n ** BigInt(-shift);
+  const msats = digits / divisor;
+  if (digits % divisor === 0n) {
+    return msats;
+  }
+  if (rounding === "floor") {
+    return msats;
+  }
+  if (rounding === "ceil") {
+    return msats + 1n;
+  }
+  const label = isTagged ? `${amount.value} ${amount.unit}` : amount;
+  throw invalidAmount(`${label} is not a whole number of msats`);
+}
+
+/**
+ * Express millisatoshis in another unit
+ * @param {number|bigint|string} msats - Whole millisatoshis
+ * @param {string} [unit="sat"] - "msat", "sat" or "btc"
+ * @returns {string} Exact decimal string without trailing zeros
+ */
+function fromMsats(msats, unit = "sat") {
+  const decimals = getDecimals(unit);
+  const value = toMsats(msats)
+    .toString()
+    .padStart(decimals + 1, "0");
+  const whole = value.slice(0, value.length - decimals);
+  const fraction = value.slice(value.length - decimals).replace(/0+$/, "");
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Format millisatoshis for display, e.g. "1.5 sats" or "0.0001 BTC"
+ * @param {number|bigint|string} msats - Whole millisatoshis
+ * @param {string} [unit="sat"] - "msat", "sat" or "btc"
+ * @returns {string} Amount with its unit
+ */
+function formatMsats(msats, unit = "sat") {
+  return `${fromMsats(msats, unit)} ${UNIT_LABELS[unit]}`;
+}
+
+module.exports = {
+  parseDecimal,
+  toMsats,
+  fromMsats,
+  formatMsats,
+};
@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const { resolveLnurl } = require("./resolve");
+const { assertNotLnurlError } = require("./params");
+const { getFetchGet } = require("./policy");
+const { withTimeout } = require("./timeout");
+const { fromSeed, derivePath, HARDENED_OFFSET } = require("./bip32");
+const { getPublicKey, sign, signatureToDer } = require("./secp256k1");
+const {
+  LnurlPayError,
+  ValidationError,
+  ServiceError,
+  withErrorContext,
+} = require("./errors");
+
+const AUTH_ACTIONS = ["register", "login", "link", "auth"];
+
+/**
+ * Derive the LUD-05 linking key for a domain: m/138'/<path> where the path
+ * is the first 16 bytes of HMAC-SHA256(hashingKey, domain) read as four
+ * uint32 values, and hashingKey is the private key at m/138'/0
+ * @param {Buffer|string} seed - BIP32 seed (Buffer or hex)
+ * @param {string} domain - Service domain name
+ * @returns {{privateKey: Buffer, publicKey: Buffer}} Linking key
+ */
+function deriveLinkingKey(seed, domain) {
+  const master = fromSeed(
+    Buffer.isBuffer(seed) ? seed : Buffer.from(seed, "hex")
+  );
+  const hashingKey = derivePath(master, "m/138'/0").privateKey;
+  const material = crypto
+    .createHmac("sha256", hashingKey)
+    .update(domain, "utf8")
+    .digest();
+
+  const path = [138 + HARDENED_OFFSET];
+  for (let i = 0; i < 16; i += 4) {
+    path.push(material.readUInt32BE(i));
+  }
+  const { privateKey } = derivePath(master, path);
+  return { privateKey, publicKey: getPublicKey(privateKey) };
+}
+
+/**
+ * Create a signer that derives LUD-05 linking keys from a seed. Hardware or
+ * remote signers implement the same two methods.
+ * @param {Buffer|string} seed - BIP32 seed (Buffer or hex)
+ * @returns {{getLinkingKey: Function, sign: Function}} Signer:
+ *   `getLinkingKey(domain)` resolves to the compressed public key (hex) and
+ *   `sign(k1, domain)` to the DER signature (hex) of the 32 byte k1
+ */
+function createSeedSigner(seed) {
+  const keys = new Map();
+  const linkingKey = (domain) => {
+    if (!keys.has(domain)) {
+      keys.set(domain, deriveLinkingKey(seed, domain));
+    }
+    return keys.get(domain);
+  };
+
+  return {
+    async getLinkingKey(domain) {
+      return linkingKey(domain).publicKey.toString("hex");
+    },
+    async sign(k1, domain) {
+      const { signature } = sign(
+        Buffer.from(k1, "hex"),
+        linkingKey(domain).privateKey
+      );
+      return signatureToDer(signature).toString("hex");
+    },
+  };
+}
+
+function invalidAuth(message, field = "lnurl") {
+  return new ValidationError(message, {
+    code: "INVALID_LNURL",
+    field,
+    step: "input",
+  });
+}
+
+/**
+ * Log in to a service with LNURL-auth (LUD-04): derive the linking key for
+ * the service domain, sign k1 and call back with `sig` and `key`
+ * @param {string} lnurl - Bech32 LNURL, keyauth:// or HTTPS login URL
+ * @param {Object} options - Auth options
+ * @param {Buffer|string} [options.seed] - BIP32 seed for LUD-05 keys
+ * @param {Object} [options.signer] - Signer with getLinkingKey(domain) and
+ *   sign(k1, domain), used instead of a seed
+ * @param {boolean} [options.onionAllowed=false] - Allow onion URLs
+ * @param {boolean} [options.allowInsecure=false] - Allow plain HTTP URLs to
+ *   clearnet hosts, e.g. a local test service
+ * @param {Function} [options.fetchGet] - Custom fetch function
+ * @param {Object} [options.policy] - Resolution policy from
+ *   createResolutionPolicy, checking the login URL
+ * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<Object>} `{domain, key, action, rawData}` once the
+ *   service accepted the signature
+ * @throws {ValidationError} When the input is not an LNURL-auth URL or no
+ *   seed or signer is given
+ * @throws {ServiceError} When the service rejects the login
+ * @throws {NetworkError} When the service cannot be reached
+ */
+async function lnurlAuth(lnurl, options = {}) {
+  let resolved;
+  try {
+    resolved = resolveLnurl(lnurl, {
+      onionAllowed: options.onionAllowed,
+      allowInsecure: options.allowInsecure,
+    });
+  } catch (error) {
+    throw withErrorContext(error, { step: "input" });
+  }
+
+  const url = new URL(resolved.url);
+  const tag = url.searchParams.get("tag") || resolved.tag;
+  if (tag !== "login") {
+    throw invalidAuth(
+      `Invalid LNURL type: expected login, got ${tag || "none"}`
+    );
+  }
+  const k1 = url.searchParams.get("k1") || "";
+  if (!/^[0-9a-f]{64}$/i.test(k1)) {
+    throw invalidAuth("Invalid LNURL-auth k1: 32 bytes of hex expected");
+  }
+  const action = url.searchParams.get("action");
+  if (action && !AUTH_ACTIONS.includes(action)) {
+    throw invalidAuth(`Invalid LNURL-auth action: ${action}`);
+  }
+
+  if (!options.signer && !options.seed) {
+    throw new ValidationError("seed or signer is required", {
+      field: "seed",
+      step: "input",
+    });
+  }
+  const signer = options.signer || createSeedSigner(options.seed);
+
+  let key;
+  let sig;
+  try {
+    key = String(await signer.getLinkingKey(resolved.domain));
+    sig = String(await signer.sign(k1.toLowerCase(), resolved.domain));
+  } catch (error) {
+    if (error instanceof LnurlPayError) {
+      throw error;
+    }
+    throw new LnurlPayError(`Signer failed: ${error.message}`, {
+      code: "SIGNER_ERROR",
+      step: "sign",
+      cause: error,
+    });
+  }
+  if (!/^0[23][0-9a-f]{64}$/i.test(key) || !/^30[0-9a-f]+$/i.test(sig)) {
+    throw new LnurlPayError(
+      "Signer returned an invalid key or signature: a compressed public key and a DER signature in hex are expected",
+      { code: "SIGNER_ERROR", step: "sign" }
+    );
+  }
+
+  try {
+    const fetchGet = getFetchGet(options);
+    const data = await withTimeout("callback", options, (signal) =>
+      fetchGet({ url: url.toString(), params: { sig, key }, signal })
+    );
+    assertNotLnurlError(data);
+
+    if (!data || data.status !== "OK") {
+      throw new ServiceError("Invalid auth service response", {
+        code: "INVALID_RESPONSE",
+      });
+    }
+
+    return { domain: resolved.domain, key, action, rawData: data };
+  } catch (error) {
+    throw withErrorContext(error, {
+      step: "callback",
+      message: "LNURL-auth failed",
+    });
+  }
+}
+
+module.exports = {
+  deriveLinkingKey,
+  createSeedSigner,
+  lnurlAuth,
+};
@@ -0,0 +1,168 @@
+/**
+ * Minimal bech32 codec (BIP-173) used for LNURL strings and BOLT11 invoices.
+ * Length limits are relaxed because both formats exceed the 90 char limit.
+ */
+
+const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+function polymod(values) {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) {
+        chk ^= GENERATOR[i];
+      }
+    }
+  }
+  return chk;
+}
+
+function hrpExpand(hrp) {
+  const result = [];
+  for (let i = 0; i < hrp.length; i++) {
+    result.push(hrp.charCodeAt(i) >>> 5);
+  }
+  result.push(0);
+  for (let i = 0; i < hrp.length; i++) {
+    result.push(hrp.charCodeAt(i) & 31);
+  }
+  return result;
+}
+
+function createChecksum(hrp, words) {
+  const values = hrpExpand(hrp).concat(words, [0, 0, 0, 0, 0, 0]);
+  const mod = polymod(values) ^ 1;
+  const result = [];
+  for (let i = 0; i < 6; i++) {
+    result.push((mod >>> (5 * (5 - i))) & 31);
+  }
+  return result;
+}
+
+/**
+ * Decode a bech32 string
+ * @param {string} str - Bech32 string (case-insensitive, not mixed case)
+ * @param {number} [limit=20000] - Maximum accepted length
+ * @returns {{prefix: string, words: number[]}} Human readable part and 5-bit words
+ * @throws {Error} When the string is malformed or the checksum is wrong
+ */
+function decode(str, limit = 20000) {
+  if (typeof str !== "string") {
+    throw new Error("Invalid bech32 string");
+  }
+  if (str.length < 8 || str.length > limit) {
+    throw new Error("Invalid bech32 string length");
+  }
+
+  const lowered = str.toLowerCase();
+  if (str !== lowered && str !== str.toUpperCase()) {
+    throw new Error("Invalid bech32 string: mixed case");
+  }
+
+  const split = lowered.lastIndexOf("1");
+  if (split < 1 || lowered.length - split - 1 < 6) {
+    throw new Error("Invalid bech32 string: missing separator");
+  }
+
+  const prefix = lowered.slice(0, split);
+  const words = [];
+  for (let i = split + 1; i < lowered.length; i++) {
+    const value = CHARSET.indexOf(lowered[i]);
+    if (value === -1) {
+      throw new Error(`Invalid bech32 character: ${lowered[i]}`);
+    }
+    words.push(value);
+  }
+
+  if (polymod(hrpExpand(prefix).concat(words)) !== 1) {
+    throw new Error("Invalid bech32 checksum");
+  }
+
+  return { prefix, words: words.slice(0, -6) };
+}
+
+/**
+ * Encode 5-bit words as a lowercase bech32 string
+ * @param {string} prefix - Human readable part
+ * @param {number[]} words - 5-bit words
+ * @returns {string} Bech32 string
+ */
+function encode(prefix, words) {
+  const hrp = prefix.toLowerCase();
+  const combined = words.concat(createChecksum(hrp, words));
+  return hrp + "1" + combined.map((word) => CHARSET[word]).join("");
+}
+
+function convertBits(data, fromBits, toBits, pad) {
+  let acc = 0;
+  let bits = 0;
+  const maxValue = (1 << toBits) - 1;
+  const result = [];
+
+  for (const value of data) {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((acc >>> bits) & maxValue);
+    }
+  }
+
+  if (pad) {
+    if (bits > 0) {
+      result.push((acc << (toBits - bits)) & maxValue);
+    }
+  } else if (bits >= fromBits || (acc << (toBits - bits)) & maxValue) {
+    throw new Error("Invalid bech32 padding");
+  }
+
+  return result;
+}
+
+/**
+ * Convert 8-bit bytes to 5-bit words
+ * @param {Buffer|number[]} bytes - Bytes to convert
+ * @returns {number[]} 5-bit words
+ */
+function toWords(bytes) {
+  return convertBits(bytes, 8, 5, true);
+}
+
+/**
+ * Convert 5-bit words to bytes
+ * @param {number[]} words - 5-bit words
+ * @returns {Buffer} Decoded bytes
+ */
+function fromWords(words) {
+  return Buffer.from(convertBits(words, 5, 8, false));
+}
+
+/**
+ * Convert 5-bit words to bytes, zero padding the last byte
+ * @param {number[]} words - 5-bit words
+ * @returns {Buffer} Padded bytes
+ */
+function fromWordsPadded(words) {
+  return Buffer.from(convertBits(words, 5, 8, true));
+}
+
+/**
+ * Convert 5-bit words to bytes, dropping incomplete trailing bits
+ * @param {number[]} words - 5-bit words
+ * @returns {Buffer} Decoded bytes
+ */
+function fromWordsUnsafe(words) {
+  return fromWordsPadded(words).slice(0, Math.floor((words.length * 5) / 8));
+}
+
+module.exports = {
+  decode,
+  encode,
+  toWords,
+  fromWords,
+  fromWordsPadded,
+  fromWordsUnsafe,
+};
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const {
+  N,
+  mod,
+  bytesToBigInt,
+  bigIntToBytes,
+  isValidPrivateKey,
+  getPublicKey,
+} = require("./secp256k1");
+
+const HARDENED_OFFSET = 0x80000000;
+
+function hmacSha512(key, data) {
+  return crypto.createHmac("sha512", key).update(data).digest();
+}
+
+/**
+ * Create a BIP32 master node from a seed
+ * @param {Buffer} seed - 16 to 64 byte seed
+ * @returns {{privateKey: Buffer, chainCode: Buffer}} Master node
+ * @throws {Error} When the seed has an invalid length or derives an invalid key
+ */
+function fromSeed(seed) {
+  if (!Buffer.isBuffer(seed) || seed.length < 16 || seed.length > 64) {
+    throw new Error("Seed must be 16 to 64 bytes");
+  }
+  const I = hmacSha512(Buffer.from("Bitcoin seed", "utf8"), seed);
+  const privateKey = I.slice(0, 32);
+  if (!isValidPrivateKey(privateKey)) {
+    throw new Error("Seed derives an invalid master key");
+  }
+  return { privateKey, chainCode: I.slice(32) };
+}
+
+/**
+ * Derive a private child node (BIP32 CKDpriv)
+ * @param {{privateKey: Buffer, chainCode: Buffer}} node - Parent node
+ * @param {number} index - Child index, >= 0x80000000 for hardened children
+ * @returns {{privateKey: Buffer, chainCode: Buffer}} Child node
+ * @throws {Error} When the index derives an invalid key
+ */
+function deriveChild(node, index) {
+  const indexBytes = Buffer.alloc(4);
+  indexBytes.writeUInt32BE(index >>> 0);
+  const data =
+    index >= HARDENED_OFFSET
+      ? Buffer.concat([Buffer.from([0]), node.privateKey, indexBytes])
+      : Buffer.concat([getPublicKey(node.privateKey), indexBytes]);
+
+  const I = hmacSha512(node.chainCode, data);
+  const tweak = bytesToBigInt(I.slice(0, 32));
+  const child = mod(tweak + bytesToBigInt(node.privateKey), N);
+  if (tweak >= N || child === 0n) {
+    throw new Error(`Invalid child key at index ${index}`);
+  }
+  return { privateKey: bigIntToBytes(child), chainCode: I.slice(32) };
+}
+
+/**
+ * Derive a node from a path such as m/138'/0
+ * @param {{privateKey: Buffer, chainCode: Buffer}} node - Master node
+ * @param {string|number[]} path - Path string or list of child indexes
+ * @returns {{privateKey: Buffer, chainCode: Buffer}} Derived node
+ * @throws {Error} When the path is malformed
+ */
+function derivePath(node, path) {
+  const indexes = Array.isArray(path)
+    ? path
+    : path
+        .split("/")
+        .filter((segment, i) => !(i === 0 && segment === "m"))
+        .map((segment) => {
+          const match = /^(\d+)('|h)?$/.exec(segment);
+          if (!match || Number(match[1]) >= HARDENED_OFFSET) {
+            throw new Error(`Invalid derivation path segment: ${segment}`);
+          }
+          return Number(match[1]) + (match[2] ? HARDENED_OFFSET : 0);
+        });
+
+  return indexes.reduce((parent, index) => deriveChild(parent, index), node);
+}
+
+module.exports = {
+  HARDENED_OFFSET,
+  fromSeed,
+  deriveChild,
+  derivePath,
+};
@@ -0,0 +1,424 @@
+const crypto = require("crypto");
+const bech32 = require("./bech32");
+const secp256k1 = require("./secp256k1");
+const { ValidationError } = require("./errors");
+
+// Human readable prefixes per network, longest first so "bcrt" wins over "bc"
+const NETWORKS = [
+  { prefix: "bcrt", name: "regtest" },
+  { prefix: "tbs", name: "signet" },
+  { prefix: "bc", name: "bitcoin" },
+  { prefix: "tb", name: "testnet" },
+  { prefix: "sb", name: "simnet" },
+];
+
+// Millisatoshis per unit of each amount multiplier
+const MULTIPLIERS = {
+  m: 100000000n,
+  u: 100000n,
+  n: 100n,
+};
+
+const TAGS = {
+  1: "p",
+  16: "s",
+  13: "d",
+  19: "n",
+  23: "h",
+  6: "x",
+  24: "c",
+  9: "f",
+  3: "r",
+  5: "9",
+  27: "m",
+};
+
+const DEFAULT_EXPIRY = 3600;
+const DEFAULT_MIN_FINAL_CLTV_EXPIRY = 18;
+
+function wordsToInt(words) {
+  return words.reduce((total, word) => total * 32 + word, 0);
+}
+
+function parseAmount(amount) {
+  if (!amount) {
+    return null;
+  }
+
+  const match = /^(\d+)([munp]?)$/.exec(amount);
+  if (!match || (match[1].length > 1 && match[1][0] === "0")) {
+    throw new Error(`Invalid invoice amount: ${amount}`);
+  }
+
+  const value = BigInt(match[1]);
+  const multiplier = match[2];
+  if (!multiplier) {
+    return value * 100000000000n;
+  }
+  if (multiplier === "p") {
+    if (value % 10n !== 0n) {
+      throw new Error("Invalid invoice amount: sub-millisatoshi precision");
+    }
+    return value / 10n;
+  }
+  return value * MULTIPLIERS[multiplier];
+}
+
+function parseRoutingHints(bytes) {
+  const hints = [];
+  for (let offset = 0; offset + 51 <= bytes.length; offset += 51) {
+    const hop = bytes.slice(offset, offset + 51);
+    hints.push({
+      pubkey: hop.slice(0, 33).toString("hex"),
+      shortChannelId: [
+        hop.readUIntBE(33, 3),
+        hop.readUIntBE(36, 3),
+        hop.readUInt16BE(39),
+      ].join("x"),
+      feeBaseMsat: hop.readUInt32BE(41),
+      feeProportionalMillionths: hop.readUInt32BE(45),
+      cltvExpiryDelta: hop.readUInt16BE(49),
+    });
+  }
+  return hints;
+}
+
+function parseFeatureBits(words) {
+  const bits = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[words.length - 1 - i];
+    for (let bit = 0; bit < 5; bit++) {
+      if ((word >> bit) & 1) {
+        bits.push(i * 5 + bit);
+      }
+    }
+  }
+  return bits;
+}
+
+/**
+ * Decode a BOLT11 payment request without any network access
+ * @param {string} invoice - BOLT11 invoice, optionally prefixed with "lightning:"
+ * @returns {Object} Decoded invoice. Amounts are strings in millisatoshis
+ *   (`amountMsat`) plus whole satoshis (`amountSat`) when exact
+ * @throws {ValidationError} When the invoice is malformed or its signature is
+ *   invalid (code INVALID_INVOICE)
+ */
+function decodeInvoice(invoice) {
+  if (!invoice || typeof invoice !== "string") {
+    throw new ValidationError("invoice is required", { field: "invoice" });
+  }
+
+  try {
+    return decodePaymentRequest(invoice);
+  } catch (error) {
+    throw new ValidationError(error.message, {
+      code: "INVALID_INVOICE",
+      field: "invoice",
+      cause: error,
+    });
+  }
+}
+
+function decodePaymentRequest(invoice) {
+  const paymentRequest = invoice.trim().replace(/^lightning:/i, "");
+  const { prefix, words } = bech32.decode(
+    paymentRequest,
+    Number.MAX_SAFE_INTEGER
+  );
+
+  if (!prefix.startsWith("ln")) {
+    throw new Error("Invalid invoice: prefix must start with ln");
+  }
+  if (words.length < 7 + 104) {
+    throw new Error("Invalid invoice: too short");
+  }
+
+  const network = NETWORKS.find((entry) =>
+    new RegExp(`^${entry.prefix}(\\d+[munp]?)?$`).test(prefix.slice(2))
+  );
+  if (!network) {
+    throw new Error(`Invalid invoice: unknown network prefix ${prefix}`);
+  }
+
+  const amountMsat = parseAmount(prefix.slice(2 + network.prefix.length));
+  const timestamp = wordsToInt(words.slice(0, 7));
+
+  const sigWords = words.slice(-104);
+  const dataWords = words.slice(0, -104);
+  const sigBytes = bech32.fromWordsUnsafe(sigWords);
+  const signature = sigBytes.slice(0, 64);
+  const recoveryId = sigBytes[64];
+
+  const decoded = {
+    paymentRequest,
+    network: network.name,
+    amountMsat: amountMsat === null ? null : amountMsat.toString(),
+    amountSat:
+      amountMsat === null || amountMsat % 1000n !== 0n
+        ? null
+        : Number(amountMsat / 1000n),
+    timestamp,
+    expiry: DEFAULT_EXPIRY,
+    expiresAt: 0,
+    paymentHash: null,
+    paymentSecret: null,
+    description: null,
+    descriptionHash: null,
+    payeeNodeKey: null,
+    minFinalCltvExpiry: DEFAULT_MIN_FINAL_CLTV_EXPIRY,
+    routingHints: [],
+    features: [],
+    metadata: null,
+    signature: signature.toString("hex"),
+    recoveryId,
+  };
+
+  let offset = 7;
+  while (offset < dataWords.length) {
+    if (offset + 3 > dataWords.length) {
+      throw new Error("Invalid invoice: truncated tagged field");
+    }
+    const tag = TAGS[dataWords[offset]];
+    const length = dataWords[offset + 1] * 32 + dataWords[offset + 2];
+    const fieldWords = dataWords.slice(offset + 3, offset + 3 + length);
+    offset += 3 + length;
+
+    if (fieldWords.length !== length) {
+      throw new Error("Invalid invoice: truncated tagged field");
+    }
+
+    // Fields with an unexpected length must be skipped (BOLT11)
+    switch (tag) {
+      case "p":
+        if (length === 52 && !decoded.paymentHash) {
+          decoded.paymentHash = bech32
+            .fromWordsUnsafe(fieldWords)
+            .toString("hex");
+        }
+        break;
+      case "s":
+        if (length === 52 && !decoded.paymentSecret) {
+          decoded.paymentSecret = bech32
+            .fromWordsUnsafe(fieldWords)
+            .toString("hex");
+        }
+        break;
+      case "h":
+        if (length === 52 && !decoded.descriptionHash) {
+          decoded.descriptionHash = bech32
+            .fromWordsUnsafe(fieldWords)
+            .toString("hex");
+        }
+        break;
+      case "n":
+        if (length === 53 && !decoded.payeeNodeKey) {
+          decoded.payeeNodeKey = bech32
+            .fromWordsUnsafe(fieldWords)
+            .toString("hex");
+        }
+        break;
+      case "d":
+        decoded.description = bech32
+          .fromWordsUnsafe(fieldWords)
+          .toString("utf8");
+        break;
+      case "x":
+        decoded.expiry = wordsToInt(fieldWords);
+        break;
+      case "c":
+        decoded.minFinalCltvExpiry = wordsToInt(fieldWords);
+        break;
+      case "r":
+        decoded.routingHints.push(
+          parseRoutingHints(bech32.fromWordsUnsafe(fieldWords))
+        );
+        break;
+      case "9":
+        decoded.features = parseFeatureBits(fieldWords);
+        break;
+      case "m":
+        decoded.metadata = bech32.fromWordsUnsafe(fieldWords).toString("hex");
+        break;
+      default:
+        // Unknown and fallback address fields are not needed here
+        break;
+    }
+  }
+
+  if (!decoded.paymentHash) {
+    throw new Error("Invalid invoice: missing payment hash");
+  }
+
+  // The signature covers the human readable part and the data part
+  const hash = crypto
+    .createHash("sha256")
+    .update(
+      Buffer.concat([
+        Buffer.from(prefix, "utf8"),
+        bech32.fromWordsPadded(dataWords),
+      ])
+    )
+    .digest();
+
+  let recovered;
+  try {
+    recovered = secp256k1.recoverPublicKey(hash, signature, recoveryId);
+  } catch (error) {
+    throw new Error(`Invalid invoice signature: ${error.message}`);
+  }
+
+  if (
+    decoded.payeeNodeKey &&
+    decoded.payeeNodeKey !== recovered.toString("hex")
+  ) {
+    throw new Error("Invalid invoice signature: does not match payee node key");
+  }
+
+  decoded.payeeNodeKey = recovered.toString("hex");
+  decoded.expiresAt = timestamp + decoded.expiry;
+
+  return decoded;
+}
+
+function intToWords(value, length) {
+  const words = new Array(length).fill(0);
+  let rest = value;
+  for (let i = length - 1; i >= 0; i--) {
+    words[i] = rest % 32;
+    rest = Math.floor(rest / 32);
+  }
+  return words;
+}
+
+function minimalIntToWords(value) {
+  let length = 1;
+  while (value >= 32 ** length) {
+    length++;
+  }
+  return intToWords(value, length);
+}
+
+function featureBitsToWords(bits) {
+  const length = Math.ceil((Math.max(...bits) + 1) / 5);
+  const words = new Array(length).fill(0);
+  for (const bit of bits) {
+    words[length - 1 - Math.floor(bit / 5)] |= 1 << bit % 5;
+  }
+  return words;
+}
+
+function encodeAmount(msats) {
+  if (msats % 100000000000n === 0n) {
+    return String(msats / 100000000000n);
+  }
+  for (const [multiplier, unit] of Object.entries(MULTIPLIERS)) {
+    if (msats % unit === 0n) {
+      return `${msats / unit}${multiplier}`;
+    }
+  }
+  return `${msats * 10n}p`;
+}
+
+function taggedField(tag, words) {
+  const code = Number(Object.keys(TAGS).find((key) => TAGS[key] === tag));
+  return [code, words.length >> 5, words.length & 31, ...words];
+}
+
+/**
+ * Encode and sign a BOLT11 payment request, e.g. for test services
+ * @param {Object} options - Invoice fields
+ * @param {Buffer|string} options.privateKey - Node key signing the invoice
+ * @param {string} options.paymentHash - Payment hash (hex)
+ * @param {number|string|bigint} [options.msats] - Amount in millisatoshis
+ *   (no amount when omitted)
+ * @param {string} [options.network="bitcoin"] - bitcoin, testnet, signet,
+ *   regtest or simnet
+ * @param {string} [options.description] - Description
+ * @param {string} [options.descriptionHash] - SHA-256 of the description
+ *   (hex), used instead of a description
+ * @param {string} [options.paymentSecret] - Payment secret (hex, random
+ *   by default)
+ * @param {number} [options.timestamp] - Creation time (seconds, now by
+ *   default)
+ * @param {number} [options.expiry] - Expiry in seconds
+ * @param {number} [options.minFinalCltvExpiry] - Final CLTV delta
+ * @param {number[]} [options.features=[9, 15]] - Feature bits
+ *   (var_onion_optin and payment_secret by default)
+ * @returns {string} BOLT11 invoice
+ */
+function encodeInvoice(options) {
+  const network = NETWORKS.find(
+    (entry) => entry.name === (options.network || "bitcoin")
+  );
+  if (!network) {
+    throw new Error(`Unknown network: ${options.network}`);
+  }
+  const privateKey = Buffer.isBuffer(options.privateKey)
+    ? options.privateKey
+    : Buffer.from(String(options.privateKey), "hex");
+  const bytes = (hex) => bech32.toWords(Buffer.from(hex, "hex"));
+
+  const prefix = `ln${network.prefix}${
+    options.msats === undefined || options.msats === null
+      ? ""
+      : encodeAmount(BigInt(options.msats))
+  }`;
+  const timestamp =
+    options.timestamp !== undefined
+      ? options.timestamp
+      : Math.floor(Date.now() / 1000);
+
+  const words = [
+    ...intToWords(timestamp, 7),
+    ...taggedField("p", bytes(options.paymentHash)),
+  ];
+  if (options.descriptionHash) {
+    words.push(...taggedField("h", bytes(options.descriptionHash)));
+  } else {
+    words.push(
+      ...taggedField(
+        "d",
+        bech32.toWords(Buffer.from(options.description || "", "utf8"))
+      )
+    );
+  }
+  if (options.expiry !== undefined) {
+    words.push(...taggedField("x", minimalIntToWords(options.expiry)));
+  }
+  words.push(
+    ...taggedField(
+      "s",
+      bytes(options.paymentSecret || crypto.randomBytes(32).toString("hex"))
+    ),
+    ...taggedField("9", featureBitsToWords(options.features || [9, 15]))
+  );
+  if (options.minFinalCltvExpiry !== undefined) {
+    words.push(
+      ...taggedField("c", minimalIntToWords(options.minFinalCltvExpiry))
+    );
+  }
+
+  const hash = crypto
+    .createHash("sha256")
+    .update(
+      Buffer.concat([
+        Buffer.from(prefix, "utf8"),
+        bech32.fromWordsPadded(words),
+      ])
+    )
+    .digest();
+  const { signature, recoveryId } = secp256k1.sign(hash, privateKey);
+
+  return bech32.encode(
+    prefix,
+    words.concat(
+      bech32.toWords(Buffer.concat([signature, Buffer.from([recoveryId])]))
+    )
+  );
+}
+
+module.exports = {
+  decodeInvoice,
+  encodeInvoice,
+};
@@ -0,0 +1,177 @@
+const { resolveLnurl } = require("./resolve");
+
+const DEFAULT_TTL = 60000;
+const DEFAULT_STALE_WHILE_REVALIDATE = 0;
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * In-memory storage that evicts the least recently used entry when full
+ * @param {Object} [options] - Storage options
+ * @param {number} [options.maxEntries=500] - Entries kept before evicting
+ * @returns {Object} Storage with get, set and delete
+ */
+function createMemoryStorage(options = {}) {
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) {
+        return undefined;
+      }
+      // Re-insert so Map order tracks recency
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+function cacheKey(url, posMode) {
+  return `${url}#${posMode ? "pos" : "standard"}`;
+}
+
+/**
+ * Cache for requestPayServiceParams results, keyed by the resolved endpoint
+ * and POS mode. Fresh entries are served for `ttl` ms; for another
+ * `staleWhileRevalidate` ms the stale entry is served while it is refreshed
+ * in the background. Storage may be synchronous or return promises.
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttl=60000] - Time entries stay fresh (ms)
+ * @param {number} [options.staleWhileRevalidate=0] - Time stale entries may
+ *   still be served while refreshing (ms)
+ * @param {Object} [options.storage] - Storage with get, set and delete,
+ *   defaults to an in-memory LRU
+ * @param {Function} [options.now=Date.now] - Clock
+ * @returns {Object} Params cache
+ */
+function createParamsCache(options = {}) {
+  const ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+  const staleWhileRevalidate =
+    options.staleWhileRevalidate !== undefined
+      ? options.staleWhileRevalidate
+      : DEFAULT_STALE_WHILE_REVALIDATE;
+  const storage = options.storage || createMemoryStorage(options);
+  const now = options.now || Date.now;
+  const refreshing = new Map();
+
+  async function store(key, params) {
+    const fetchedAt = now();
+    const entry = {
+      params,
+      fetchedAt,
+      staleAt: fetchedAt + ttl,
+      expiresAt: fetchedAt + ttl + staleWhileRevalidate,
+    };
+    await storage.set(key, entry);
+    return entry;
+  }
+
+  function fromEntry(entry, fromCache) {
+    return {
+      ...entry.params,
+      fetchedAt: entry.fetchedAt,
+      expiresAt: entry.expiresAt,
+      fromCache,
+    };
+  }
+
+  function refresh(key, load) {
+    if (!refreshing.has(key)) {
+      const request = Promise.resolve()
+        .then(() => load(true))
+        .then((params) => store(key, params))
+        .catch(() => {
+          // Keep serving the stale entry until it expires
+        })
+        .finally(() => refreshing.delete(key));
+      refreshing.set(key, request);
+    }
+    return refreshing.get(key);
+  }
+
+  return {
+    ttl,
+    staleWhileRevalidate,
+    storage,
+
+    /**
+     * Get params for an endpoint, loading them when missing or expired
+     * @param {string} url - Resolved payRequest URL
+     * @param {boolean} posMode - POS mode of the params
+     * @param {Function} load - Fetches fresh params; called with true for
+     *   background refreshes, which must not use the caller's signal
+     * @returns {Promise<Object>} Params with fetchedAt, expiresAt and fromCache
+     */
+    async get(url, posMode, load) {
+      const key = cacheKey(url, posMode);
+      const entry = await storage.get(key);
+      const time = now();
+
+      if (entry && time < entry.staleAt) {
+        return fromEntry(entry, true);
+      }
+      if (entry && time < entry.expiresAt) {
+        refresh(key, load);
+        return fromEntry(entry, true);
+      }
+
+      return fromEntry(await store(key, await load(false)), false);
+    },
+
+    /**
+     * Get cached params that have not expired, without loading
+     * @param {string} url - Resolved payRequest URL
+     * @param {boolean} posMode - POS mode of the params
+     * @returns {Promise<Object|undefined>} Params, or undefined when not
+     *   cached
+     */
+    async peek(url, posMode) {
+      const entry = await storage.get(cacheKey(url, posMode));
+      return entry && now() < entry.expiresAt
+        ? fromEntry(entry, true)
+        : undefined;
+    },
+
+    /**
+     * Drop cached params for an address, LNURL or URL in both modes
+     * @param {string} lnUrlOrAddress - Input the params were requested for
+     * @returns {Promise<void>}
+     */
+    async invalidate(lnUrlOrAddress) {
+      const { url } = resolveLnurl(lnUrlOrAddress, {
+        onionAllowed: true,
+        allowInsecure: true,
+      });
+      await storage.delete(cacheKey(url, false));
+      await storage.delete(cacheKey(url, true));
+    },
+
+    /**
+     * Wait for background refreshes, mainly useful in tests
+     * @returns {Promise<void>}
+     */
+    async settle() {
+      await Promise.all(refreshing.values());
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStorage,
+  createParamsCache,
+};
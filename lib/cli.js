@@ -0,0 +1,330 @@
+const lnurlPay = require("../index");
+
+// Exit codes by error category
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  VALIDATION: 3,
+  SERVICE: 4,
+  NETWORK: 5,
+  MISMATCH: 6,
+};
+
+const USAGE = `Usage: bringin-lnurl <command> [options]
+
+Commands:
+  params <address>               Show the pay service params
+  invoice <address> <sats>       Request an invoice
+  decode <bolt11|lnurl>          Decode an invoice, LNURL or address
+  verify <invoice> <preimage>    Check a preimage against an invoice
+
+Options:
+  --pos                Use POS mode (params, invoice)
+  --comment <text>     Payment comment (invoice)
+  --timeout <ms>       Request timeout in milliseconds
+  --json               Print JSON instead of text
+  -h, --help           Show this help
+
+Exit codes: 0 ok, 1 unexpected error, 2 usage, 3 invalid input,
+4 service error, 5 network error or timeout, 6 invoice or preimage mismatch`;
+
+const COMMANDS = {
+  params: { args: 1, options: ["pos", "timeout"] },
+  invoice: { args: 2, options: ["pos", "comment", "timeout"] },
+  decode: { args: 1, options: [] },
+  verify: { args: 2, options: [] },
+};
+
+class UsageError extends Error {}
+
+/**
+ * Split command line arguments into command, positionals and flags
+ * @param {string[]} argv - Arguments after the executable
+ * @returns {{command: string, args: string[], flags: Object}} Parsed arguments
+ * @throws {UsageError} On unknown commands, options or missing arguments
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positionals = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      flags.help = true;
+    } else if (arg === "--json" || arg === "--pos") {
+      flags[arg.slice(2)] = true;
+    } else if (/^--(comment|timeout)(=|$)/.test(arg)) {
+      const equals = arg.indexOf("=");
+      const name = arg.slice(2, equals === -1 ? undefined : equals);
+      const value = equals === -1 ? argv[++i] : arg.slice(equals + 1);
+      if (value === undefined) {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      flags[name] = value;
+    } else if (arg.startsWith("--")) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  const [command, ...args] = positionals;
+  if (flags.help) {
+    return { command: "help", args, flags };
+  }
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new UsageError(
+      command ? `Unknown command: ${command}` : "Missing command"
+    );
+  }
+  if (args.length !== spec.args) {
+    throw new UsageError(`${command} expects ${spec.args} argument(s)`);
+  }
+  for (const name of ["pos", "comment", "timeout"]) {
+    if (flags[name] !== undefined && !spec.options.includes(name)) {
+      throw new UsageError(`--${name} is not supported by ${command}`);
+    }
+  }
+  if (flags.timeout !== undefined && !/^\d+$/.test(flags.timeout)) {
+    throw new UsageError("--timeout must be a number of milliseconds");
+  }
+
+  return { command, args, flags };
+}
+
+/**
+ * Map an error to the exit code of its category
+ * @param {Error} error - Thrown error
+ * @returns {number} Exit code
+ */
+function exitCodeFor(error) {
+  if (error instanceof UsageError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof lnurlPay.InvoiceMismatchError) {
+    return EXIT_CODES.MISMATCH;
+  }
+  if (error instanceof lnurlPay.ValidationError) {
+    return EXIT_CODES.VALIDATION;
+  }
+  if (error instanceof lnurlPay.ServiceError) {
+    return EXIT_CODES.SERVICE;
+  }
+  if (error instanceof lnurlPay.NetworkError) {
+    return EXIT_CODES.NETWORK;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+function formatFields(fields) {
+  const rows = fields.filter(
+    ([, value]) => value !== undefined && value !== null && value !== ""
+  );
+  const width = Math.max(...rows.map(([label]) => label.length));
+  return rows
+    .map(([label, value]) => `${label.padEnd(width)}  ${value}`)
+    .join("\n");
+}
+
+function describeParams(params) {
+  const payerData = params.payerData
+    ? Object.keys(params.payerData)
+        .map((field) =>
+          params.payerData[field].mandatory ? `${field}*` : field
+        )
+        .join(", ")
+    : null;
+
+  return formatFields([
+    ["Domain", params.domain],
+    ["Callback", params.callback],
+    ["Min", `${params.min} sats`],
+    ["Max", `${params.max} sats`],
+    ["Mode", params.posMode ? "pos" : "standard"],
+    [
+      "POS limits",
+      params.posMode
+        ? { true: "applied", false: "not applied", null: "unknown" }[
+            String(params.posLimitsApplied)
+          ]
+        : null,
+    ],
+    ["Standard min", params.posMode ? params.standardMin : null],
+    ["Description", params.description],
+    ["Identifier", params.identifier],
+    [
+      "Comments",
+      params.commentAllowed ? `${params.commentAllowed} chars` : "no",
+    ],
+    ["Payer data", payerData],
+    ["Zaps", params.allowsNostr ? "yes" : "no"],
+  ]);
+}
+
+function describeInvoice(decoded, extraFields = []) {
+  return formatFields([
+    ["Network", decoded.network],
+    [
+      "Amount",
+      decoded.amountMsat === null
+        ? "any"
+        : decoded.amountSat !== null
+        ? `${decoded.amountSat} sats`
+        : `${decoded.amountMsat} msats`,
+    ],
+    ["Payment hash", decoded.paymentHash],
+    ["Payee", decoded.payeeNodeKey],
+    ["Description", decoded.description],
+    ["Description hash", decoded.descriptionHash],
+    ["Created", formatDate(decoded.timestamp)],
+    [
+      "Expires",
+      `${formatDate(decoded.expiresAt)}${
+        decoded.expiresAt <= Date.now() / 1000 ? " (expired)" : ""
+      }`,
+    ],
+    ...extraFields,
+  ]);
+}
+
+// Functions in responses (validatePreimage, ...) are dropped by JSON.stringify
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+const handlers = {
+  async params([lnUrlOrAddress], flags, options) {
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress,
+      posMode: Boolean(flags.pos),
+      ...options,
+    });
+    return { ok: true, json: params, text: describeParams(params) };
+  },
+
+  async invoice([lnUrlOrAddress, sats], flags, options) {
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress,
+      tokens: /^\d+$/.test(sats) ? Number(sats) : NaN,
+      comment: flags.comment,
+      posMode: Boolean(flags.pos),
+      ...options,
+    });
+    const text = [
+      response.invoice,
+      "",
+      describeInvoice(response.decodedInvoice, [
+        ["Mode", `${response.mode} (${response.modeReason})`],
+        ["Verify URL", response.verify],
+        [
+          "Success action",
+          response.successAction && response.successAction.tag,
+        ],
+      ]),
+    ].join("\n");
+    return { ok: true, json: response, text };
+  },
+
+  async decode([input]) {
+    const value = input.replace(/^lightning:/i, "");
+    if (/^ln/i.test(value) && !/^lnurl/i.test(value)) {
+      const decoded = lnurlPay.decodeInvoice(value);
+      return { ok: true, json: decoded, text: describeInvoice(decoded) };
+    }
+
+    const resolved = lnurlPay.resolveLnurl(input);
+    const text = formatFields([
+      ["Type", resolved.type],
+      ["URL", resolved.url],
+      ["Tag", resolved.tag],
+      ["Domain", resolved.domain],
+    ]);
+    return { ok: true, json: resolved, text };
+  },
+
+  async verify([invoice, preimage]) {
+    const decoded = lnurlPay.decodeInvoice(invoice);
+    const valid = lnurlPay.isValidPreimage(preimage, decoded.paymentHash);
+    return {
+      ok: valid,
+      json: { valid, paymentHash: decoded.paymentHash },
+      text: valid
+        ? `Preimage matches payment hash ${decoded.paymentHash}`
+        : `Preimage does not match payment hash ${decoded.paymentHash}`,
+    };
+  },
+};
+
+function describeError(error) {
+  const details = { name: error.name, message: error.message };
+  for (const key of [
+    "code",
+    "step",
+    "field",
+    "reason",
+    "status",
+    "min",
+    "max",
+  ]) {
+    if (error[key] !== undefined) {
+      details[key] = error[key];
+    }
+  }
+  return details;
+}
+
+/**
+ * Run the bringin-lnurl command line tool
+ * @param {string[]} argv - Arguments after the executable
+ * @param {Object} [io] - Output streams and transport
+ * @param {Object} [io.stdout=process.stdout] - Stream for results
+ * @param {Object} [io.stderr=process.stderr] - Stream for errors and usage
+ * @param {Function} [io.fetchGet] - Custom fetch function
+ * @returns {Promise<number>} Exit code, see EXIT_CODES
+ */
+async function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const json = argv.includes("--json");
+
+  try {
+    const { command, args, flags } = parseArgs(argv);
+    if (command === "help") {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+
+    const options = {};
+    if (io.fetchGet) {
+      options.fetchGet = io.fetchGet;
+    }
+    if (flags.timeout !== undefined) {
+      options.timeout = Number(flags.timeout);
+    }
+
+    const result = await handlers[command](args, flags, options);
+    stdout.write(`${json ? toJson(result.json) : result.text}\n`);
+    return result.ok ? EXIT_CODES.OK : EXIT_CODES.MISMATCH;
+  } catch (error) {
+    if (json) {
+      stderr.write(`${toJson({ error: describeError(error) })}\n`);
+    } else {
+      stderr.write(`Error: ${error.message}\n`);
+      if (error instanceof UsageError) {
+        stderr.write(`\n${USAGE}\n`);
+      }
+    }
+    return exitCodeFor(error);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  run,
+};
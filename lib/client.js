@@ -0,0 +1,170 @@
+const { createTransport, defaultTransport } = require("./transport");
+
+// Methods taking their options as the first argument
+const OPTIONS_FIRST = [
+  "requestInvoice",
+  "requestPayServiceParams",
+  "requestInvoiceWithServiceParams",
+  "requestZapInvoice",
+  "requestWithdrawParams",
+  "submitWithdrawInvoice",
+];
+// Methods taking them after the invoice response or URL
+const OPTIONS_SECOND = [
+  "verifyPayment",
+  "waitForPayment",
+  "lnurlAuth",
+  "resolveLnurl",
+];
+
+// The only method that picks POS mode from the amount
+const AUTO_POS_MODE = ["requestInvoice"];
+
+// Copy the options that are set, so `{ timeout: undefined }` keeps the
+// client default
+function mergeOptions(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const key of Object.keys(source || {})) {
+      if (source[key] !== undefined) {
+        merged[key] = source[key];
+      }
+    }
+  }
+  return merged;
+}
+
+function log(logger, level, message, details) {
+  if (logger && typeof logger[level] === "function") {
+    logger[level](message, details);
+  }
+}
+
+// Log every request by origin and path; the query may carry comments and
+// payer data
+function withRequestLog(fetchGet, logger) {
+  return async (request) => {
+    let target = request.url;
+    try {
+      const url = new URL(request.url);
+      target = url.origin + url.pathname;
+    } catch (error) {
+      // Logged as given, the transport reports the invalid URL
+    }
+    const startedAt = Date.now();
+    try {
+      const data = await fetchGet(request);
+      log(logger, "debug", `GET ${target}`, {
+        durationMs: Date.now() - startedAt,
+      });
+      return data;
+    } catch (error) {
+      log(logger, "debug", `GET ${target} failed: ${error.message}`, {
+        durationMs: Date.now() - startedAt,
+        code: error.code,
+      });
+      throw error;
+    }
+  };
+}
+
+/**
+ * Create a client that applies shared settings to every call. It has the same
+ * methods as the module; options passed to a call override the client's.
+ * @param {Object} api - Module-level functions the client wraps
+ * @param {Object} [options] - Client options
+ * @param {Object} [options.defaults] - Options passed to every call, e.g.
+ *   `{ posMode: "auto", timeout: 10000, network: "signet" }`. For
+ *   waitForPayment `timeout` applies to each check (`requestTimeout`). A
+ *   `posMode: "auto"` default only applies to requestInvoice.
+ * @param {Function|Object} [options.transport] - fetchGet, or createTransport
+ *   options to build one
+ * @param {Object} [options.cache] - Params cache from createParamsCache
+ * @param {Object} [options.policy] - Resolution policy from
+ *   createResolutionPolicy
+ * @param {Object} [options.logger] - Logger with `debug` and `warn` methods,
+ *   e.g. console
+ * @returns {Object} Client with the module's request, verify and helper
+ *   methods
+ */
+function createClient(api, options = {}) {
+  const logger = options.logger;
+  const transport =
+    options.transport && typeof options.transport !== "function"
+      ? createTransport(options.transport)
+      : options.transport;
+  const shared = mergeOptions(
+    {
+      fetchGet: transport,
+      cache: options.cache,
+      policy: options.policy,
+    },
+    options.defaults
+  );
+
+  const getOptions = (name, callOptions) => {
+    let defaults = shared;
+    if (name === "waitForPayment" && shared.timeout !== undefined) {
+      // Its own timeout bounds the whole wait
+      const { timeout, ...rest } = shared;
+      defaults = { ...rest, requestTimeout: timeout };
+    }
+    if (defaults.posMode === "auto" && !AUTO_POS_MODE.includes(name)) {
+      // Without an amount there is nothing to decide on, use the standard
+      // params
+      const { posMode, ...rest } = defaults;
+      defaults = rest;
+    }
+    const merged = mergeOptions(defaults, callOptions);
+    if (logger && name !== "resolveLnurl") {
+      merged.fetchGet = withRequestLog(
+        merged.fetchGet || defaultTransport,
+        logger
+      );
+    }
+    return merged;
+  };
+
+  const run = async (name, call) => {
+    const startedAt = Date.now();
+    try {
+      const result = await call();
+      log(logger, "debug", `${name} done`, {
+        durationMs: Date.now() - startedAt,
+      });
+      return result;
+    } catch (error) {
+      log(logger, "warn", `${name} failed: ${error.message}`, {
+        code: error.code,
+        step: error.step,
+        posMode: error.posMode,
+        durationMs: Date.now() - startedAt,
+      });
+      throw error;
+    }
+  };
+
+  const client = {};
+  for (const name of OPTIONS_FIRST) {
+    client[name] = (callOptions) =>
+      run(name, () => api[name](getOptions(name, callOptions)));
+  }
+  for (const name of OPTIONS_SECOND) {
+    client[name] =
+      name === "resolveLnurl"
+        ? (input, callOptions) =>
+            api.resolveLnurl(input, getOptions(name, callOptions))
+        : (input, callOptions) =>
+            run(name, () => api[name](input, getOptions(name, callOptions)));
+  }
+  for (const name of Object.keys(api)) {
+    if (!client[name]) {
+      client[name] = api[name];
+    }
+  }
+  return client;
+}
+
+module.exports = {
+  createClient,
+};
@@ -0,0 +1,217 @@
+/**
+ * Base class for errors thrown by @bringinxyz/lnurl-pay
+ */
+class LnurlPayError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error details
+   * @param {string} [options.code] - Stable machine-readable code
+   * @param {Error} [options.cause] - Underlying error
+   * @param {string} [options.step] - Step that failed (input, params,
+   *   rate, callback, verify, sign)
+   * @param {boolean} [options.posMode] - Whether POS mode was requested
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || "LNURL_PAY_ERROR";
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+    this.step = options.step;
+    this.posMode = options.posMode;
+  }
+}
+
+/**
+ * Thrown when the caller passed invalid input
+ */
+class ValidationError extends LnurlPayError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error details, see LnurlPayError
+   * @param {string} [options.field] - Offending option
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "VALIDATION_ERROR", ...options });
+    this.field = options.field;
+  }
+}
+
+/**
+ * Thrown when an amount is outside the range the service accepts
+ */
+class AmountOutOfRangeError extends ValidationError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error details, see LnurlPayError
+   * @param {number} [options.amount] - Requested amount
+   * @param {number} [options.min] - Service minimum
+   * @param {number} [options.max] - Service maximum
+   * @param {string} [options.unit="sat"] - Unit of the amounts, "sat" or "msat"
+   */
+  constructor(message, options = {}) {
+    super(message, {
+      code: "AMOUNT_OUT_OF_RANGE",
+      field: "tokens",
+      ...options,
+    });
+    this.amount = options.amount;
+    this.min = options.min;
+    this.max = options.max;
+    this.unit = options.unit || "sat";
+  }
+}
+
+/**
+ * Thrown when the LNURL service answers with an error or an invalid response
+ */
+class ServiceError extends LnurlPayError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error details, see LnurlPayError
+   * @param {string} [options.reason] - `reason` of an LNURL error response
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "SERVICE_ERROR", ...options });
+    this.reason = options.reason;
+  }
+}
+
+/**
+ * Thrown when the service cannot be reached or answers with an HTTP error
+ */
+class NetworkError extends LnurlPayError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error details, see LnurlPayError
+   * @param {number} [options.status] - HTTP status code, if any
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "NETWORK_ERROR", ...options });
+    this.status = options.status;
+  }
+}
+
+/**
+ * Thrown when a network step or the whole request exceeds its deadline
+ */
+class TimeoutError extends NetworkError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error details, see LnurlPayError
+   * @param {number} [options.timeout] - Timeout that was exceeded (ms)
+   * @param {string} [options.scope] - "step" or "total" deadline
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "TIMEOUT", ...options });
+    this.timeout = options.timeout;
+    this.scope = options.scope;
+  }
+}
+
+/**
+ * Thrown when the caller aborted the request through its AbortSignal
+ */
+class AbortError extends LnurlPayError {
+  constructor(message, options = {}) {
+    super(message, { code: "ABORTED", ...options });
+  }
+}
+
+/**
+ * Thrown when the invoice returned by the service does not match the request
+ */
+class InvoiceMismatchError extends LnurlPayError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error details, see LnurlPayError
+   * @param {string} [options.field] - Mismatching field (amount, expiry, network,
+   *   descriptionHash, payee)
+   * @param {*} [options.expected] - Expected value
+   * @param {*} [options.actual] - Value found in the invoice
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "INVOICE_MISMATCH", step: "verify", ...options });
+    this.field = options.field;
+    this.expected = options.expected;
+    this.actual = options.actual;
+  }
+}
+
+/**
+ * Thrown when a resolution policy rejects a URL the payment would use
+ */
+class PolicyError extends LnurlPayError {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error details, see LnurlPayError
+   * @param {string} [options.rule] - Rule that rejected the URL
+   *   (invalid-url, https-required, domain-denied, domain-not-allowed,
+   *   dns-failed, private-address)
+   * @param {string} [options.url] - Rejected URL
+   */
+  constructor(message, options = {}) {
+    super(message, { code: "POLICY_VIOLATION", ...options });
+    this.rule = options.rule;
+    this.url = options.url;
+  }
+}
+
+/**
+ * Turn a failed request into a NetworkError. Called on what a fetchGet
+ * throws; LnurlPayErrors, e.g. LNURL error responses, are kept.
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {LnurlPayError} Typed error
+ */
+function toNetworkError(error) {
+  if (error instanceof LnurlPayError) {
+    return error;
+  }
+  return new NetworkError(error.message, { cause: error });
+}
+
+/**
+ * Attach step and POS mode to an error raised during a step. NetworkErrors
+ * not yet tied to a step get the message prefix too. Errors that are not
+ * LnurlPayErrors, e.g. TypeErrors from a bug, are returned unchanged.
+ * @param {Error} error - Caught error
+ * @param {Object} context - Where the error happened
+ * @param {string} context.step - Step that failed
+ * @param {boolean} [context.posMode] - Whether POS mode was requested
+ * @param {string} [context.message] - Prefix for wrapped error messages
+ * @returns {Error} The error, with context when it is an LnurlPayError
+ */
+function withErrorContext(error, context) {
+  if (!(error instanceof LnurlPayError)) {
+    return error;
+  }
+  if (
+    error instanceof NetworkError &&
+    error.step === undefined &&
+    context.message
+  ) {
+    error.message = `${context.message}: ${error.message}`;
+  }
+  if (error.step === undefined) {
+    error.step = context.step;
+  }
+  if (error.posMode === undefined) {
+    error.posMode = Boolean(context.posMode);
+  }
+  return error;
+}
+
+module.exports = {
+  LnurlPayError,
+  ValidationError,
+  AmountOutOfRangeError,
+  ServiceError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  InvoiceMismatchError,
+  PolicyError,
+  toNetworkError,
+  withErrorContext,
+};
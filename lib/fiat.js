@@ -0,0 +1,273 @@
+const { parseDecimal } = require("./amount");
+const { LnurlPayError, ValidationError } = require("./errors");
+
+const MSATS_PER_BTC = 100000000000n;
+const CURRENCY_REGEX = /^[A-Z][A-Z0-9]{1,9}$/;
+
+// value = num / den
+function toRational(value) {
+  const { digits, exponent } = parseDecimal(value);
+  return exponent >= 0
+    ? { num: digits * 10n ** BigInt(exponent), den: 1n }
+    : { num: digits, den: 10n ** BigInt(-exponent) };
+}
+
+function divide(num, den) {
+  const floor = num / den;
+  return { floor, ceil: num % den === 0n ? floor : floor + 1n };
+}
+
+function invalidFiat(message, context) {
+  return new ValidationError(message, { ...context, field: "fiat" });
+}
+
+// Smallest units as a decimal amount, e.g. 150n with 2 decimals is "1.50"
+function formatUnits(units, decimals) {
+  const text = units.toString().padStart(decimals + 1, "0");
+  return decimals
+    ? `${text.slice(0, -decimals)}.${text.slice(-decimals)}`
+    : text;
+}
+
+/**
+ * Parse the fiat currencies a payRequest advertises (LUD-21 style
+ * `currencies`). Malformed entries are skipped.
+ * @param {*} currencies - `currencies` from the payRequest
+ * @returns {Object[]} Currencies with `code`, `name`, `symbol`, `decimals`,
+ *   `multiplier` (msats per smallest unit), `minSendable`, `maxSendable`
+ *   (smallest units) and `convertible`
+ */
+function parseCurrencies(currencies) {
+  if (!Array.isArray(currencies)) {
+    return [];
+  }
+  const parsed = [];
+  for (const entry of currencies) {
+    if (!entry || typeof entry !== "object") {
+      continue;
+    }
+    const code = String(entry.code || "").toUpperCase();
+    const multiplier = Number(entry.multiplier);
+    const decimals = Number(entry.decimals);
+    if (
+      !CURRENCY_REGEX.test(code) ||
+      !Number.isFinite(multiplier) ||
+      multiplier <= 0 ||
+      !Number.isInteger(decimals) ||
+      decimals < 0 ||
+      decimals > 18
+    ) {
+      continue;
+    }
+    const limit = (value) =>
+      Number.isSafeInteger(value) && value > 0 ? value : null;
+    parsed.push({
+      code,
+      name: typeof entry.name === "string" ? entry.name : code,
+      symbol: typeof entry.symbol === "string" ? entry.symbol : "",
+      decimals,
+      multiplier,
+      minSendable: limit(entry.minSendable),
+      maxSendable: limit(entry.maxSendable),
+      convertible: Boolean(entry.convertible),
+    });
+  }
+  return parsed;
+}
+
+/**
+ * Validate a fiat amount option
+ * @param {Object} fiat - `{amount, currency}`
+ * @param {Object} [context] - Step and POS mode for thrown errors
+ * @returns {{amount: string, currency: string}} Amount as a decimal string
+ *   and the upper-case currency code
+ * @throws {ValidationError} When the amount or currency is invalid
+ */
+function validateFiat(fiat, context) {
+  if (!fiat || typeof fiat !== "object") {
+    throw invalidFiat("fiat must be { amount, currency }", context);
+  }
+  const currency = String(fiat.currency || "").toUpperCase();
+  if (!CURRENCY_REGEX.test(currency)) {
+    throw invalidFiat(`Invalid fiat currency: ${fiat.currency}`, context);
+  }
+  let amount;
+  try {
+    amount = toRational(fiat.amount);
+  } catch (error) {
+    throw invalidFiat(`Invalid fiat amount: ${fiat.amount}`, context);
+  }
+  if (amount.num === 0n) {
+    throw invalidFiat("fiat amount must be positive", context);
+  }
+  return { amount: String(fiat.amount).trim(), currency };
+}
+
+/**
+ * Convert a fiat amount with a rate quote
+ * @param {string|number} amount - Fiat amount
+ * @param {Object} quote - `{rate, spread}` from getQuote
+ * @returns {{floor: bigint, ceil: bigint}} Millisatoshis rounded down and up
+ */
+function convertWithRate(amount, quote) {
+  // msats = amount * (1 + spread) * MSATS_PER_BTC / rate
+  const value = toRational(amount);
+  const rate = toRational(quote.rate);
+  const spread = toRational(quote.spread);
+  return divide(
+    value.num * (spread.den + spread.num) * MSATS_PER_BTC * rate.den,
+    value.den * spread.den * rate.num
+  );
+}
+
+/**
+ * Express a fiat amount in the service's own currency units
+ * @param {string|number} amount - Fiat amount
+ * @param {Object} currency - Advertised currency from parseCurrencies
+ * @param {Object} [context] - Step and POS mode for thrown errors
+ * @returns {{units: bigint, msats: bigint}} Smallest currency units sent to
+ *   the service and the msats they are worth at the advertised multiplier
+ * @throws {ValidationError} When the amount has more decimals than the
+ *   currency or is outside its minSendable/maxSendable
+ */
+function convertWithCurrency(amount, currency, context) {
+  const value = toRational(amount);
+  const units = divide(value.num * 10n ** BigInt(currency.decimals), value.den);
+  if (units.floor !== units.ceil) {
+    throw invalidFiat(
+      `${currency.code} amounts have at most ${currency.decimals} decimals`,
+      context
+    );
+  }
+  const limit = (value) =>
+    `${formatUnits(value, currency.decimals)} ${currency.code}`;
+  if (
+    currency.minSendable !== null &&
+    units.floor < BigInt(currency.minSendable)
+  ) {
+    throw invalidFiat(
+      `Amount too small. Minimum: ${limit(BigInt(currency.minSendable))}`,
+      context
+    );
+  }
+  if (
+    currency.maxSendable !== null &&
+    units.floor > BigInt(currency.maxSendable)
+  ) {
+    throw invalidFiat(
+      `Amount too large. Maximum: ${limit(BigInt(currency.maxSendable))}`,
+      context
+    );
+  }
+  // Rounded to the nearest msat
+  const multiplier = toRational(currency.multiplier);
+  const msats = divide(
+    units.floor * multiplier.num * 2n + multiplier.den,
+    2n * multiplier.den
+  );
+  return { units: units.floor, msats: msats.floor };
+}
+
+/**
+ * Ask a rate provider for the price of one bitcoin
+ * @param {Object} rateProvider - Provider with `getRate(currency, {signal})`
+ * @param {string} currency - Currency code
+ * @param {AbortSignal} [signal] - Aborts the lookup
+ * @returns {Promise<{rate: number, timestamp: number, spread: number}>}
+ *   Quote with the timestamp in ms since epoch
+ * @throws {LnurlPayError} With code RATE_PROVIDER_ERROR when the provider
+ *   fails or returns an invalid quote
+ */
+async function getQuote(rateProvider, currency, signal) {
+  let quote;
+  try {
+    quote = await rateProvider.getRate(currency, { signal });
+  } catch (error) {
+    throw new LnurlPayError(`Rate provider failed: ${error.message}`, {
+      code: "RATE_PROVIDER_ERROR",
+      step: "rate",
+      cause: error,
+    });
+  }
+
+  const rate = quote && Number(quote.rate);
+  const spread = quote && quote.spread !== undefined ? Number(quote.spread) : 0;
+  const timestamp =
+    quote && quote.timestamp !== undefined
+      ? Number(quote.timestamp)
+      : Date.now();
+  if (
+    !Number.isFinite(rate) ||
+    rate <= 0 ||
+    !Number.isFinite(spread) ||
+    spread < 0 ||
+    spread >= 1 ||
+    !Number.isFinite(timestamp)
+  ) {
+    throw new LnurlPayError(
+      `Rate provider returned an invalid quote for ${currency}`,
+      { code: "RATE_PROVIDER_ERROR", step: "rate" }
+    );
+  }
+  return { rate, timestamp, spread };
+}
+
+/**
+ * Wrap a rate provider so one request asks it once per currency, even when
+ * POS auto mode converts the amount twice
+ * @param {Object} rateProvider - Provider with `getRate(currency, {signal})`
+ * @returns {Object} Provider sharing the first answer per currency
+ */
+function memoizeRateProvider(rateProvider) {
+  const quotes = new Map();
+  return {
+    getRate(currency, options) {
+      if (!quotes.has(currency)) {
+        quotes.set(currency, rateProvider.getRate(currency, options));
+      }
+      return quotes.get(currency);
+    },
+  };
+}
+
+/**
+ * Create a rate provider serving rates kept in memory, for tests and for
+ * apps that fetch rates on their own schedule
+ * @param {Object} [rates] - Price of one bitcoin per currency code, e.g.
+ *   `{ EUR: 60000 }`
+ * @param {Object} [options] - Provider options
+ * @param {number} [options.spread=0] - Spread added to converted amounts,
+ *   as a fraction (0.01 for 1%)
+ * @returns {Object} Provider with `getRate(currency)` and
+ *   `setRate(currency, rate, timestamp)`
+ */
+function createStaticRateProvider(rates = {}, options = {}) {
+  const quotes = new Map();
+  const provider = {
+    async getRate(currency) {
+      const quote = quotes.get(String(currency).toUpperCase());
+      if (!quote) {
+        throw new Error(`No rate for ${currency}`);
+      }
+      return { ...quote, spread: options.spread || 0 };
+    },
+    setRate(currency, rate, timestamp = Date.now()) {
+      quotes.set(String(currency).toUpperCase(), { rate, timestamp });
+      return provider;
+    },
+  };
+  for (const currency of Object.keys(rates)) {
+    provider.setRate(currency, rates[currency]);
+  }
+  return provider;
+}
+
+module.exports = {
+  parseCurrencies,
+  validateFiat,
+  convertWithRate,
+  convertWithCurrency,
+  getQuote,
+  memoizeRateProvider,
+  createStaticRateProvider,
+};
@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const { decodeInvoice } = require("./bolt11");
+const { InvoiceMismatchError } = require("./errors");
+
+/**
+ * Hash the exact metadata string sent by the service (LUD-06)
+ * @param {string} metadata - Raw metadata string
+ * @returns {string} SHA-256 hex digest
+ */
+function hashMetadata(metadata) {
+  return crypto.createHash("sha256").update(metadata, "utf8").digest("hex");
+}
+
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (typeof value === "string" && /^([0-9a-f]{2})*$/i.test(value)) {
+    return Buffer.from(value, "hex");
+  }
+  return null;
+}
+
+/**
+ * Compare two hex strings or buffers in constant time
+ * @param {string|Buffer} a - First value
+ * @param {string|Buffer} b - Second value
+ * @returns {boolean} Whether both values are valid and equal
+ */
+function timingSafeEqual(a, b) {
+  const left = toBuffer(a);
+  const right = toBuffer(b);
+  if (!left || !right || left.length !== right.length || !left.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check that a preimage hashes to a payment hash
+ * @param {string|Buffer} preimage - 32 byte preimage (hex)
+ * @param {string|Buffer} paymentHash - Payment hash (hex)
+ * @returns {boolean} Whether sha256(preimage) equals the payment hash
+ */
+function isValidPreimage(preimage, paymentHash) {
+  const bytes = toBuffer(preimage);
+  if (!bytes || bytes.length !== 32) {
+    return false;
+  }
+  const hash = crypto.createHash("sha256").update(bytes).digest();
+  return timingSafeEqual(hash, paymentHash);
+}
+
+/**
+ * Check the description_hash of a decoded invoice
+ * @param {Object} decoded - Decoded invoice
+ * @param {Object} expected - Expected hash source
+ * @param {string} [expected.metadata] - Raw metadata string
+ * @param {string} [expected.descriptionHash] - Precomputed hash (hex)
+ * @returns {boolean} Whether the invoice commits to the metadata
+ */
+function isValidDescriptionHash(decoded, expected) {
+  const descriptionHash =
+    expected.descriptionHash ||
+    (typeof expected.metadata === "string"
+      ? hashMetadata(expected.metadata)
+      : null);
+
+  return Boolean(
+    descriptionHash &&
+      decoded.descriptionHash &&
+      decoded.descriptionHash === descriptionHash.toLowerCase()
+  );
+}
+
+// Amounts converted by the service may drift from the quoted msats by the
+// tolerance, a fraction of the expected amount
+function isExpectedAmount(amountMsat, expected) {
+  if (!expected.tolerance) {
+    return amountMsat === String(expected.msats);
+  }
+  if (amountMsat === null) {
+    return false;
+  }
+  const actual = BigInt(amountMsat);
+  const target = BigInt(expected.msats);
+  const difference = actual > target ? actual - target : target - actual;
+  const ppm = BigInt(Math.round(expected.tolerance * 1000000));
+  return difference * 1000000n <= target * ppm;
+}
+
+/**
+ * Decode an invoice returned by an LNURL service and check it against the
+ * request that produced it
+ * @param {string} invoice - BOLT11 invoice
+ * @param {Object} expected - Expected invoice properties
+ * @param {number|string|bigint} expected.msats - Requested amount in
+ *   millisatoshis
+ * @param {number} [expected.tolerance=0] - Accepted deviation from `msats`
+ *   as a fraction, for amounts the service converts itself
+ * @param {string} [expected.network="bitcoin"] - Expected network
+ * @param {number} [expected.now] - Current unix time in seconds
+ * @param {string} [expected.metadata] - Raw metadata string the invoice must commit to
+ * @param {string} [expected.descriptionHash] - Expected description_hash (hex),
+ *   used instead of hashing `metadata`
+ * @param {boolean} [expected.validateDescriptionHash=true] - Throw on a
+ *   description_hash mismatch instead of only flagging it
+ * @param {string[]} [expected.payees] - Node pubkeys (hex) allowed to issue
+ *   the invoice
+ * @returns {Object} Decoded invoice with a `hasValidDescriptionHash` flag when
+ *   a metadata or description hash was given
+ * @throws {InvoiceMismatchError} When the invoice does not match the request
+ */
+function verifyInvoice(invoice, expected) {
+  const decoded = decodeInvoice(invoice);
+  const network = expected.network || "bitcoin";
+  const now =
+    expected.now !== undefined ? expected.now : Math.floor(Date.now() / 1000);
+
+  if (decoded.network !== network) {
+    throw new InvoiceMismatchError(
+      `Invoice network mismatch. Expected: ${network}, got: ${decoded.network}`,
+      { field: "network", expected: network, actual: decoded.network }
+    );
+  }
+
+  if (!isExpectedAmount(decoded.amountMsat, expected)) {
+    const tolerance = expected.tolerance
+      ? ` (±${expected.tolerance * 100}%)`
+      : "";
+    throw new InvoiceMismatchError(
+      `Invoice amount mismatch. Expected: ${
+        expected.msats
+      } msats${tolerance}, got: ${
+        decoded.amountMsat === null
+          ? "no amount"
+          : `${decoded.amountMsat} msats`
+      }`,
+      {
+        field: "amount",
+        expected: String(expected.msats),
+        actual: decoded.amountMsat,
+      }
+    );
+  }
+
+  if (decoded.expiresAt <= now) {
+    throw new InvoiceMismatchError("Invoice has already expired", {
+      field: "expiry",
+      expected: now,
+      actual: decoded.expiresAt,
+    });
+  }
+
+  if (
+    expected.payees &&
+    !expected.payees.some(
+      (payee) => String(payee).toLowerCase() === decoded.payeeNodeKey
+    )
+  ) {
+    throw new InvoiceMismatchError(
+      `Invoice payee ${decoded.payeeNodeKey} is not a pinned node for this service`,
+      {
+        field: "payee",
+        expected: expected.payees.slice(),
+        actual: decoded.payeeNodeKey,
+      }
+    );
+  }
+
+  if (expected.metadata !== undefined || expected.descriptionHash) {
+    decoded.hasValidDescriptionHash = isValidDescriptionHash(decoded, expected);
+
+    if (
+      !decoded.hasValidDescriptionHash &&
+      expected.validateDescriptionHash !== false
+    ) {
+      throw new InvoiceMismatchError(
+        "Invoice description hash doesn't match the service metadata",
+        {
+          field: "descriptionHash",
+          expected:
+            expected.descriptionHash || hashMetadata(String(expected.metadata)),
+          actual: decoded.descriptionHash,
+        }
+      );
+    }
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  timingSafeEqual,
+  isValidPreimage,
+  hashMetadata,
+  isValidDescriptionHash,
+  verifyInvoice,
+};
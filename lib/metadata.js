@@ -0,0 +1,130 @@
+const { ValidationError } = require("./errors");
+
+// LUD-06 leaves the image size open; metadata is hashed and sent with every
+// payRequest, so anything larger is almost certainly a mistake
+const DEFAULT_MAX_IMAGE_SIZE = 128 * 1024;
+const IMAGE_TYPES = ["image/png;base64", "image/jpeg;base64"];
+const BASE64_REGEX =
+  /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+function invalidMetadata(message) {
+  return new ValidationError(`Invalid metadata: ${message}`, {
+    code: "INVALID_METADATA",
+    field: "metadata",
+  });
+}
+
+// An image the wallet can't show is dropped, with the reason as a warning
+function parseImage(type, base64, maxImageSize, warnings) {
+  if (!BASE64_REGEX.test(base64)) {
+    warnings.push(`${type} is not valid base64, image dropped`);
+    return null;
+  }
+  const padding = (base64.match(/=+$/) || [""])[0].length;
+  const size = (base64.length / 4) * 3 - padding;
+  if (size > maxImageSize) {
+    warnings.push(
+      `image is ${size} bytes, the maximum is ${maxImageSize} bytes, image dropped`
+    );
+    return null;
+  }
+  return {
+    mime: type.split(";")[0],
+    base64,
+    dataUri: `data:${type},${base64}`,
+  };
+}
+
+/**
+ * Parse and validate LUD-06 payRequest metadata. Only what LUD-06 requires
+ * fails: a JSON array with exactly one text/plain entry. Other problems are
+ * tolerated and reported in `warnings`.
+ * @param {string|Array} metadata - Metadata string as sent by the service, or
+ *   the parsed array
+ * @param {Object} [options] - Parsing options
+ * @param {number} [options.maxImageSize=131072] - Largest accepted image in
+ *   bytes (decoded); larger images are dropped
+ * @returns {Object} `{description, longDescription, image, identifier, email,
+ *   tags, warnings}`. `image` is `{mime, base64, dataUri}` or null, `tags`
+ *   lists every `[type, value]` entry in order, including unknown types.
+ *   Repeated entries keep their first value
+ * @throws {ValidationError} When the metadata is not a JSON array or doesn't
+ *   have exactly one text/plain entry
+ */
+function parseMetadata(metadata, options = {}) {
+  const maxImageSize =
+    options.maxImageSize !== undefined
+      ? options.maxImageSize
+      : DEFAULT_MAX_IMAGE_SIZE;
+
+  let entries = metadata;
+  if (typeof metadata === "string") {
+    try {
+      entries = JSON.parse(metadata);
+    } catch (error) {
+      throw invalidMetadata("not valid JSON");
+    }
+  }
+  if (!Array.isArray(entries)) {
+    throw invalidMetadata("must be an array of [type, value] entries");
+  }
+
+  const result = {
+    description: null,
+    longDescription: null,
+    image: null,
+    identifier: null,
+    email: null,
+    tags: [],
+    warnings: [],
+  };
+  const fields = {
+    "text/plain": "description",
+    "text/long-desc": "longDescription",
+    "text/identifier": "identifier",
+    "text/email": "email",
+  };
+  let hasImage = false;
+
+  for (const entry of entries) {
+    if (
+      !Array.isArray(entry) ||
+      entry.length < 2 ||
+      typeof entry[0] !== "string" ||
+      typeof entry[1] !== "string"
+    ) {
+      result.warnings.push("skipped an entry that is not a [type, value] pair");
+      continue;
+    }
+    const [type, value] = entry;
+    result.tags.push([type, value]);
+
+    const field = fields[type];
+    if (field) {
+      if (result[field] !== null) {
+        if (type === "text/plain") {
+          throw invalidMetadata("more than one text/plain entry");
+        }
+        result.warnings.push(`more than one ${type} entry, kept the first`);
+        continue;
+      }
+      result[field] = value;
+    } else if (IMAGE_TYPES.includes(type)) {
+      if (hasImage) {
+        result.warnings.push("more than one image entry, kept the first");
+        continue;
+      }
+      hasImage = true;
+      result.image = parseImage(type, value, maxImageSize, result.warnings);
+    }
+  }
+
+  if (result.description === null) {
+    throw invalidMetadata("a text/plain entry is required");
+  }
+  return result;
+}
+
+module.exports = {
+  parseMetadata,
+};
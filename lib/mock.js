@@ -0,0 +1,293 @@
+const crypto = require("crypto");
+const http = require("http");
+const { createLnurlPayHandler } = require("./server");
+const { encodeInvoice } = require("./bolt11");
+const { getPublicKey, getXOnlyPublicKey } = require("./secp256k1");
+const { buildUrl } = require("./transport");
+const { assertNotLnurlError } = require("./params");
+const { NetworkError, ValidationError } = require("./errors");
+
+const FAILURE_TYPES = {
+  params: ["timeout", "error"],
+  callback: ["timeout", "error", "badHash", "wrongAmount"],
+};
+
+function getStep(pathname) {
+  if (/^\/\.well-known\/lnurlp\//.test(pathname)) {
+    return "params";
+  }
+  return /\/callback\/?$/.test(pathname) ? "callback" : null;
+}
+
+function validateFailure(failure) {
+  const types = FAILURE_TYPES[failure && failure.step];
+  if (!types) {
+    throw new ValidationError('failure.step must be "params" or "callback"', {
+      field: "failure",
+    });
+  }
+  if (!types.includes(failure.type)) {
+    throw new ValidationError(
+      `failure.type for ${failure.step} must be one of: ${types.join(", ")}`,
+      { field: "failure" }
+    );
+  }
+  return { times: Infinity, ...failure };
+}
+
+/**
+ * Create a scripted LNURL-pay merchant for offline tests. It serves a
+ * Lightning address through createLnurlPayHandler, either as a local HTTP
+ * server (`listen()`) or through the injectable `fetchGet`, and answers with
+ * real BOLT11 invoices signed by a throwaway node key.
+ * @param {Object} [options] - Service options
+ * @param {string} [options.username="merchant"] - Address user name
+ * @param {string} [options.domain="bringin.test"] - Address domain used with
+ *   `fetchGet`
+ * @param {number} [options.minSendable=1000] - Standard minimum in msats
+ * @param {number} [options.maxSendable=100000000] - Maximum in msats
+ * @param {number} [options.posMinSendable] - Minimum in msats with pos=true
+ * @param {string|Array} [options.metadata] - LUD-06 metadata
+ * @param {number} [options.commentAllowed=144] - Maximum comment length
+ * @param {string} [options.network="bitcoin"] - Network of the invoices
+ * @param {number} [options.expiry=3600] - Invoice expiry in seconds
+ * @param {Buffer|string} [options.nodeKey] - Key signing the invoices
+ *   (random by default)
+ * @param {Object[]} [options.failures] - Failures to script from the start,
+ *   see `fail()`
+ * @param {boolean} [options.allowsNostr=false] - Accept NIP-57 zap requests
+ * @param {string} [options.nostrPubkey] - Zap receipt key to advertise
+ *   (random by default); implies allowsNostr
+ * @returns {Object} Mock service: `fetchGet`, `address`, `listen()`,
+ *   `close()`, `fail()`, `reset()`, `requests`, `invoices`, `payee` and
+ *   `nostrPubkey`
+ */
+function createMockLnurlService(options = {}) {
+  const username = options.username || "merchant";
+  const domain = options.domain || "bringin.test";
+  let nodeKey = options.nodeKey || crypto.randomBytes(32);
+  if (!Buffer.isBuffer(nodeKey)) {
+    nodeKey = Buffer.from(String(nodeKey), "hex");
+  }
+  let failures = (options.failures || []).map(validateFailure);
+  const nostrPubkey =
+    options.nostrPubkey ||
+    (options.allowsNostr
+      ? getXOnlyPublicKey(crypto.randomBytes(32)).toString("hex")
+      : undefined);
+
+  const service = {
+    address: `${username}@${domain}`,
+    url: null,
+    payee: getPublicKey(nodeKey).toString("hex"),
+    nostrPubkey: nostrPubkey || null,
+    requests: [],
+    invoices: [],
+  };
+
+  const takeFailure = (step) => {
+    const failure = failures.find((entry) => entry.step === step);
+    if (failure && --failure.times <= 0) {
+      failures = failures.filter((entry) => entry !== failure);
+    }
+    return failure;
+  };
+
+  const handler = createLnurlPayHandler({
+    lookupUser: async (name) => (name === username ? { username } : null),
+    createInvoice: async ({
+      msats,
+      descriptionHash,
+      comment,
+      posMode,
+      zapRequest,
+      req,
+    }) => {
+      const failure = req.mockFailure;
+      const preimage = crypto.randomBytes(32);
+      const paymentHash = crypto
+        .createHash("sha256")
+        .update(preimage)
+        .digest("hex");
+      const invoiceMsats =
+        failure && failure.type === "wrongAmount"
+          ? msats + (failure.amountOffset || 1000)
+          : msats;
+      const invoice = encodeInvoice({
+        privateKey: nodeKey,
+        paymentHash,
+        msats: invoiceMsats,
+        descriptionHash:
+          failure && failure.type === "badHash"
+            ? crypto.randomBytes(32).toString("hex")
+            : descriptionHash,
+        network: options.network,
+        expiry: options.expiry,
+      });
+
+      service.invoices.push({
+        invoice,
+        preimage: preimage.toString("hex"),
+        paymentHash,
+        msats: invoiceMsats,
+        comment,
+        posMode,
+        zapRequest: zapRequest || null,
+      });
+      return invoice;
+    },
+    minSendable: options.minSendable || 1000,
+    maxSendable: options.maxSendable || 100000000,
+    posMinSendable: options.posMinSendable,
+    metadata: options.metadata || [["text/plain", `Pay ${service.address}`]],
+    commentAllowed:
+      options.commentAllowed !== undefined ? options.commentAllowed : 144,
+    nostrPubkey,
+    // Callbacks point back at whichever host the test addressed
+    trustProxy: true,
+  });
+
+  // Apply a scripted failure, or hand the request to the LNURL-pay handler.
+  // Timeouts never answer.
+  const respond = (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const step = getStep(url.pathname);
+    service.requests.push({ url: url.pathname + url.search, step });
+
+    const failure = step && takeFailure(step);
+    if (failure && failure.type === "timeout") {
+      return;
+    }
+    if (failure && failure.type === "error") {
+      res.statusCode = failure.status || 200;
+      res.setHeader("Content-Type", "application/json");
+      res.end(
+        JSON.stringify({
+          status: "ERROR",
+          reason: failure.reason || "Mock service error",
+        })
+      );
+      return;
+    }
+    req.mockFailure = failure;
+    handler(req, res);
+  };
+
+  /**
+   * Injectable transport answering from the mock without any network
+   * @param {Object} request - `{url, params, signal}` as for fetchGet
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  service.fetchGet = ({ url, params, signal }) => {
+    const target = new URL(buildUrl(url, params));
+    return new Promise((resolve, reject) => {
+      const req = {
+        method: "GET",
+        url: target.pathname + target.search,
+        headers: { host: target.host },
+        socket: { encrypted: target.protocol === "https:" },
+      };
+      const res = {
+        statusCode: 200,
+        setHeader() {},
+        end(body) {
+          try {
+            const data = JSON.parse(body);
+            assertNotLnurlError(data);
+            if (res.statusCode >= 400) {
+              throw new NetworkError(`HTTP ${res.statusCode}`, {
+                status: res.statusCode,
+              });
+            }
+            resolve(data);
+          } catch (error) {
+            reject(error);
+          }
+        },
+      };
+
+      if (signal) {
+        signal.addEventListener(
+          "abort",
+          () => reject(new NetworkError("Request aborted")),
+          { once: true }
+        );
+      }
+      respond(req, res);
+    });
+  };
+
+  let server = null;
+  const sockets = new Set();
+
+  /**
+   * Start a local HTTP server for the mock
+   * @param {number} [port=0] - Port (random by default)
+   * @returns {Promise<string>} URL of the payRequest endpoint, also set as
+   *   `service.url`
+   */
+  service.listen = async (port = 0) => {
+    server = http.createServer(respond);
+    server.on("connection", (socket) => {
+      sockets.add(socket);
+      socket.on("close", () => sockets.delete(socket));
+    });
+    await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+    service.url = `http://127.0.0.1:${
+      server.address().port
+    }/.well-known/lnurlp/${username}`;
+    return service.url;
+  };
+
+  /**
+   * Stop the HTTP server, dropping requests left hanging by timeouts
+   * @returns {Promise<void>}
+   */
+  service.close = async () => {
+    if (!server) {
+      return;
+    }
+    const closing = new Promise((resolve) => server.close(() => resolve()));
+    for (const socket of sockets) {
+      socket.destroy();
+    }
+    await closing;
+    server = null;
+    service.url = null;
+  };
+
+  /**
+   * Script a failure for the following requests of a step
+   * @param {Object} failure - Failure to apply
+   * @param {string} failure.step - "params" or "callback"
+   * @param {string} failure.type - "timeout" or "error", plus "badHash" and
+   *   "wrongAmount" for the callback
+   * @param {string} [failure.reason] - LNURL error reason ("error")
+   * @param {number} [failure.status=200] - HTTP status ("error")
+   * @param {number} [failure.amountOffset=1000] - msats added to the
+   *   invoice amount ("wrongAmount")
+   * @param {number} [failure.times=Infinity] - Number of requests to fail
+   * @returns {Object} The service, for chaining
+   */
+  service.fail = (failure) => {
+    failures.push(validateFailure(failure));
+    return service;
+  };
+
+  /**
+   * Clear scripted failures and recorded requests and invoices
+   * @returns {Object} The service, for chaining
+   */
+  service.reset = () => {
+    failures = [];
+    service.requests.length = 0;
+    service.invoices.length = 0;
+    return service;
+  };
+
+  return service;
+}
+
+module.exports = {
+  createMockLnurlService,
+};
@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const {
+  getXOnlyPublicKey,
+  isValidPrivateKey,
+  schnorrSign,
+  schnorrVerify,
+} = require("./secp256k1");
+const { ValidationError } = require("./errors");
+
+const ZAP_REQUEST_KIND = 9734;
+const HEX_32 = /^[0-9a-f]{64}$/;
+
+/**
+ * Compute the NIP-01 id of a Nostr event
+ * @param {Object} event - Event with pubkey, created_at, kind, tags, content
+ * @returns {string} Event id (hex)
+ */
+function getEventHash(event) {
+  const serialized = JSON.stringify([
+    0,
+    event.pubkey,
+    event.created_at,
+    event.kind,
+    event.tags,
+    event.content,
+  ]);
+  return crypto.createHash("sha256").update(serialized, "utf8").digest("hex");
+}
+
+/**
+ * Check the id and signature of a Nostr event
+ * @param {Object} event - Signed event
+ * @returns {boolean} Whether the event is signed by its pubkey
+ */
+function verifyEvent(event) {
+  if (
+    !event ||
+    !HEX_32.test(event.pubkey) ||
+    !HEX_32.test(event.id) ||
+    !/^[0-9a-f]{128}$/.test(event.sig)
+  ) {
+    return false;
+  }
+  try {
+    if (getEventHash(event) !== event.id) {
+      return false;
+    }
+  } catch (error) {
+    return false;
+  }
+  return schnorrVerify(
+    Buffer.from(event.sig, "hex"),
+    Buffer.from(event.id, "hex"),
+    Buffer.from(event.pubkey, "hex")
+  );
+}
+
+/**
+ * Create a Nostr signer from a private key. Browser extensions (NIP-07) and
+ * remote signers implement the same two methods.
+ * @param {Buffer|string} privateKey - 32 byte private key (Buffer or hex)
+ * @returns {{getPublicKey: Function, signEvent: Function}} Signer:
+ *   `getPublicKey()` resolves to the x-only public key (hex) and
+ *   `signEvent(event)` to the event with pubkey, id and sig set
+ * @throws {ValidationError} When the private key is invalid
+ */
+function createNostrSigner(privateKey) {
+  const key = Buffer.isBuffer(privateKey)
+    ? privateKey
+    : Buffer.from(String(privateKey), "hex");
+  if (!isValidPrivateKey(key)) {
+    throw new ValidationError("Invalid Nostr private key", {
+      field: "privateKey",
+    });
+  }
+  const pubkey = getXOnlyPublicKey(key).toString("hex");
+
+  return {
+    async getPublicKey() {
+      return pubkey;
+    },
+    async signEvent(event) {
+      const signed = { ...event, pubkey };
+      signed.id = getEventHash(signed);
+      signed.sig = schnorrSign(Buffer.from(signed.id, "hex"), key).toString(
+        "hex"
+      );
+      return signed;
+    },
+  };
+}
+
+function invalidZapRequest(message) {
+  return new ValidationError(`Invalid zap request: ${message}`, {
+    code: "INVALID_ZAP_REQUEST",
+    field: "zapRequest",
+  });
+}
+
+/**
+ * Build an unsigned kind 9734 zap request (NIP-57)
+ * @param {Object} options - Zap request fields
+ * @param {string} options.recipientPubkey - Recipient's Nostr pubkey (hex)
+ * @param {number} options.msats - Amount in millisatoshis
+ * @param {string} options.lnurl - Bech32 LNURL of the recipient
+ * @param {string[]} options.relays - Relays the zap receipt is published to
+ * @param {string} [options.eventId] - Zapped event id (hex)
+ * @param {string} [options.content=""] - Zap comment
+ * @param {number} [options.createdAt] - Unix timestamp (now by default)
+ * @returns {Object} Unsigned event
+ */
+function buildZapRequest(options) {
+  const tags = [
+    ["relays", ...options.relays],
+    ["amount", String(options.msats)],
+    ["lnurl", options.lnurl],
+    ["p", options.recipientPubkey],
+  ];
+  if (options.eventId) {
+    tags.push(["e", options.eventId]);
+  }
+
+  return {
+    kind: ZAP_REQUEST_KIND,
+    created_at:
+      options.createdAt !== undefined
+        ? options.createdAt
+        : Math.floor(Date.now() / 1000),
+    content: options.content || "",
+    tags,
+  };
+}
+
+/**
+ * Check a signed zap request the way NIP-57 zapper services do
+ * @param {Object} zapRequest - Signed kind 9734 event
+ * @param {Object} [expected] - Expected values
+ * @param {number} [expected.msats] - Amount the invoice is requested for
+ * @returns {Object} The zap request
+ * @throws {ValidationError} When the zap request is malformed, badly signed
+ *   or for another amount
+ */
+function validateZapRequest(zapRequest, expected = {}) {
+  if (!zapRequest || typeof zapRequest !== "object") {
+    throw invalidZapRequest("an event object is required");
+  }
+  if (zapRequest.kind !== ZAP_REQUEST_KIND) {
+    throw invalidZapRequest(`kind must be ${ZAP_REQUEST_KIND}`);
+  }
+  if (
+    !Array.isArray(zapRequest.tags) ||
+    !zapRequest.tags.every(
+      (tag) =>
+        Array.isArray(tag) && tag.every((value) => typeof value === "string")
+    )
+  ) {
+    throw invalidZapRequest("tags must be arrays of strings");
+  }
+  if (!verifyEvent(zapRequest)) {
+    throw invalidZapRequest("bad id or signature");
+  }
+
+  const tags = (name) => zapRequest.tags.filter((tag) => tag[0] === name);
+  const recipients = tags("p");
+  if (recipients.length !== 1 || !HEX_32.test(recipients[0][1] || "")) {
+    throw invalidZapRequest("exactly one p tag is required");
+  }
+  if (tags("e").length > 1) {
+    throw invalidZapRequest("at most one e tag is allowed");
+  }
+  const relays = tags("relays");
+  if (relays.length !== 1 || relays[0].length < 2) {
+    throw invalidZapRequest("a relays tag is required");
+  }
+
+  const amount = tags("amount");
+  if (
+    amount.length > 0 &&
+    expected.msats !== undefined &&
+    amount[0][1] !== String(expected.msats)
+  ) {
+    throw invalidZapRequest(
+      `amount ${amount[0][1]} msats doesn't match ${expected.msats} msats`
+    );
+  }
+
+  return zapRequest;
+}
+
+module.exports = {
+  ZAP_REQUEST_KIND,
+  getEventHash,
+  verifyEvent,
+  createNostrSigner,
+  buildZapRequest,
+  validateZapRequest,
+};
@@ -0,0 +1,114 @@
+const { hashMetadata } = require("./invoice");
+const { ServiceError } = require("./errors");
+const { parsePayerDataSpec } = require("./payer-data");
+const { parseMetadata } = require("./metadata");
+const { parseCurrencies } = require("./fiat");
+
+const TAG_PAY_REQUEST = "payRequest";
+
+/**
+ * Throw the LNURL error reason if the service answered with status ERROR
+ * @param {Object} data - Service response
+ * @throws {ServiceError} When the response is an LNURL error
+ */
+function assertNotLnurlError(data) {
+  if (data && typeof data === "object" && data.status === "ERROR") {
+    const reason = data.reason ? String(data.reason) : "";
+    throw new ServiceError(reason || "Unknown service error", { reason });
+  }
+}
+
+function invalidParams(message, cause) {
+  return new ServiceError(`Invalid pay service params: ${message}`, {
+    code: "INVALID_RESPONSE",
+    cause,
+  });
+}
+
+/**
+ * Parse a LUD-06 payRequest response into lnurl-pay compatible params
+ * @param {Object} data - Raw service response
+ * @returns {Object} Service parameters (`min`/`max` in satoshis,
+ *   `minSendable`/`maxSendable` in millisatoshis). `rawMetadata` keeps the
+ *   metadata string exactly as sent, which is what gets hashed
+ * @throws {ServiceError} When the response is not a valid payRequest
+ */
+function parsePayServiceParams(data) {
+  assertNotLnurlError(data);
+
+  if (!data || data.tag !== TAG_PAY_REQUEST) {
+    throw invalidParams("not a payRequest");
+  }
+
+  const callback = String(data.callback || "").trim();
+  let domain;
+  try {
+    const callbackUrl = new URL(callback);
+    if (!/^https?:$/.test(callbackUrl.protocol)) {
+      throw new Error("unsupported protocol");
+    }
+    domain = callbackUrl.hostname;
+  } catch (error) {
+    throw invalidParams("callback must be a valid url");
+  }
+
+  const minSendable = Number(data.minSendable || 0);
+  const maxSendable = Number(data.maxSendable);
+  if (
+    !Number.isSafeInteger(minSendable) ||
+    !Number.isSafeInteger(maxSendable) ||
+    minSendable <= 0 ||
+    minSendable > maxSendable
+  ) {
+    throw invalidParams("invalid amount range");
+  }
+  // Whole sats inside the window; a narrow window may have none (min > max)
+  // and only take msat amounts
+  const min = Math.ceil(minSendable / 1000);
+  const max = Math.floor(maxSendable / 1000);
+
+  const metadataString = String(data.metadata);
+  let parsedMetadata;
+  try {
+    parsedMetadata = parseMetadata(metadataString);
+  } catch (error) {
+    throw invalidParams(error.message, error);
+  }
+
+  // NIP-57: zaps need the key the service signs zap receipts with
+  const nostrPubkey =
+    typeof data.nostrPubkey === "string" &&
+    /^[0-9a-f]{64}$/i.test(data.nostrPubkey)
+      ? data.nostrPubkey.toLowerCase()
+      : null;
+
+  return {
+    callback,
+    fixed: min === max,
+    min,
+    max,
+    minSendable,
+    maxSendable,
+    domain,
+    metadata: parsedMetadata.tags,
+    metadataHash: hashMetadata(metadataString),
+    identifier: parsedMetadata.identifier || "",
+    description: parsedMetadata.description,
+    longDescription: parsedMetadata.longDescription,
+    email: parsedMetadata.email,
+    image: parsedMetadata.image ? parsedMetadata.image.dataUri : "",
+    metadataWarnings: parsedMetadata.warnings,
+    commentAllowed: Number(data.commentAllowed) || 0,
+    payerData: parsePayerDataSpec(data.payerData),
+    currencies: parseCurrencies(data.currencies),
+    allowsNostr: data.allowsNostr === true && nostrPubkey !== null,
+    nostrPubkey,
+    rawMetadata: metadataString,
+    rawData: data,
+  };
+}
+
+module.exports = {
+  assertNotLnurlError,
+  parsePayServiceParams,
+};
@@ -0,0 +1,156 @@
+const { ValidationError } = require("./errors");
+
+const PAYER_DATA_FIELDS = ["name", "pubkey", "identifier", "email", "auth"];
+const MAX_FIELD_LENGTH = 640;
+
+function invalidPayerData(message, context) {
+  return new ValidationError(message, { ...context, field: "payerData" });
+}
+
+/**
+ * Read the LUD-18 payerData requirements of a payRequest
+ * @param {Object} [spec] - `payerData` object from the service response
+ * @returns {Object|null} Requested fields, each `{mandatory}` (auth also has
+ *   `k1`), or null when the service doesn't accept payerData
+ */
+function parsePayerDataSpec(spec) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    return null;
+  }
+
+  const fields = {};
+  for (const field of PAYER_DATA_FIELDS) {
+    const entry = spec[field];
+    if (!entry || typeof entry !== "object") {
+      continue;
+    }
+    if (field === "auth") {
+      // LUD-18 auth needs a k1 to sign; without one it can't be provided
+      if (typeof entry.k1 !== "string" || !/^[0-9a-f]{64}$/i.test(entry.k1)) {
+        continue;
+      }
+      fields.auth = {
+        mandatory: entry.mandatory === true,
+        k1: entry.k1.toLowerCase(),
+      };
+      continue;
+    }
+    fields[field] = { mandatory: entry.mandatory === true };
+  }
+
+  return Object.keys(fields).length ? fields : null;
+}
+
+function checkString(payerData, field, context) {
+  const value = payerData[field];
+  if (typeof value !== "string" || !value.trim()) {
+    throw invalidPayerData(
+      `payerData.${field} must be a non-empty string`,
+      context
+    );
+  }
+  if (value.length > MAX_FIELD_LENGTH) {
+    throw invalidPayerData(`payerData.${field} is too long`, context);
+  }
+}
+
+/**
+ * Check caller payerData against the service requirements
+ * @param {Object} [payerData] - Payer data to send
+ * @param {Object|null} spec - Requirements from parsePayerDataSpec
+ * @param {Object} [context] - Step and POS mode for thrown errors
+ * @returns {Object|undefined} payerData with only the requested fields
+ * @throws {ValidationError} When a mandatory field is missing or a field is
+ *   invalid or not requested by the service
+ */
+function validatePayerData(payerData, spec, context = {}) {
+  if (payerData === undefined || payerData === null) {
+    const missing = spec
+      ? Object.keys(spec).filter((field) => spec[field].mandatory)
+      : [];
+    if (missing.length) {
+      throw invalidPayerData(
+        `payerData is required by the service: ${missing.join(", ")}`,
+        context
+      );
+    }
+    return undefined;
+  }
+
+  if (typeof payerData !== "object" || Array.isArray(payerData)) {
+    throw invalidPayerData("payerData must be an object", context);
+  }
+  if (!spec) {
+    throw invalidPayerData("Service does not accept payerData", context);
+  }
+
+  for (const field of Object.keys(payerData)) {
+    if (!spec[field]) {
+      throw invalidPayerData(
+        `payerData.${field} is not requested by the service`,
+        context
+      );
+    }
+  }
+  for (const field of Object.keys(spec)) {
+    if (spec[field].mandatory && payerData[field] === undefined) {
+      throw invalidPayerData(
+        `payerData.${field} is required by the service`,
+        context
+      );
+    }
+  }
+
+  const result = {};
+  for (const field of PAYER_DATA_FIELDS) {
+    if (payerData[field] === undefined) {
+      continue;
+    }
+    if (field === "auth") {
+      const auth = payerData.auth;
+      if (
+        !auth ||
+        typeof auth !== "object" ||
+        !/^0[23][0-9a-f]{64}$/i.test(auth.key) ||
+        typeof auth.sig !== "string" ||
+        !/^[0-9a-f]+$/i.test(auth.sig)
+      ) {
+        throw invalidPayerData(
+          "payerData.auth must have a compressed pubkey key and a hex sig",
+          context
+        );
+      }
+      if (!spec.auth.k1 || String(auth.k1).toLowerCase() !== spec.auth.k1) {
+        throw invalidPayerData(
+          "payerData.auth.k1 doesn't match the service k1",
+          context
+        );
+      }
+      result.auth = { key: auth.key, k1: spec.auth.k1, sig: auth.sig };
+      continue;
+    }
+
+    checkString(payerData, field, context);
+    if (field === "pubkey" && !/^0[23][0-9a-f]{64}$/i.test(payerData.pubkey)) {
+      throw invalidPayerData(
+        "payerData.pubkey must be a compressed secp256k1 public key",
+        context
+      );
+    }
+    if (field === "email" && !/^[^\s@]+@[^\s@]+$/.test(payerData.email)) {
+      throw invalidPayerData(
+        "payerData.email is not an email address",
+        context
+      );
+    }
+    result[field] = payerData[field];
+  }
+
+  return result;
+}
+
+module.exports = {
+  PAYER_DATA_FIELDS,
+  parsePayerDataSpec,
+  validatePayerData,
+};
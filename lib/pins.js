@@ -0,0 +1,167 @@
+const fs = require("fs");
+const { ValidationError } = require("./errors");
+
+const PUBKEY_REGEX = /^0[23][0-9a-f]{64}$/;
+
+function invalidPins(message, cause) {
+  return new ValidationError(message, { field: "payeePins", cause });
+}
+
+/**
+ * Check a list of payee node pubkeys
+ * @param {string|string[]} pubkeys - Compressed secp256k1 pubkeys (hex)
+ * @param {string} [field="payees"] - Option named in thrown errors
+ * @returns {string[]} Lower-case pubkeys
+ * @throws {ValidationError} When the list is empty or has an invalid key
+ */
+function normalizePayees(pubkeys, field = "payees") {
+  const list = (Array.isArray(pubkeys) ? pubkeys : [pubkeys]).map((pubkey) =>
+    String(pubkey).trim().toLowerCase()
+  );
+  if (!list.length) {
+    throw new ValidationError(`${field} must list at least one pubkey`, {
+      field,
+    });
+  }
+  for (const pubkey of list) {
+    if (!PUBKEY_REGEX.test(pubkey)) {
+      throw new ValidationError(
+        `Invalid payee pubkey in ${field}: ${pubkey} (expected 33 byte compressed hex)`,
+        { field }
+      );
+    }
+  }
+  return list;
+}
+
+// Pins are keyed by "user@domain" or "domain". A port is dropped: the
+// resolved domain they are matched against has none, and the node behind a
+// host doesn't change with the port. The domain needs at least two labels:
+// getPayees never matches a bare top-level label, so "localhost" or a
+// "merchant" missing its domain would silently pin nothing.
+function normalizeKey(key) {
+  const value = String(key)
+    .trim()
+    .toLowerCase()
+    .replace(/:\d{1,5}$/, "")
+    .replace(/\.$/, "");
+  if (!/^([a-z0-9\-_.+]+@)?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(value)) {
+    throw invalidPins(`Invalid payee pin key: ${key}`);
+  }
+  if (!value.split("@").pop().includes(".")) {
+    throw invalidPins(
+      `Invalid payee pin key: ${key} (expected a domain with a dot, e.g. bringin.xyz)`
+    );
+  }
+  return value;
+}
+
+function stripPort(domain) {
+  return String(domain).replace(/:\d{1,5}$/, "");
+}
+
+/**
+ * Create a set of payee node pubkeys pinned per Lightning address or domain.
+ * Invoices for a pinned merchant must be issued by one of its nodes.
+ * @param {Object} [pins] - Pubkeys by "user@domain" or "domain", e.g.
+ *   `{ "bringin.xyz": ["02ab..."] }`. A domain covers its subdomains and
+ *   all ports.
+ * @returns {Object} Pins with `getPayees(resolved)`, `setPayees(key,
+ *   pubkeys)`, `deletePayees(key)` and `toJSON()`
+ * @throws {ValidationError} When a key or pubkey is invalid
+ */
+function createPayeePins(pins = {}) {
+  if (!pins || typeof pins !== "object" || Array.isArray(pins)) {
+    throw invalidPins("payeePins must map addresses or domains to pubkeys");
+  }
+  const entries = new Map();
+
+  const payeePins = {
+    /**
+     * Find the pubkeys pinned for a resolved input. An address pin wins over
+     * a domain pin, and the closest domain wins over its parents.
+     * @param {Object} resolved - Resolved input (see resolveLnurl)
+     * @returns {string[]|null} Pinned pubkeys, or null when not pinned
+     */
+    getPayees(resolved) {
+      if (resolved.address) {
+        const { username, domain } = resolved.address;
+        const pinned = entries.get(
+          `${username}@${stripPort(domain)}`.toLowerCase()
+        );
+        if (pinned) {
+          return pinned.slice();
+        }
+      }
+      const labels = stripPort(resolved.domain).toLowerCase().split(".");
+      for (let i = 0; i < labels.length - 1; i++) {
+        const pinned = entries.get(labels.slice(i).join("."));
+        if (pinned) {
+          return pinned.slice();
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Pin the pubkeys for an address or domain, replacing earlier ones
+     * @param {string} key - "user@domain" or "domain"
+     * @param {string|string[]} pubkeys - Compressed node pubkeys (hex)
+     * @returns {Object} The pins, for chaining
+     */
+    setPayees(key, pubkeys) {
+      entries.set(normalizeKey(key), normalizePayees(pubkeys, "payeePins"));
+      return payeePins;
+    },
+
+    /**
+     * Remove the pin of an address or domain
+     * @param {string} key - "user@domain" or "domain"
+     * @returns {boolean} Whether a pin was removed
+     */
+    deletePayees(key) {
+      return entries.delete(normalizeKey(key));
+    },
+
+    /**
+     * @returns {Object} Pins in the format createPayeePins accepts
+     */
+    toJSON() {
+      const json = {};
+      for (const [key, pubkeys] of entries) {
+        json[key] = pubkeys.slice();
+      }
+      return json;
+    },
+  };
+
+  for (const key of Object.keys(pins)) {
+    payeePins.setPayees(key, pins[key]);
+  }
+  return payeePins;
+}
+
+/**
+ * Load payee pins from a JSON file in the createPayeePins format
+ * @param {string} file - Path of the JSON file
+ * @returns {Object} Pins, see createPayeePins
+ * @throws {ValidationError} When the file can't be read or is invalid
+ */
+function loadPayeePins(file) {
+  let pins;
+  try {
+    pins = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw invalidPins(
+      `Could not load payee pins from ${file}: ${error.message}`,
+      error
+    );
+  }
+  return createPayeePins(pins);
+}
+
+module.exports = {
+  normalizePayees,
+  createPayeePins,
+  loadPayeePins,
+};
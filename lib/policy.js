@@ -0,0 +1,368 @@
+const dns = require("dns");
+const net = require("net");
+const { PolicyError, toNetworkError } = require("./errors");
+const { defaultTransport } = require("./transport");
+
+// Ranges no public LNURL service lives in: [network, prefix length, kind]
+const BLOCKED_IPV4 = [
+  ["0.0.0.0", 8, "unspecified"],
+  ["10.0.0.0", 8, "private"],
+  ["100.64.0.0", 10, "private"],
+  ["127.0.0.0", 8, "loopback"],
+  ["169.254.0.0", 16, "link-local"],
+  ["172.16.0.0", 12, "private"],
+  ["192.0.0.0", 24, "private"],
+  ["192.0.2.0", 24, "reserved"],
+  ["192.88.99.0", 24, "reserved"],
+  ["192.168.0.0", 16, "private"],
+  ["198.18.0.0", 15, "private"],
+  ["198.51.100.0", 24, "reserved"],
+  ["203.0.113.0", 24, "reserved"],
+  ["224.0.0.0", 4, "multicast"],
+  ["240.0.0.0", 4, "reserved"],
+].map(([address, bits, kind]) => {
+  const first = ipv4ToNumber(address);
+  return { first, last: first + 2 ** (32 - bits) - 1, kind };
+});
+
+function ipv4ToNumber(address) {
+  return address
+    .split(".")
+    .reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+// Eight 16-bit groups of an IPv6 address, with an IPv4 tail expanded
+function ipv6ToGroups(address) {
+  let text = address.toLowerCase().split("%")[0];
+  const ipv4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (ipv4) {
+    const value = ipv4ToNumber(ipv4[1]);
+    text = `${text.slice(0, ipv4.index)}${(value >>> 16).toString(16)}:${(
+      value & 0xffff
+    ).toString(16)}`;
+  }
+  const [head, tail] = text.split("::");
+  const parse = (part) =>
+    part ? part.split(":").map((g) => parseInt(g, 16)) : [];
+  const first = parse(head);
+  const last = parse(tail);
+  const fill = tail !== undefined ? 8 - first.length - last.length : 0;
+  return [...first, ...new Array(fill).fill(0), ...last];
+}
+
+function groupsToIpv4(high, low) {
+  return [high >>> 8, high & 255, low >>> 8, low & 255].join(".");
+}
+
+function getEmbeddedIpv4(groups) {
+  const zero = (from, to) =>
+    groups.slice(from, to).every((group) => group === 0);
+  if (zero(0, 6) || (zero(0, 5) && groups[5] === 0xffff)) {
+    return groupsToIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zero(2, 6)) {
+    return groupsToIpv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return groupsToIpv4(groups[1], groups[2]);
+  }
+  // Teredo carries the client address with every bit flipped
+  if (groups[0] === 0x2001 && groups[1] === 0) {
+    return groupsToIpv4(groups[6] ^ 0xffff, groups[7] ^ 0xffff);
+  }
+  return null;
+}
+
+/**
+ * Tell why an IP address must not be fetched from
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} "private", "loopback", "link-local", "unspecified",
+ *   "multicast" or "reserved", or null for public addresses
+ */
+function classifyAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    const value = ipv4ToNumber(address);
+    const range = BLOCKED_IPV4.find(
+      (entry) => value >= entry.first && value <= entry.last
+    );
+    return range ? range.kind : null;
+  }
+  if (family !== 6) {
+    return null;
+  }
+
+  const groups = ipv6ToGroups(address);
+  if (groups.every((group) => group === 0)) {
+    return "unspecified";
+  }
+  if (groups.slice(0, 7).every((group) => group === 0) && groups[7] === 1) {
+    return "loopback";
+  }
+  // Addresses carrying an IPv4 address reach that address, so they are
+  // classified by it: IPv4-compatible (::/96), IPv4-mapped (::ffff:0:0/96),
+  // NAT64 (64:ff9b::/96), 6to4 (2002::/16) and Teredo (2001::/32)
+  const embedded = getEmbeddedIpv4(groups);
+  if (embedded) {
+    return classifyAddress(embedded);
+  }
+  // Local-use NAT64 (64:ff9b:1::/48) translates to addresses of the network
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups[2] === 1) {
+    return "private";
+  }
+  if ((groups[0] & 0xffc0) === 0xfe80) {
+    return "link-local";
+  }
+  if ((groups[0] & 0xfe00) === 0xfc00) {
+    return "private";
+  }
+  if ((groups[0] & 0xff00) === 0xff00) {
+    return "multicast";
+  }
+  return null;
+}
+
+function normalizeHost(host) {
+  return String(host).trim().toLowerCase().replace(/\.$/, "");
+}
+
+// IPv6 hostnames come bracketed
+function getHostname(url) {
+  return normalizeHost(url.hostname.replace(/^\[|\]$/g, ""));
+}
+
+// "example.com" covers the domain and all of its subdomains
+function matchesDomain(hostname, domains) {
+  return domains.some(
+    (domain) => hostname === domain || hostname.endsWith(`.${domain}`)
+  );
+}
+
+async function lookupAll(hostname) {
+  return dns.promises.lookup(hostname, { all: true, verbatim: true });
+}
+
+/**
+ * Build a `dns.lookup` replacement answering with checked addresses only
+ * @param {Object[]} addresses - Addresses as `{address}`
+ * @returns {Function} Lookup called with `(hostname, options, callback)`
+ */
+function pinnedLookup(addresses) {
+  const entries = addresses.map(({ address }) => ({
+    address,
+    family: net.isIP(address),
+  }));
+  return (hostname, options, callback) => {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const family = typeof options === "number" ? options : options.family;
+    const matching = family
+      ? entries.filter((entry) => entry.family === family)
+      : entries;
+    process.nextTick(() => {
+      if (!matching.length) {
+        const error = new Error(`No IPv${family} address for ${hostname}`);
+        error.code = "ENOTFOUND";
+        callback(error);
+      } else if (options.all) {
+        callback(null, matching);
+      } else {
+        callback(null, matching[0].address, matching[0].family);
+      }
+    });
+  };
+}
+
+/**
+ * Create a policy for the URLs a payment fetches or hands to the payer:
+ * the payRequest, the invoice callback and url success actions. Each of them
+ * may point at another host, so each is checked on its own.
+ * @param {Object} [options] - Policy options
+ * @param {string[]} [options.allowDomains] - Only allow these domains and
+ *   their subdomains
+ * @param {string[]} [options.denyDomains] - Reject these domains and their
+ *   subdomains, even when allowed
+ * @param {string[]} [options.devHosts] - Hosts allowed over plain HTTP and on
+ *   private addresses, e.g. `["localhost", "127.0.0.1"]`
+ * @param {boolean} [options.requireHttps=true] - Reject plain HTTP URLs
+ *   outside devHosts and onion services
+ * @param {boolean} [options.blockPrivateAddresses=true] - Reject hosts that
+ *   resolve to private, loopback or link-local addresses
+ * @param {Function} [options.lookup] - DNS lookup resolving a hostname to
+ *   `[{address, family}]`, defaults to the system resolver
+ * @returns {Object} Policy with `checkUrl(url)`, `checkAddress(url)` and
+ *   `wrap(fetchGet)`
+ */
+function createResolutionPolicy(options = {}) {
+  const allowDomains = options.allowDomains
+    ? options.allowDomains.map(normalizeHost)
+    : null;
+  const denyDomains = (options.denyDomains || []).map(normalizeHost);
+  const devHosts = (options.devHosts || []).map(normalizeHost);
+  const requireHttps = options.requireHttps !== false;
+  const blockPrivateAddresses = options.blockPrivateAddresses !== false;
+  const lookup = options.lookup || lookupAll;
+
+  const reject = (message, rule, url, cause) =>
+    new PolicyError(message, { rule, url, cause });
+
+  const policy = {
+    /**
+     * Check the scheme and domain of a URL, without DNS
+     * @param {string|URL} value - URL to check
+     * @returns {URL} Parsed URL
+     * @throws {PolicyError} When the policy rejects the URL
+     */
+    checkUrl(value) {
+      let url;
+      try {
+        url = new URL(String(value));
+      } catch (error) {
+        throw reject(`Invalid URL: ${value}`, "invalid-url", String(value));
+      }
+      const hostname = getHostname(url);
+      const isDevHost = devHosts.includes(hostname);
+      const isOnion = /\.onion$/.test(hostname);
+
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        throw reject(
+          `Only HTTP(S) URLs are allowed: ${url.href}`,
+          "https-required",
+          url.href
+        );
+      }
+      if (matchesDomain(hostname, denyDomains)) {
+        throw reject(`Domain ${hostname} is denied`, "domain-denied", url.href);
+      }
+      if (
+        allowDomains &&
+        !isDevHost &&
+        !matchesDomain(hostname, allowDomains)
+      ) {
+        throw reject(
+          `Domain ${hostname} is not in the allowlist`,
+          "domain-not-allowed",
+          url.href
+        );
+      }
+      if (requireHttps && url.protocol !== "https:" && !isDevHost && !isOnion) {
+        throw reject(
+          `HTTPS is required for ${hostname}`,
+          "https-required",
+          url.href
+        );
+      }
+      return url;
+    },
+
+    /**
+     * Check a URL and the addresses its host resolves to
+     * @param {string|URL} value - URL to check
+     * @returns {Promise<URL>} Parsed URL
+     * @throws {PolicyError} When the policy rejects the URL or its host
+     *   can't be resolved
+     */
+    async checkAddress(value) {
+      const { url } = await vet(value);
+      return url;
+    },
+
+    /**
+     * Wrap a fetchGet so every request is checked first. Redirects are
+     * refused, since their target would skip the check, and the request gets
+     * a `lookup` that only returns the checked addresses, so a DNS answer
+     * changed in between (DNS rebinding) is not used.
+     * @param {Function} fetchGet - fetchGet called with `{url, params, signal,
+     *   redirect, lookup}`
+     * @returns {Function} Checked fetchGet
+     */
+    wrap(fetchGet) {
+      return async (request) => {
+        const { addresses } = await vet(request.url);
+        const checked = { ...request, redirect: "error" };
+        if (addresses) {
+          checked.lookup = pinnedLookup(addresses);
+        }
+        return fetchGet(checked);
+      };
+    },
+  };
+
+  // Resolve the host of a checked URL; addresses is null when it isn't
+  // resolved, e.g. for dev hosts and onion services
+  async function vet(value) {
+    const url = policy.checkUrl(value);
+    const hostname = getHostname(url);
+    // Onion services are reached through a proxy, not DNS
+    if (
+      !blockPrivateAddresses ||
+      devHosts.includes(hostname) ||
+      /\.onion$/.test(hostname)
+    ) {
+      return { url, addresses: null };
+    }
+
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [{ address: hostname }];
+    } else {
+      try {
+        addresses = await lookup(hostname);
+      } catch (error) {
+        throw reject(
+          `Could not resolve ${hostname}: ${error.message}`,
+          "dns-failed",
+          url.href,
+          error
+        );
+      }
+    }
+    if (!addresses || !addresses.length) {
+      throw reject(`Could not resolve ${hostname}`, "dns-failed", url.href);
+    }
+
+    // Every address counts: the HTTP client may pick any of them
+    for (const { address } of addresses) {
+      const kind = classifyAddress(address);
+      if (kind) {
+        throw reject(
+          address === hostname
+            ? `${hostname} is a ${kind} address`
+            : `${hostname} resolves to a ${kind} address (${address})`,
+          "private-address",
+          url.href
+        );
+      }
+    }
+    return { url, addresses };
+  }
+
+  return policy;
+}
+
+/**
+ * Pick the fetchGet for a request, wrapped by the resolution policy when
+ * one is set. Every outbound request goes through it, so what the HTTP
+ * client throws is reported as a NetworkError.
+ * @param {Object} options - Request options with fetchGet and policy
+ * @returns {Function} fetchGet called with `{url, params, signal}`
+ */
+function getFetchGet(options) {
+  const fetchGet = options.fetchGet || defaultTransport;
+  const checked = options.policy ? options.policy.wrap(fetchGet) : fetchGet;
+  return async (request) => {
+    try {
+      return await checked(request);
+    } catch (error) {
+      throw toNetworkError(error);
+    }
+  };
+}
+
+module.exports = {
+  classifyAddress,
+  createResolutionPolicy,
+  getFetchGet,
+};
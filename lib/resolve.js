@@ -0,0 +1,199 @@
+const bech32 = require("./bech32");
+const { ValidationError } = require("./errors");
+
+// LUD-17 schemes and the LNURL tag each of them implies
+const LUD17_SCHEMES = {
+  lnurlp: "payRequest",
+  lnurlw: "withdrawRequest",
+  lnurlc: "channelRequest",
+  keyauth: "login",
+};
+
+const LNURL_REGEX = /^lnurl1[02-9ac-hj-np-z]+$/i;
+const ADDRESS_REGEX =
+  /^([a-z0-9\-_.+]+)@((?:[a-z0-9-]+\.)+[a-z0-9-]+)(:\d{1,5})?$/i;
+
+function isOnionHost(hostname) {
+  return /\.onion$/i.test(hostname);
+}
+
+function parseHttpUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    return null;
+  }
+
+  return url;
+}
+
+function invalidInput(message = "Invalid Lightning address or LNURL format") {
+  return new ValidationError(message, {
+    code: "INVALID_LNURL",
+    field: "lnUrlOrAddress",
+  });
+}
+
+/**
+ * Extract a bech32 LNURL from a raw string, "lightning:" URI or an
+ * HTTPS fallback URL carrying it in a "lightning" query parameter (LUD-01)
+ * @param {string} input - Candidate string
+ * @returns {string|null} Bech32 LNURL or null
+ */
+function extractBech32Lnurl(input) {
+  let candidate = input.replace(/^lightning:/i, "");
+
+  if (LNURL_REGEX.test(candidate)) {
+    return candidate;
+  }
+
+  const url = parseHttpUrl(input);
+  if (url) {
+    candidate = url.searchParams.get("lightning") || "";
+    return LNURL_REGEX.test(candidate) ? candidate : null;
+  }
+
+  return null;
+}
+
+/**
+ * Decode a bech32 LNURL string to the URL it encodes
+ * @param {string} lnurl - Bech32 LNURL (LNURL1...)
+ * @returns {string} Decoded URL
+ * @throws {ValidationError} When the string is not a valid LNURL
+ */
+function decodeLnurl(lnurl) {
+  let decoded;
+  try {
+    decoded = bech32.decode(lnurl);
+  } catch (error) {
+    throw invalidInput(`Invalid LNURL: ${error.message}`);
+  }
+
+  if (decoded.prefix !== "lnurl") {
+    throw invalidInput("Invalid LNURL: unexpected prefix");
+  }
+
+  return bech32.fromWords(decoded.words).toString("utf8");
+}
+
+/**
+ * Encode a URL as a bech32 LNURL string
+ * @param {string} url - URL to encode
+ * @returns {string} Uppercase bech32 LNURL (QR friendly)
+ */
+function encodeLnurl(url) {
+  return bech32
+    .encode("lnurl", bech32.toWords(Buffer.from(url, "utf8")))
+    .toUpperCase();
+}
+
+/**
+ * Resolve a Lightning address, bech32 LNURL, LUD-17 URL or plain URL
+ * to the endpoint that has to be queried
+ * @param {string} lnUrlOrAddress - User supplied input
+ * @param {Object} [options] - Resolve options
+ * @param {boolean} [options.onionAllowed=false] - Allow onion URLs
+ * @param {boolean} [options.allowInsecure=false] - Allow plain HTTP URLs to
+ *   clearnet hosts, e.g. a local test service. Onion services are reached
+ *   over HTTP either way
+ * @returns {{url: string, type: string, tag: (string|null), domain: string, address: (Object|null)}}
+ *   Resolved endpoint. `type` is one of "address", "lnurl", "lud17" or "url";
+ *   `tag` is the LNURL tag implied by a LUD-17 scheme
+ * @throws {ValidationError} When the input cannot be resolved
+ */
+function resolveLnurl(lnUrlOrAddress, options = {}) {
+  if (!lnUrlOrAddress || typeof lnUrlOrAddress !== "string") {
+    throw new ValidationError("lnUrlOrAddress is required", {
+      field: "lnUrlOrAddress",
+    });
+  }
+
+  const input = lnUrlOrAddress.trim();
+  let resolved = null;
+
+  const lnurl = extractBech32Lnurl(input);
+  const addressMatch = ADDRESS_REGEX.exec(input);
+  const schemeMatch = /^([a-z]+):\/\//i.exec(input);
+  const scheme = schemeMatch ? schemeMatch[1].toLowerCase() : null;
+
+  if (lnurl) {
+    const url = parseHttpUrl(decodeLnurl(lnurl));
+    if (!url) {
+      throw invalidInput("Invalid LNURL: does not encode an HTTP(S) URL");
+    }
+    resolved = { url, type: "lnurl", tag: null, address: null };
+  } else if (addressMatch) {
+    const username = addressMatch[1].toLowerCase();
+    const host = (addressMatch[2] + (addressMatch[3] || "")).toLowerCase();
+    const protocol = isOnionHost(addressMatch[2]) ? "http" : "https";
+    resolved = {
+      url: new URL(`${protocol}://${host}/.well-known/lnurlp/${username}`),
+      type: "address",
+      tag: "payRequest",
+      address: { username, domain: host },
+    };
+  } else if (scheme && LUD17_SCHEMES[scheme]) {
+    const rest = input.slice(scheme.length + 3);
+    const host = rest.split(/[/?#]/)[0];
+    const protocol = isOnionHost(host.split(":")[0]) ? "http" : "https";
+    const url = parseHttpUrl(`${protocol}://${rest}`);
+    if (!url) {
+      throw invalidInput();
+    }
+    resolved = {
+      url,
+      type: "lud17",
+      tag: LUD17_SCHEMES[scheme],
+      address: null,
+    };
+  } else if (scheme === "http" || scheme === "https") {
+    const url = parseHttpUrl(input);
+    if (!url) {
+      throw invalidInput();
+    }
+    resolved = { url, type: "url", tag: null, address: null };
+  }
+
+  if (!resolved) {
+    throw invalidInput();
+  }
+
+  if (isOnionHost(resolved.url.hostname) && !options.onionAllowed) {
+    throw new ValidationError(
+      "Onion URLs are not allowed (set onionAllowed to enable)",
+      { code: "ONION_NOT_ALLOWED", field: "onionAllowed" }
+    );
+  }
+  // LUD-01: clearnet services must be reached over HTTPS, whether the URL
+  // was given directly or inside an LNURL
+  if (
+    resolved.url.protocol === "http:" &&
+    !isOnionHost(resolved.url.hostname) &&
+    !options.allowInsecure
+  ) {
+    throw new ValidationError(
+      "Plain HTTP URLs are only allowed for onion services (set allowInsecure to enable)",
+      { code: "INSECURE_URL", field: "allowInsecure" }
+    );
+  }
+
+  return {
+    url: resolved.url.toString(),
+    type: resolved.type,
+    tag: resolved.tag,
+    domain: resolved.url.hostname,
+    address: resolved.address,
+  };
+}
+
+module.exports = {
+  resolveLnurl,
+  decodeLnurl,
+  encodeLnurl,
+};
@@ -0,0 +1,477 @@
+/**
+ * Minimal secp256k1 arithmetic on BigInt, enough to recover BOLT11 payee keys
+ * and sign LUD-05 logins and zap requests.
+ * BigInt arithmetic is not constant-time. Multiplications by secret scalars
+ * (public keys, signing nonces) go through Node's OpenSSL bindings, the nonce
+ * inversion in `sign` is blinded and the BIP340 key masking works on bytes,
+ * but signing still does some BigInt arithmetic on the private key and nonce.
+ * Keys held by a server that signs for remote callers belong in a signer
+ * backed by a vetted library or a hardware device (the `signer` options of
+ * lnurlAuth and requestZapInvoice).
+ */
+
+const crypto = require("crypto");
+
+const P = BigInt(
+  "0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f"
+);
+const N = BigInt(
+  "0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141"
+);
+const G = {
+  x: BigInt(
+    "0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798"
+  ),
+  y: BigInt(
+    "0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8"
+  ),
+};
+
+function mod(a, m = P) {
+  const result = a % m;
+  return result >= 0n ? result : result + m;
+}
+
+function invert(a, m = P) {
+  let low = mod(a, m);
+  let high = m;
+  let lm = 1n;
+  let hm = 0n;
+  while (low > 1n) {
+    const ratio = high / low;
+    [lm, hm] = [hm - lm * ratio, lm];
+    [low, high] = [high - low * ratio, low];
+  }
+  return mod(lm, m);
+}
+
+// Inverse of a secret scalar mod N. The scalar is multiplied by a random
+// blind first, and the inverse is computed as a power with the public
+// exponent N - 2, so the steps taken don't depend on the secret.
+function invertSecret(a) {
+  let blind = 0n;
+  while (blind === 0n || blind >= N) {
+    blind = bytesToBigInt(crypto.randomBytes(32));
+  }
+  return mod(powMod(mod(a * blind, N), N - 2n, N) * blind, N);
+}
+
+function powMod(base, exponent, m = P) {
+  let result = 1n;
+  let b = mod(base, m);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) {
+      result = (result * b) % m;
+    }
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// Jacobian coordinates avoid one inversion per addition
+function toJacobian(point) {
+  return point ? [point.x, point.y, 1n] : [0n, 1n, 0n];
+}
+
+function fromJacobian([x, y, z]) {
+  if (z === 0n) {
+    return null;
+  }
+  const zInv = invert(z);
+  const zInv2 = (zInv * zInv) % P;
+  return { x: mod(x * zInv2), y: mod(y * zInv2 * zInv) };
+}
+
+function jacobianDouble([x, y, z]) {
+  if (y === 0n || z === 0n) {
+    return [0n, 1n, 0n];
+  }
+  const ysq = mod(y * y);
+  const s = mod(4n * x * ysq);
+  const m = mod(3n * x * x);
+  const nx = mod(m * m - 2n * s);
+  const ny = mod(m * (s - nx) - 8n * ysq * ysq);
+  const nz = mod(2n * y * z);
+  return [nx, ny, nz];
+}
+
+function jacobianAdd(p, q) {
+  if (p[2] === 0n) {
+    return q;
+  }
+  if (q[2] === 0n) {
+    return p;
+  }
+  const pz2 = mod(p[2] * p[2]);
+  const qz2 = mod(q[2] * q[2]);
+  const u1 = mod(p[0] * qz2);
+  const u2 = mod(q[0] * pz2);
+  const s1 = mod(p[1] * qz2 * q[2]);
+  const s2 = mod(q[1] * pz2 * p[2]);
+  if (u1 === u2) {
+    return s1 === s2 ? jacobianDouble(p) : [0n, 1n, 0n];
+  }
+  const h = mod(u2 - u1);
+  const r = mod(s2 - s1);
+  const h2 = mod(h * h);
+  const h3 = mod(h * h2);
+  const u1h2 = mod(u1 * h2);
+  const nx = mod(r * r - h3 - 2n * u1h2);
+  const ny = mod(r * (u1h2 - nx) - s1 * h3);
+  const nz = mod(h * p[2] * q[2]);
+  return [nx, ny, nz];
+}
+
+function jacobianMultiply(point, scalar) {
+  let result = [0n, 1n, 0n];
+  let addend = point;
+  let k = mod(scalar, N);
+  while (k > 0n) {
+    if (k & 1n) {
+      result = jacobianAdd(result, addend);
+    }
+    addend = jacobianDouble(addend);
+    k >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Multiply a curve point by a scalar
+ * @param {{x: bigint, y: bigint}} point - Curve point
+ * @param {bigint} scalar - Scalar
+ * @returns {{x: bigint, y: bigint}|null} Resulting point (null for infinity)
+ */
+function multiply(point, scalar) {
+  return fromJacobian(jacobianMultiply(toJacobian(point), scalar));
+}
+
+/**
+ * Add two curve points
+ * @param {{x: bigint, y: bigint}|null} a - First point
+ * @param {{x: bigint, y: bigint}|null} b - Second point
+ * @returns {{x: bigint, y: bigint}|null} Sum (null for infinity)
+ */
+function add(a, b) {
+  return fromJacobian(jacobianAdd(toJacobian(a), toJacobian(b)));
+}
+
+function liftX(x, odd) {
+  if (x >= P) {
+    return null;
+  }
+  const ySquared = mod(x * x * x + 7n);
+  let y = powMod(ySquared, (P + 1n) / 4n);
+  if (mod(y * y) !== ySquared) {
+    return null;
+  }
+  if ((y & 1n) !== (odd ? 1n : 0n)) {
+    y = P - y;
+  }
+  return { x, y };
+}
+
+function bytesToBigInt(bytes) {
+  return BigInt("0x" + (Buffer.from(bytes).toString("hex") || "0"));
+}
+
+function bigIntToBytes(value, length = 32) {
+  return Buffer.from(value.toString(16).padStart(length * 2, "0"), "hex");
+}
+
+/**
+ * Encode a point as a 33 byte compressed public key
+ * @param {{x: bigint, y: bigint}} point - Curve point
+ * @returns {Buffer} Compressed public key
+ */
+function pointToCompressed(point) {
+  return Buffer.concat([
+    Buffer.from([point.y & 1n ? 0x03 : 0x02]),
+    bigIntToBytes(point.x),
+  ]);
+}
+
+/**
+ * Decode a 33 byte compressed public key
+ * @param {Buffer} bytes - Compressed public key
+ * @returns {{x: bigint, y: bigint}} Curve point
+ * @throws {Error} When the key is not on the curve
+ */
+function pointFromCompressed(bytes) {
+  if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) {
+    throw new Error("Invalid compressed public key");
+  }
+  const point = liftX(bytesToBigInt(bytes.slice(1)), bytes[0] === 0x03);
+  if (!point) {
+    throw new Error("Invalid compressed public key");
+  }
+  return point;
+}
+
+/**
+ * Recover the public key that produced a compact ECDSA signature
+ * @param {Buffer} hash - 32 byte message hash
+ * @param {Buffer} signature - 64 byte compact signature (r || s)
+ * @param {number} recoveryId - Recovery id (0-3)
+ * @returns {Buffer} Compressed public key
+ * @throws {Error} When no valid key can be recovered
+ */
+function recoverPublicKey(hash, signature, recoveryId) {
+  const r = bytesToBigInt(signature.slice(0, 32));
+  const s = bytesToBigInt(signature.slice(32, 64));
+  if (r <= 0n || r >= N || s <= 0n || s >= N || recoveryId > 3) {
+    throw new Error("Invalid signature");
+  }
+
+  const R = liftX(recoveryId & 2 ? r + N : r, recoveryId & 1);
+  if (!R) {
+    throw new Error("Invalid signature: cannot recover point");
+  }
+
+  const e = mod(bytesToBigInt(hash), N);
+  const rInv = invert(r, N);
+  const u1 = mod(-e * rInv, N);
+  const u2 = mod(s * rInv, N);
+  const Q = fromJacobian(
+    jacobianAdd(
+      jacobianMultiply(toJacobian(G), u1),
+      jacobianMultiply(toJacobian(R), u2)
+    )
+  );
+  if (!Q) {
+    throw new Error("Invalid signature: recovered point at infinity");
+  }
+
+  return pointToCompressed(Q);
+}
+
+/**
+ * Multiply G by a secret scalar using OpenSSL
+ * @param {Buffer} scalar - 32 byte scalar in [1, N)
+ * @returns {{x: bigint, y: bigint}} Curve point
+ * @throws {Error} When the scalar is out of range
+ */
+function multiplyBaseSecret(scalar) {
+  const ecdh = crypto.createECDH("secp256k1");
+  ecdh.setPrivateKey(scalar);
+  const point = ecdh.getPublicKey();
+  return {
+    x: bytesToBigInt(point.slice(1, 33)),
+    y: bytesToBigInt(point.slice(33, 65)),
+  };
+}
+
+/**
+ * Check that a private key is a valid secp256k1 scalar
+ * @param {Buffer} privateKey - 32 byte private key
+ * @returns {boolean} Whether the key is in [1, N)
+ */
+function isValidPrivateKey(privateKey) {
+  if (!Buffer.isBuffer(privateKey) || privateKey.length !== 32) {
+    return false;
+  }
+  const d = bytesToBigInt(privateKey);
+  return d > 0n && d < N;
+}
+
+/**
+ * Derive the compressed public key of a private key
+ * @param {Buffer} privateKey - 32 byte private key
+ * @returns {Buffer} 33 byte compressed public key
+ */
+function getPublicKey(privateKey) {
+  return pointToCompressed(multiplyBaseSecret(privateKey));
+}
+
+function hmac(key, ...data) {
+  return crypto.createHmac("sha256", key).update(Buffer.concat(data)).digest();
+}
+
+/**
+ * Sign a 32 byte hash with ECDSA, using an RFC 6979 deterministic nonce and
+ * a low S value
+ * @param {Buffer} hash - 32 byte message hash
+ * @param {Buffer} privateKey - 32 byte private key
+ * @returns {{signature: Buffer, recoveryId: number}} 64 byte compact
+ *   signature (r || s) and its recovery id
+ */
+function sign(hash, privateKey) {
+  const d = bytesToBigInt(privateKey);
+  const z = mod(bytesToBigInt(hash), N);
+  const h1 = bigIntToBytes(z);
+
+  // RFC 6979 section 3.2 with HMAC-SHA256
+  let v = Buffer.alloc(32, 1);
+  let k = Buffer.alloc(32, 0);
+  k = hmac(k, v, Buffer.from([0]), privateKey, h1);
+  v = hmac(k, v);
+  k = hmac(k, v, Buffer.from([1]), privateKey, h1);
+  v = hmac(k, v);
+
+  for (;;) {
+    v = hmac(k, v);
+    const nonce = bytesToBigInt(v);
+    if (nonce > 0n && nonce < N) {
+      const R = multiplyBaseSecret(v);
+      const r = mod(R.x, N);
+      let s = mod(invertSecret(nonce) * (z + r * d), N);
+      if (r !== 0n && s !== 0n) {
+        let recoveryId = (R.y & 1n ? 1 : 0) | (R.x >= N ? 2 : 0);
+        if (s > N / 2n) {
+          s = N - s;
+          recoveryId ^= 1;
+        }
+        return {
+          signature: Buffer.concat([bigIntToBytes(r), bigIntToBytes(s)]),
+          recoveryId,
+        };
+      }
+    }
+    k = hmac(k, v, Buffer.from([0]));
+    v = hmac(k, v);
+  }
+}
+
+function derInteger(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) {
+    start++;
+  }
+  let value = bytes.slice(start);
+  if (value[0] & 0x80) {
+    value = Buffer.concat([Buffer.from([0]), value]);
+  }
+  return Buffer.concat([Buffer.from([0x02, value.length]), value]);
+}
+
+/**
+ * Encode a compact signature as DER
+ * @param {Buffer} signature - 64 byte compact signature (r || s)
+ * @returns {Buffer} DER encoded signature
+ */
+function signatureToDer(signature) {
+  const body = Buffer.concat([
+    derInteger(signature.slice(0, 32)),
+    derInteger(signature.slice(32, 64)),
+  ]);
+  return Buffer.concat([Buffer.from([0x30, body.length]), body]);
+}
+
+function taggedHash(tag, ...data) {
+  const tagHash = crypto.createHash("sha256").update(tag, "utf8").digest();
+  return crypto
+    .createHash("sha256")
+    .update(Buffer.concat([tagHash, tagHash, ...data]))
+    .digest();
+}
+
+/**
+ * Derive the 32 byte x-only public key of a private key (BIP340)
+ * @param {Buffer} privateKey - 32 byte private key
+ * @returns {Buffer} x-only public key
+ */
+function getXOnlyPublicKey(privateKey) {
+  return bigIntToBytes(multiplyBaseSecret(privateKey).x);
+}
+
+/**
+ * Sign a message with a BIP340 Schnorr signature
+ * @param {Buffer} message - 32 byte message
+ * @param {Buffer} privateKey - 32 byte private key
+ * @param {Buffer} [auxRand] - 32 bytes of auxiliary randomness (random by
+ *   default)
+ * @returns {Buffer} 64 byte signature
+ */
+function schnorrSign(message, privateKey, auxRand = crypto.randomBytes(32)) {
+  const publicPoint = multiplyBaseSecret(privateKey);
+  let d = bytesToBigInt(privateKey);
+  if (publicPoint.y & 1n) {
+    d = N - d;
+  }
+  const px = bigIntToBytes(publicPoint.x);
+
+  // Masked byte by byte: a BigInt XOR takes longer for longer keys
+  const aux = taggedHash("BIP0340/aux", auxRand);
+  const masked = bigIntToBytes(d).map((byte, i) => byte ^ aux[i]);
+  const k0 = mod(
+    bytesToBigInt(taggedHash("BIP0340/nonce", masked, px, message)),
+    N
+  );
+  if (k0 === 0n) {
+    throw new Error("Invalid nonce");
+  }
+  const R = multiplyBaseSecret(bigIntToBytes(k0));
+  const k = R.y & 1n ? N - k0 : k0;
+  const rx = bigIntToBytes(R.x);
+  const e = mod(
+    bytesToBigInt(taggedHash("BIP0340/challenge", rx, px, message)),
+    N
+  );
+
+  return Buffer.concat([rx, bigIntToBytes(mod(k + e * d, N))]);
+}
+
+/**
+ * Verify a BIP340 Schnorr signature
+ * @param {Buffer} signature - 64 byte signature
+ * @param {Buffer} message - 32 byte message
+ * @param {Buffer} publicKey - 32 byte x-only public key
+ * @returns {boolean} Whether the signature is valid
+ */
+function schnorrVerify(signature, message, publicKey) {
+  if (signature.length !== 64 || publicKey.length !== 32) {
+    return false;
+  }
+  const publicPoint = liftX(bytesToBigInt(publicKey), false);
+  const r = bytesToBigInt(signature.slice(0, 32));
+  const s = bytesToBigInt(signature.slice(32, 64));
+  if (!publicPoint || r >= P || s >= N) {
+    return false;
+  }
+
+  const e = mod(
+    bytesToBigInt(
+      taggedHash(
+        "BIP0340/challenge",
+        signature.slice(0, 32),
+        publicKey,
+        message
+      )
+    ),
+    N
+  );
+  // R = s*G - e*P
+  const R = fromJacobian(
+    jacobianAdd(
+      jacobianMultiply(toJacobian(G), s),
+      jacobianMultiply(toJacobian(publicPoint), N - e)
+    )
+  );
+  return Boolean(R) && (R.y & 1n) === 0n && R.x === r;
+}
+
+module.exports = {
+  P,
+  N,
+  G,
+  mod,
+  invert,
+  multiply,
+  add,
+  liftX,
+  bytesToBigInt,
+  bigIntToBytes,
+  multiplyBaseSecret,
+  isValidPrivateKey,
+  getPublicKey,
+  sign,
+  signatureToDer,
+  getXOnlyPublicKey,
+  schnorrSign,
+  schnorrVerify,
+  pointToCompressed,
+  pointFromCompressed,
+  recoverPublicKey,
+};
@@ -0,0 +1,328 @@
+const { hashMetadata } = require("./invoice");
+const { validateZapRequest } = require("./nostr");
+const { LnurlPayError, ValidationError } = require("./errors");
+
+const USERNAME_REGEX = /^[a-z0-9\-_.+]+$/;
+const PAY_REQUEST_PATH = /^\/\.well-known\/lnurlp\/([^/]+)\/?$/;
+const CALLBACK_PATH = /^\/lnurlp\/([^/]+)\/callback\/?$/;
+
+/**
+ * Error answered to the wallet as `{"status":"ERROR","reason":...}`
+ */
+class LnurlResponseError extends Error {
+  constructor(reason, statusCode = 400) {
+    super(reason);
+    this.statusCode = statusCode;
+  }
+}
+
+function assertMsats(value, field, required = true) {
+  if (value === undefined && !required) {
+    return;
+  }
+  if (!Number.isSafeInteger(value) || value <= 0) {
+    throw new ValidationError(`${field} must be a positive integer (msats)`, {
+      field,
+    });
+  }
+}
+
+function serializeMetadata(metadata) {
+  const value = Array.isArray(metadata) ? JSON.stringify(metadata) : metadata;
+  if (typeof value !== "string") {
+    throw new Error("metadata must be a string or an array");
+  }
+  return value;
+}
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  // LUD-01: wallets running in browsers call the service directly
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.end(JSON.stringify(body));
+}
+
+// Without a baseUrl the origin comes from the request's Host and
+// X-Forwarded-Proto headers, which only a trusted proxy can vouch for
+function getOrigin(req, baseUrl) {
+  if (baseUrl) {
+    return baseUrl.replace(/\/+$/, "");
+  }
+  const forwarded = req.headers["x-forwarded-proto"];
+  const protocol = forwarded
+    ? String(forwarded).split(",")[0].trim()
+    : req.socket && req.socket.encrypted
+    ? "https"
+    : "http";
+  return `${protocol}://${req.headers.host}`;
+}
+
+/**
+ * Create a request handler serving LNURL-pay (LUD-06/16) for Lightning
+ * addresses, with Bringin POS limits when the request carries pos=true.
+ * Works as a Node http handler and as Express-style middleware: requests
+ * for other paths go to `next`, or get a 404 without it. HEAD requests to
+ * the callback are answered without creating an invoice.
+ * @param {Object} options - Handler options
+ * @param {Function} options.lookupUser - `(username, req)` resolving to the
+ *   user, or null when the address does not exist
+ * @param {Function} options.createInvoice - Invoice backend, called with
+ *   `{user, username, msats, descriptionHash, metadata, comment, posMode,
+ *   zapRequest, req}`; resolves to a BOLT11 string or `{pr, successAction,
+ *   verify}`. For zaps `zapRequest` is the zap request JSON as received and
+ *   `descriptionHash` commits to it
+ * @param {number} options.minSendable - Standard minimum in msats
+ * @param {number} options.maxSendable - Maximum in msats
+ * @param {number} [options.posMinSendable] - Minimum in msats for pos=true
+ *   requests; without it POS requests get the standard limits
+ * @param {string|Array|Function} options.metadata - LUD-06 metadata, or
+ *   `(user, username)` returning it. Arrays are serialized once and the
+ *   invoice commits to that exact string
+ * @param {number} [options.commentAllowed=0] - Maximum comment length
+ * @param {string} [options.nostrPubkey] - Key (x-only hex) the service signs
+ *   NIP-57 zap receipts with; advertises zap support when set
+ * @param {string} [options.baseUrl] - Public origin for callback URLs;
+ *   required unless `trustProxy` is set
+ * @param {boolean} [options.trustProxy=false] - Without a baseUrl, build
+ *   callback URLs from the Host and X-Forwarded-Proto headers. Only safe
+ *   behind a proxy that sets them, as clients can forge them
+ * @param {Function} [options.onError] - Called with `(error, req)` when the
+ *   invoice backend or user lookup fails; errors it throws are ignored
+ * @returns {Function} `(req, res, next)` handler
+ * @throws {ValidationError} When the options are invalid
+ */
+function createLnurlPayHandler(options = {}) {
+  for (const name of ["lookupUser", "createInvoice"]) {
+    if (typeof options[name] !== "function") {
+      throw new ValidationError(`${name} must be a function`, { field: name });
+    }
+  }
+  assertMsats(options.minSendable, "minSendable");
+  assertMsats(options.maxSendable, "maxSendable");
+  assertMsats(options.posMinSendable, "posMinSendable", false);
+  if (options.minSendable > options.maxSendable) {
+    throw new ValidationError("minSendable must not exceed maxSendable", {
+      field: "minSendable",
+    });
+  }
+  if (options.posMinSendable > options.maxSendable) {
+    throw new ValidationError("posMinSendable must not exceed maxSendable", {
+      field: "posMinSendable",
+    });
+  }
+  if (options.metadata === undefined) {
+    throw new ValidationError("metadata is required", { field: "metadata" });
+  }
+  if (!options.baseUrl && options.trustProxy !== true) {
+    throw new ValidationError(
+      "baseUrl is required unless trustProxy is set: callback URLs would otherwise come from client-supplied headers",
+      { field: "baseUrl" }
+    );
+  }
+  const commentAllowed = options.commentAllowed || 0;
+  if (
+    options.nostrPubkey !== undefined &&
+    !/^[0-9a-f]{64}$/i.test(String(options.nostrPubkey))
+  ) {
+    throw new ValidationError("nostrPubkey must be a 32 byte hex key", {
+      field: "nostrPubkey",
+    });
+  }
+  const nostrPubkey =
+    options.nostrPubkey !== undefined
+      ? String(options.nostrPubkey).toLowerCase()
+      : null;
+
+  const getLimits = (posMode) => ({
+    minSendable:
+      posMode && options.posMinSendable !== undefined
+        ? options.posMinSendable
+        : options.minSendable,
+    maxSendable: options.maxSendable,
+  });
+
+  const getUser = async (encodedUsername, req) => {
+    let username;
+    try {
+      username = decodeURIComponent(encodedUsername).toLowerCase();
+    } catch (error) {
+      username = "";
+    }
+    if (!USERNAME_REGEX.test(username)) {
+      throw new LnurlResponseError("User not found", 404);
+    }
+    const user = await options.lookupUser(username, req);
+    if (!user) {
+      throw new LnurlResponseError("User not found", 404);
+    }
+    const metadata = serializeMetadata(
+      typeof options.metadata === "function"
+        ? await options.metadata(user, username)
+        : options.metadata
+    );
+    return { user, username, metadata };
+  };
+
+  const payRequest = async (req, encodedUsername, posMode) => {
+    const { username, metadata } = await getUser(encodedUsername, req);
+    const callback = new URL(
+      `${getOrigin(req, options.baseUrl)}${
+        req.baseUrl || ""
+      }/lnurlp/${encodeURIComponent(username)}/callback`
+    );
+    if (posMode) {
+      // Wallets that don't know POS mode still get the POS limits
+      callback.searchParams.set("pos", "true");
+    }
+
+    const body = {
+      tag: "payRequest",
+      callback: callback.toString(),
+      ...getLimits(posMode),
+      metadata,
+    };
+    if (commentAllowed > 0) {
+      body.commentAllowed = commentAllowed;
+    }
+    if (nostrPubkey) {
+      body.allowsNostr = true;
+      body.nostrPubkey = nostrPubkey;
+    }
+    return body;
+  };
+
+  // NIP-57: the invoice commits to the zap request instead of the metadata
+  const parseZapRequest = (nostr, msats) => {
+    if (!nostrPubkey) {
+      throw new LnurlResponseError("Zaps are not supported");
+    }
+    try {
+      validateZapRequest(JSON.parse(nostr), { msats });
+    } catch (error) {
+      throw new LnurlResponseError(
+        error instanceof ValidationError
+          ? error.message
+          : "Invalid zap request: not valid JSON"
+      );
+    }
+    return nostr;
+  };
+
+  const invoiceRequest = async (req, url, encodedUsername, posMode) => {
+    const { user, username, metadata } = await getUser(encodedUsername, req);
+    const amount = url.searchParams.get("amount");
+    const msats = /^\d+$/.test(amount || "") ? Number(amount) : NaN;
+    if (!Number.isSafeInteger(msats) || msats <= 0) {
+      throw new LnurlResponseError("Invalid amount");
+    }
+
+    const { minSendable, maxSendable } = getLimits(posMode);
+    if (msats < minSendable) {
+      throw new LnurlResponseError(
+        `Amount too small. Minimum: ${minSendable} msats`
+      );
+    }
+    if (msats > maxSendable) {
+      throw new LnurlResponseError(
+        `Amount too large. Maximum: ${maxSendable} msats`
+      );
+    }
+
+    const comment = url.searchParams.get("comment") || undefined;
+    if (comment && comment.length > commentAllowed) {
+      throw new LnurlResponseError(
+        `Comment too long. Maximum: ${commentAllowed} characters`
+      );
+    }
+
+    const nostr = url.searchParams.get("nostr");
+    const zapRequest =
+      nostr !== null ? parseZapRequest(nostr, msats) : undefined;
+
+    const invoice = await options.createInvoice({
+      user,
+      username,
+      msats,
+      descriptionHash: hashMetadata(zapRequest || metadata),
+      metadata,
+      comment,
+      posMode,
+      zapRequest,
+      req,
+    });
+    const result = typeof invoice === "string" ? { pr: invoice } : invoice;
+    if (!result || typeof result.pr !== "string" || !result.pr) {
+      throw new Error("createInvoice did not return an invoice");
+    }
+
+    const body = { pr: result.pr, routes: [] };
+    if (result.successAction) {
+      body.successAction = result.successAction;
+    }
+    if (result.verify) {
+      body.verify = result.verify;
+    }
+    return body;
+  };
+
+  return async function lnurlPayHandler(req, res, next) {
+    const url = new URL(req.url, "http://localhost");
+    const payMatch = PAY_REQUEST_PATH.exec(url.pathname);
+    const callbackMatch = CALLBACK_PATH.exec(url.pathname);
+
+    if (
+      (req.method !== "GET" && req.method !== "HEAD") ||
+      !(payMatch || callbackMatch)
+    ) {
+      if (typeof next === "function") {
+        next();
+      } else {
+        sendJson(res, 404, { status: "ERROR", reason: "Not found" });
+      }
+      return;
+    }
+
+    // A HEAD probe must not create an invoice: answer with the headers only
+    if (req.method === "HEAD" && callbackMatch) {
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "application/json");
+      res.setHeader("Access-Control-Allow-Origin", "*");
+      res.end();
+      return;
+    }
+
+    const posMode = url.searchParams.get("pos") === "true";
+    try {
+      const body = payMatch
+        ? await payRequest(req, payMatch[1], posMode)
+        : await invoiceRequest(req, url, callbackMatch[1], posMode);
+      sendJson(res, 200, body);
+    } catch (error) {
+      if (error instanceof LnurlResponseError) {
+        sendJson(res, error.statusCode, {
+          status: "ERROR",
+          reason: error.message,
+        });
+        return;
+      }
+      if (typeof options.onError === "function") {
+        try {
+          options.onError(error, req);
+        } catch (hookError) {
+          // A failing error hook must not leave the wallet without an answer
+        }
+      }
+      // Backends may reject a request with a reason meant for the payer
+      const reason =
+        error instanceof LnurlPayError && error.reason
+          ? error.reason
+          : "Internal error";
+      sendJson(res, 500, { status: "ERROR", reason });
+    }
+  };
+}
+
+module.exports = {
+  createLnurlPayHandler,
+};
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const { LnurlPayError, ServiceError, ValidationError } = require("./errors");
+
+// LUD-09 / LUD-10 limits
+const MAX_MESSAGE_LENGTH = 144;
+const MAX_DESCRIPTION_LENGTH = 144;
+const MAX_CIPHERTEXT_LENGTH = 4096;
+
+function invalid(message) {
+  return new ServiceError(`Invalid success action: ${message}`, {
+    code: "INVALID_SUCCESS_ACTION",
+  });
+}
+
+function checkText(value, field, maxLength) {
+  if (typeof value !== "string") {
+    throw invalid(`${field} must be a string`);
+  }
+  if (value.length > maxLength) {
+    throw invalid(`${field} too long. Maximum: ${maxLength} characters`);
+  }
+  return value;
+}
+
+function checkBase64(value, field) {
+  if (typeof value !== "string" || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    throw invalid(`${field} must be base64`);
+  }
+  return Buffer.from(value, "base64");
+}
+
+function decryptAes(successAction, preimage) {
+  const iv = checkBase64(successAction.iv, "iv");
+  if (successAction.iv.length !== 24 || iv.length !== 16) {
+    throw invalid("iv must be 16 bytes");
+  }
+  const ciphertext = checkBase64(successAction.ciphertext, "ciphertext");
+  if (successAction.ciphertext.length > MAX_CIPHERTEXT_LENGTH) {
+    throw invalid(`ciphertext too long. Maximum: ${MAX_CIPHERTEXT_LENGTH}`);
+  }
+
+  if (typeof preimage !== "string" || !/^[0-9a-f]{64}$/i.test(preimage)) {
+    throw new ValidationError(
+      "Invalid preimage: a 32 byte hex preimage is required to decrypt",
+      { field: "preimage" }
+    );
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-cbc",
+      Buffer.from(preimage, "hex"),
+      iv
+    );
+    return Buffer.concat([
+      decipher.update(ciphertext),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    throw new LnurlPayError(
+      "Could not decrypt success action: wrong preimage or corrupted data",
+      { code: "SUCCESS_ACTION_DECRYPT_FAILED", cause: error }
+    );
+  }
+}
+
+/**
+ * Validate a LUD-09 success action and turn it into something a UI can render.
+ * AES actions (LUD-10) are decrypted with the payment preimage.
+ * @param {Object} successAction - successAction from the invoice callback
+ * @param {string} [preimage] - Payment preimage (hex), required for aes
+ * @param {Object} [options] - Processing options
+ * @param {string} [options.domain] - Callback domain url actions must match
+ * @returns {Object|null} `{tag, message}`, `{tag, description, url}` or
+ *   `{tag, description, plaintext}`; null when there is no success action
+ * @throws {ServiceError} When the action is malformed
+ * @throws {LnurlPayError} When the action can't be decrypted
+ */
+function processSuccessAction(successAction, preimage, options = {}) {
+  if (!successAction) {
+    return null;
+  }
+  if (typeof successAction !== "object") {
+    throw invalid("must be an object");
+  }
+
+  switch (successAction.tag) {
+    case "message":
+      return {
+        tag: "message",
+        message: checkText(
+          successAction.message,
+          "message",
+          MAX_MESSAGE_LENGTH
+        ),
+      };
+
+    case "url": {
+      const description = checkText(
+        successAction.description,
+        "description",
+        MAX_DESCRIPTION_LENGTH
+      );
+      let url;
+      try {
+        url = new URL(successAction.url);
+      } catch (error) {
+        throw invalid("url must be a valid URL");
+      }
+      if (url.protocol !== "https:" && url.protocol !== "http:") {
+        throw invalid("url must be an HTTP(S) URL");
+      }
+      if (
+        options.domain &&
+        url.hostname.toLowerCase() !== options.domain.toLowerCase()
+      ) {
+        throw invalid(
+          `url domain ${url.hostname} does not match callback domain ${options.domain}`
+        );
+      }
+      return { tag: "url", description, url: url.toString() };
+    }
+
+    case "aes":
+      return {
+        tag: "aes",
+        description: checkText(
+          successAction.description,
+          "description",
+          MAX_DESCRIPTION_LENGTH
+        ),
+        plaintext: decryptAes(successAction, preimage),
+      };
+
+    default:
+      throw invalid(`unsupported tag ${successAction.tag}`);
+  }
+}
+
+module.exports = {
+  processSuccessAction,
+};
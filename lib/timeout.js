@@ -0,0 +1,159 @@
+const { AbortError, TimeoutError } = require("./errors");
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Stand-in for AbortController on Node < 15: a signal with `aborted`,
+// `reason`, `onabort` and abort listeners, which is what fetchGet functions
+// and Node's HTTP client use
+function createAbortController() {
+  if (typeof AbortController === "function") {
+    return new AbortController();
+  }
+  const listeners = [];
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener(type, listener) {
+      if (type === "abort") {
+        listeners.push(listener);
+      }
+    },
+    removeEventListener(type, listener) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+  };
+  return {
+    signal,
+    abort(reason) {
+      if (signal.aborted) {
+        return;
+      }
+      signal.aborted = true;
+      signal.reason = reason;
+      const event = { type: "abort", target: signal };
+      if (typeof signal.onabort === "function") {
+        signal.onabort(event);
+      }
+      for (const listener of listeners.splice(0)) {
+        listener.call(signal, event);
+      }
+    },
+  };
+}
+
+/**
+ * Run one network step with a deadline. The step gets an AbortSignal that
+ * fires on timeout or when the caller aborts; the deadline is enforced even
+ * if the step ignores the signal.
+ * @param {string} step - Step name reported on timeout
+ * @param {Object} options - Deadline options
+ * @param {number} [options.timeout=30000] - Step timeout in milliseconds
+ * @param {number} [options.deadline] - Overall deadline (ms since epoch)
+ * @param {AbortSignal} [options.signal] - Caller abort signal
+ * @param {Function} run - Receives the AbortSignal, returns a promise
+ * @returns {Promise<*>} Result of `run`
+ * @throws {TimeoutError} When the step or the overall deadline is exceeded
+ * @throws {AbortError} When the caller aborts
+ */
+async function withTimeout(step, options, run) {
+  const stepTimeout =
+    options.timeout === undefined ? DEFAULT_TIMEOUT : options.timeout;
+  const remaining =
+    options.deadline === undefined ? Infinity : options.deadline - Date.now();
+  const isTotal = remaining < stepTimeout;
+  const timeout = Math.max(0, Math.min(stepTimeout, remaining));
+
+  const timeoutError = () =>
+    new TimeoutError(
+      isTotal
+        ? `Request timeout: overall deadline reached during ${step}`
+        : `Request timeout after ${timeout}ms during ${step}`,
+      { step, timeout, scope: isTotal ? "total" : "step" }
+    );
+
+  const abortError = () =>
+    new AbortError(`Request aborted during ${step}`, {
+      step,
+      cause: options.signal && options.signal.reason,
+    });
+
+  if (options.signal && options.signal.aborted) {
+    throw abortError();
+  }
+  if (timeout <= 0) {
+    throw timeoutError();
+  }
+
+  const controller = createAbortController();
+  let timer;
+  let onAbort;
+
+  const guard = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      // Settle first so the race reports the timeout, not the abort it causes
+      const error = timeoutError();
+      reject(error);
+      controller.abort(error);
+    }, timeout);
+
+    if (options.signal) {
+      onAbort = () => {
+        const error = abortError();
+        reject(error);
+        controller.abort(error);
+      };
+      options.signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), guard]);
+  } finally {
+    clearTimeout(timer);
+    if (onAbort) {
+      options.signal.removeEventListener("abort", onAbort);
+    }
+  }
+}
+
+/**
+ * Wait before the next attempt, stopping early when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ * @throws {AbortError} When the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () =>
+      new AbortError("Aborted while waiting", { cause: signal.reason });
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  createAbortController,
+  withTimeout,
+  sleep,
+};
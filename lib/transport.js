@@ -0,0 +1,304 @@
+const { assertNotLnurlError } = require("./params");
+const { LnurlPayError, NetworkError, ServiceError } = require("./errors");
+const { sleep } = require("./timeout");
+const { version } = require("../package.json");
+
+const DEFAULT_USER_AGENT = `@bringinxyz/lnurl-pay/${version}`;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_MIN_DELAY = 250;
+const DEFAULT_MAX_DELAY = 5000;
+const DEFAULT_MAX_RETRY_AFTER = 30000;
+const MAX_REDIRECTS = 5;
+
+function buildUrl(url, params) {
+  const target = new URL(url);
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value !== undefined && value !== null) {
+      target.searchParams.set(key, String(value));
+    }
+  }
+  return target.toString();
+}
+
+function parseBody(text, status) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ServiceError(`Invalid JSON response (HTTP ${status})`, {
+      code: "INVALID_RESPONSE",
+    });
+  }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date)
+ * @param {string} [value] - Header value
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {number|undefined} Delay in ms
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+function httpError(status, retryAfter, cause) {
+  const error = new NetworkError(`HTTP ${status}`, { status, cause });
+  if (retryAfter !== undefined) {
+    error.retryAfter = retryAfter;
+  }
+  return error;
+}
+
+// LNURL errors are often sent with a 4xx/5xx status, prefer their reason
+function readResponse(status, text, retryAfter) {
+  if (status < 200 || status >= 300) {
+    try {
+      assertNotLnurlError(JSON.parse(text));
+    } catch (error) {
+      if (error instanceof LnurlPayError) {
+        throw error;
+      }
+    }
+    throw httpError(status, parseRetryAfter(retryAfter));
+  }
+
+  const data = parseBody(text, status);
+  assertNotLnurlError(data);
+  return data;
+}
+
+async function fetchJson(target, { signal, headers, redirect }) {
+  const response = await fetch(target, { signal, headers, redirect });
+  const text = await response.text();
+  return readResponse(
+    response.status,
+    text,
+    response.headers.get("retry-after")
+  );
+}
+
+// Node's HTTP client, for a DNS lookup (fetch can't take one) and for Node
+// versions without fetch or axios. Redirects are followed unless refused.
+function nodeJson(
+  target,
+  { signal, headers, redirect, lookup },
+  redirects = 0
+) {
+  const client = require(target.startsWith("https:") ? "https" : "http");
+  return new Promise((resolve, reject) => {
+    const request = client.get(
+      target,
+      { signal, headers, lookup },
+      (response) => {
+        const location = response.headers.location;
+        if (
+          response.statusCode >= 300 &&
+          response.statusCode < 400 &&
+          location &&
+          redirect !== "error"
+        ) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            reject(new NetworkError("Too many redirects"));
+            return;
+          }
+          resolve(
+            nodeJson(
+              new URL(location, target).toString(),
+              { signal, headers, redirect, lookup },
+              redirects + 1
+            )
+          );
+          return;
+        }
+        const chunks = [];
+        response.on("data", (chunk) => chunks.push(chunk));
+        response.on("error", reject);
+        response.on("end", () => {
+          try {
+            resolve(
+              readResponse(
+                response.statusCode,
+                Buffer.concat(chunks).toString("utf8"),
+                response.headers["retry-after"]
+              )
+            );
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }
+    );
+    request.on("error", reject);
+  });
+}
+
+function loadAxios() {
+  try {
+    return require("axios");
+  } catch (error) {
+    return null;
+  }
+}
+
+async function axiosJson(axios, target, { signal, headers, redirect }) {
+  let response;
+  try {
+    response = await axios.get(target, {
+      signal,
+      headers,
+      maxRedirects: redirect === "error" ? 0 : undefined,
+    });
+  } catch (error) {
+    if (error.response) {
+      assertNotLnurlError(error.response.data);
+      throw httpError(
+        error.response.status,
+        parseRetryAfter(
+          error.response.headers && error.response.headers["retry-after"]
+        ),
+        error
+      );
+    }
+    throw error;
+  }
+  assertNotLnurlError(response.data);
+  return response.data;
+}
+
+/**
+ * GET a JSON document from an LNURL endpoint once.
+ * Uses the global fetch when available and falls back to axios, then to
+ * Node's HTTP client.
+ * @param {Object} request - Request
+ * @param {string} request.url - URL to fetch
+ * @param {Object} [request.params] - Query parameters to add to the URL
+ * @param {AbortSignal} [request.signal] - Aborts the request
+ * @param {Object} [request.headers] - Request headers
+ * @param {string} [request.redirect="follow"] - "error" to fail on redirects
+ * @param {Function} [request.lookup] - DNS lookup to connect with, as set by
+ *   a resolution policy; the request then goes through Node's HTTP client
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {ServiceError} With the service reason for LNURL error responses
+ * @throws {NetworkError} When the request fails or returns an HTTP error
+ */
+async function getJson({ url, params, signal, headers, redirect, lookup }) {
+  const target = buildUrl(url, params);
+  const requestHeaders = {
+    Accept: "application/json",
+    "User-Agent": DEFAULT_USER_AGENT,
+    ...headers,
+  };
+
+  const request = { signal, headers: requestHeaders, redirect, lookup };
+  try {
+    if (lookup) {
+      return await nodeJson(target, request);
+    }
+    if (typeof fetch === "function") {
+      return await fetchJson(target, request);
+    }
+    const axios = loadAxios();
+    if (axios) {
+      return await axiosJson(axios, target, request);
+    }
+    return await nodeJson(target, request);
+  } catch (error) {
+    if (error instanceof LnurlPayError) {
+      throw error;
+    }
+    throw new NetworkError(error.message, { cause: error });
+  }
+}
+
+// 429 asks the client to slow down, not to give up
+function isRetryable(error) {
+  return (
+    error instanceof NetworkError &&
+    error.code === "NETWORK_ERROR" &&
+    (error.status === undefined || error.status === 429 || error.status >= 500)
+  );
+}
+
+/**
+ * Create a fetchGet that retries failed GETs.
+ * Network errors, 429 and 5xx responses are retried with jittered
+ * exponential backoff; a Retry-After header replaces the backoff when it is
+ * longer. LNURL error responses and other 4xx statuses are not retried.
+ * @param {Object} [options] - Transport options
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.minDelay=250] - Backoff before the first retry (ms)
+ * @param {number} [options.maxDelay=5000] - Backoff cap (ms)
+ * @param {number} [options.maxRetryAfter=30000] - Longest Retry-After to
+ *   wait for; longer ones fail right away
+ * @param {Object} [options.headers] - Headers sent with every request
+ * @param {string} [options.userAgent] - User-Agent header
+ * @param {Function} [options.fetchGet] - Single request function, defaults to
+ *   the built-in fetch/axios client
+ * @returns {Function} fetchGet called with `{url, params, signal}`
+ */
+function createTransport(options = {}) {
+  const retries =
+    options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+  const minDelay =
+    options.minDelay !== undefined ? options.minDelay : DEFAULT_MIN_DELAY;
+  const maxDelay =
+    options.maxDelay !== undefined ? options.maxDelay : DEFAULT_MAX_DELAY;
+  const maxRetryAfter =
+    options.maxRetryAfter !== undefined
+      ? options.maxRetryAfter
+      : DEFAULT_MAX_RETRY_AFTER;
+  const headers = { ...options.headers };
+  if (options.userAgent) {
+    headers["User-Agent"] = options.userAgent;
+  }
+  const send = options.fetchGet || getJson;
+
+  return async function fetchGet(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send({
+          ...request,
+          headers: { ...headers, ...request.headers },
+        });
+      } catch (error) {
+        const signal = request.signal;
+        if (
+          attempt >= retries ||
+          (signal && signal.aborted) ||
+          !isRetryable(error)
+        ) {
+          throw error;
+        }
+        if (error.retryAfter > maxRetryAfter) {
+          throw error;
+        }
+
+        // Jitter keeps clients from retrying in lockstep
+        const backoff = Math.min(maxDelay, minDelay * 2 ** attempt);
+        const delay = Math.max(
+          error.retryAfter || 0,
+          backoff / 2 + (Math.random() * backoff) / 2
+        );
+        await sleep(delay, signal);
+      }
+    }
+  };
+}
+
+const defaultTransport = createTransport();
+
+module.exports = {
+  DEFAULT_USER_AGENT,
+  buildUrl,
+  parseRetryAfter,
+  getJson,
+  createTransport,
+  defaultTransport,
+};
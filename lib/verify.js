@@ -0,0 +1,226 @@
+const { assertNotLnurlError } = require("./params");
+const { getFetchGet } = require("./policy");
+const { withTimeout, sleep } = require("./timeout");
+const { decodeInvoice } = require("./bolt11");
+const { isValidPreimage } = require("./invoice");
+const {
+  LnurlPayError,
+  ValidationError,
+  ServiceError,
+  NetworkError,
+  TimeoutError,
+  withErrorContext,
+} = require("./errors");
+
+const DEFAULT_INTERVAL = 2000;
+
+/**
+ * Read the LUD-21 verify URL from an invoice callback response
+ * @param {*} verify - `verify` field of the callback response
+ * @returns {string|undefined} Verify URL, when it is a valid http(s) URL
+ */
+function parseVerifyUrl(verify) {
+  if (typeof verify !== "string") {
+    return undefined;
+  }
+  try {
+    const url = new URL(verify);
+    return /^https?:$/.test(url.protocol) ? url.toString() : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function getPaymentHash(invoiceResponse) {
+  if (invoiceResponse.decodedInvoice) {
+    return invoiceResponse.decodedInvoice.paymentHash;
+  }
+  return decodeInvoice(invoiceResponse.invoice).paymentHash;
+}
+
+function getExpiresAt(invoiceResponse) {
+  const decoded =
+    invoiceResponse.decodedInvoice || decodeInvoice(invoiceResponse.invoice);
+  return decoded.expiresAt * 1000;
+}
+
+function assertVerifiable(invoiceResponse) {
+  if (!invoiceResponse || !invoiceResponse.verify) {
+    throw new ValidationError(
+      "Invoice response has no LUD-21 verify URL: the service doesn't support payment verification",
+      { code: "VERIFY_NOT_SUPPORTED", field: "verify", step: "input" }
+    );
+  }
+}
+
+/**
+ * Ask the service whether an invoice was paid (LUD-21)
+ * @param {Object} invoiceResponse - Response of requestInvoice or
+ *   requestInvoiceWithServiceParams
+ * @param {Object} [options] - Request options
+ * @param {Function} [options.fetchGet] - Custom fetch function
+ * @param {Object} [options.policy] - Resolution policy from
+ *   createResolutionPolicy, checking the verify URL
+ * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+ * @param {number} [options.deadline] - Overall deadline (ms since epoch)
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<Object>} `{settled, preimage, pr}`; the preimage is
+ *   checked against the invoice payment hash
+ * @throws {ValidationError} When the response has no verify URL
+ * @throws {ServiceError} When the service answers with an error or a preimage
+ *   that doesn't match the invoice
+ * @throws {NetworkError} When the service cannot be reached
+ */
+async function verifyPayment(invoiceResponse, options = {}) {
+  assertVerifiable(invoiceResponse);
+  const posMode = Boolean(
+    invoiceResponse.params && invoiceResponse.params.posMode
+  );
+
+  try {
+    const fetchGet = getFetchGet(options);
+    const data = await withTimeout("verify", options, (signal) =>
+      fetchGet({ url: invoiceResponse.verify, signal })
+    );
+    assertNotLnurlError(data);
+
+    if (!data || typeof data.settled !== "boolean") {
+      throw new ServiceError("Invalid verify response: settled is missing", {
+        code: "INVALID_RESPONSE",
+      });
+    }
+    if (
+      data.pr &&
+      String(data.pr).toLowerCase() !== invoiceResponse.invoice.toLowerCase()
+    ) {
+      throw new ServiceError("Verify response is for a different invoice", {
+        code: "INVALID_RESPONSE",
+      });
+    }
+
+    let preimage = null;
+    if (data.settled && data.preimage) {
+      preimage = String(data.preimage).toLowerCase();
+      if (!isValidPreimage(preimage, getPaymentHash(invoiceResponse))) {
+        throw new ServiceError(
+          "Verify response preimage doesn't match the invoice payment hash",
+          { code: "INVALID_PREIMAGE" }
+        );
+      }
+    }
+
+    return {
+      settled: data.settled,
+      preimage,
+      pr: invoiceResponse.invoice,
+    };
+  } catch (error) {
+    throw withErrorContext(error, {
+      step: "verify",
+      posMode,
+      message: "Payment verification failed",
+    });
+  }
+}
+
+/**
+ * Poll the LUD-21 verify URL until the invoice is settled
+ * @param {Object} invoiceResponse - Response of requestInvoice or
+ *   requestInvoiceWithServiceParams
+ * @param {Object} [options] - Polling options
+ * @param {number} [options.interval=2000] - Delay between checks (ms)
+ * @param {number} [options.timeout] - Give up after this many ms; defaults to
+ *   waiting until the invoice expires
+ * @param {number} [options.requestTimeout=30000] - Timeout of each check (ms)
+ * @param {AbortSignal} [options.signal] - Stops polling
+ * @param {Function} [options.onProgress] - Called after every check with
+ *   `{attempt, settled, elapsed, expiresAt, error}`
+ * @param {Function} [options.fetchGet] - Custom fetch function
+ * @param {Object} [options.policy] - Resolution policy from
+ *   createResolutionPolicy, checking the verify URL
+ * @returns {Promise<Object>} `{settled: true, preimage, pr, attempts}`
+ * @throws {LnurlPayError} With code INVOICE_EXPIRED when the invoice expires
+ *   unpaid
+ * @throws {TimeoutError} When `timeout` is reached first
+ * @throws {AbortError} When the signal aborts
+ * @throws {ServiceError} When the service answers with an error
+ */
+async function waitForPayment(invoiceResponse, options = {}) {
+  assertVerifiable(invoiceResponse);
+  const posMode = Boolean(
+    invoiceResponse.params && invoiceResponse.params.posMode
+  );
+  const interval =
+    options.interval !== undefined ? options.interval : DEFAULT_INTERVAL;
+  const startedAt = Date.now();
+  const expiresAt = getExpiresAt(invoiceResponse);
+  const timeoutAt =
+    options.timeout !== undefined ? startedAt + options.timeout : Infinity;
+
+  for (let attempt = 1; ; attempt++) {
+    const now = Date.now();
+    if (now >= expiresAt) {
+      throw new LnurlPayError("Invoice expired before it was paid", {
+        code: "INVOICE_EXPIRED",
+        step: "verify",
+        posMode,
+      });
+    }
+    if (now >= timeoutAt) {
+      throw new TimeoutError(`Payment not settled after ${options.timeout}ms`, {
+        step: "verify",
+        timeout: options.timeout,
+        scope: "total",
+        posMode,
+      });
+    }
+
+    let status;
+    let failure;
+    try {
+      status = await verifyPayment(invoiceResponse, {
+        fetchGet: options.fetchGet,
+        policy: options.policy,
+        timeout: options.requestTimeout,
+        deadline: Math.min(expiresAt, timeoutAt),
+        signal: options.signal,
+      });
+    } catch (error) {
+      // Keep polling through network trouble; service answers are final
+      if (
+        !(error instanceof NetworkError) ||
+        (options.signal && options.signal.aborted)
+      ) {
+        throw error;
+      }
+      failure = error;
+    }
+
+    if (options.onProgress) {
+      options.onProgress({
+        attempt,
+        settled: Boolean(status && status.settled),
+        elapsed: Date.now() - startedAt,
+        expiresAt,
+        error: failure,
+      });
+    }
+
+    if (status && status.settled) {
+      return { ...status, attempts: attempt };
+    }
+
+    const remaining = Math.min(expiresAt, timeoutAt) - Date.now();
+    try {
+      await sleep(Math.max(0, Math.min(interval, remaining)), options.signal);
+    } catch (error) {
+      throw withErrorContext(error, { step: "verify", posMode });
+    }
+  }
+}
+
+module.exports = {
+  parseVerifyUrl,
+  verifyPayment,
+  waitForPayment,
+};
@@ -0,0 +1,82 @@
+const { assertNotLnurlError } = require("./params");
+const { ServiceError } = require("./errors");
+
+const TAG_WITHDRAW_REQUEST = "withdrawRequest";
+
+function invalidParams(message) {
+  return new ServiceError(`Invalid withdraw service params: ${message}`, {
+    code: "INVALID_RESPONSE",
+  });
+}
+
+function parseMsats(value) {
+  const text = String(value === undefined || value === null ? "" : value);
+  return /^\d+$/.test(text) ? BigInt(text) : null;
+}
+
+/**
+ * Parse a LUD-03 withdrawRequest response
+ * @param {Object} data - Raw service response
+ * @returns {Object} Withdraw parameters. Bounds are kept in msats as
+ *   `minWithdrawable`/`maxWithdrawable` (numbers) and rounded inwards to
+ *   sats as `min`/`max`
+ * @throws {ServiceError} When the response is not a valid withdrawRequest
+ */
+function parseWithdrawParams(data) {
+  assertNotLnurlError(data);
+
+  if (!data || data.tag !== TAG_WITHDRAW_REQUEST) {
+    throw invalidParams("not a withdrawRequest");
+  }
+
+  const callback = String(data.callback || "").trim();
+  let domain;
+  try {
+    const callbackUrl = new URL(callback);
+    if (!/^https?:$/.test(callbackUrl.protocol)) {
+      throw new Error("unsupported protocol");
+    }
+    domain = callbackUrl.hostname;
+  } catch (error) {
+    throw invalidParams("callback must be a valid url");
+  }
+
+  const k1 = typeof data.k1 === "string" ? data.k1.trim() : "";
+  if (!k1) {
+    throw invalidParams("k1 is missing");
+  }
+
+  const minWithdrawable = parseMsats(
+    data.minWithdrawable === undefined ? 0 : data.minWithdrawable
+  );
+  const maxWithdrawable = parseMsats(data.maxWithdrawable);
+  if (
+    minWithdrawable === null ||
+    maxWithdrawable === null ||
+    maxWithdrawable <= 0n ||
+    minWithdrawable > maxWithdrawable
+  ) {
+    throw invalidParams("invalid amount range");
+  }
+
+  return {
+    tag: TAG_WITHDRAW_REQUEST,
+    callback,
+    k1,
+    domain,
+    defaultDescription: String(data.defaultDescription || ""),
+    minWithdrawable: Number(minWithdrawable),
+    maxWithdrawable: Number(maxWithdrawable),
+    min: Number((minWithdrawable + 999n) / 1000n),
+    max: Number(maxWithdrawable / 1000n),
+    balanceCheck:
+      typeof data.balanceCheck === "string" ? data.balanceCheck : "",
+    payLink: typeof data.payLink === "string" ? data.payLink : "",
+    rawData: data,
+  };
+}
+
+module.exports = {
+  TAG_WITHDRAW_REQUEST,
+  parseWithdrawParams,
+};
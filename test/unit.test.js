@@ -5,13 +5,21 @@
  * without requiring network requests.
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const lnurlPay = require("../index.js");
 
 /**
  * Test utilities
  */
+let failures = 0;
+
 function logTest(name, status, details = "") {
   const icon = status === "PASS" ? "[PASS]" : "[FAIL]";
+  if (status !== "PASS") {
+    failures++;
+  }
   console.log(`${icon} ${name}${details ? ": " + details : ""}`);
 }
 
@@ -23,27 +31,26 @@ function logSection(name) {
 /**
  * Test 1: Input validation
  */
-function testInputValidation() {
+async function testInputValidation() {
   logSection("Input Validation");
 
+  const service = lnurlPay.createMockLnurlService({
+    maxSendable: 1000000000,
+  });
+
   // Test valid amounts
   const validAmounts = [1, 50, 100, 1000, 25000, 1000000];
   for (const amount of validAmounts) {
     try {
-      // This would normally make a network request, but we're testing validation
-      if (
-        typeof amount === "number" &&
-        amount > 0 &&
-        Number.isInteger(amount)
-      ) {
-        logTest(`Valid amount: ${amount}`, "PASS");
-      } else {
-        logTest(
-          `Valid amount: ${amount}`,
-          "FAIL",
-          "Should be positive integer"
-        );
-      }
+      const invoice = await lnurlPay.requestInvoice({
+        lnUrlOrAddress: service.address,
+        tokens: amount,
+        fetchGet: service.fetchGet,
+      });
+      logTest(
+        `Valid amount: ${amount}`,
+        invoice.decodedInvoice.amountSat === amount ? "PASS" : "FAIL"
+      );
     } catch (error) {
       logTest(`Valid amount: ${amount}`, "FAIL", error.message);
     }
@@ -53,25 +60,24 @@ function testInputValidation() {
   const invalidAmounts = [0, -1, 1.5, "100", null, undefined, {}];
   for (const amount of invalidAmounts) {
     try {
-      if (
-        typeof amount === "number" &&
-        amount > 0 &&
-        Number.isInteger(amount)
-      ) {
-        logTest(
-          `Invalid amount: ${amount}`,
-          "FAIL",
-          "Should reject invalid amount"
-        );
-      } else {
-        logTest(
-          `Invalid amount: ${amount}`,
-          "PASS",
-          "Correctly identified as invalid"
-        );
-      }
+      await lnurlPay.requestInvoice({
+        lnUrlOrAddress: service.address,
+        tokens: amount,
+        fetchGet: service.fetchGet,
+      });
+      logTest(
+        `Invalid amount: ${amount}`,
+        "FAIL",
+        "Should reject invalid amount"
+      );
     } catch (error) {
-      logTest(`Invalid amount: ${amount}`, "PASS", "Correctly rejected");
+      logTest(
+        `Invalid amount: ${amount}`,
+        error instanceof lnurlPay.ValidationError && error.field === "tokens"
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
     }
   }
 }
@@ -91,16 +97,14 @@ function testLightningAddressValidation() {
   ];
 
   for (const address of validAddresses) {
-    const parts = address.split("@");
-    if (
-      parts.length === 2 &&
-      parts[0].length > 0 &&
-      parts[1].length > 0 &&
-      parts[1].includes(".")
-    ) {
-      logTest(`Valid address: ${address}`, "PASS");
-    } else {
-      logTest(`Valid address: ${address}`, "FAIL", "Should be valid");
+    try {
+      const resolved = lnurlPay.resolveLnurl(address);
+      logTest(
+        `Valid address: ${address}`,
+        resolved.type === "address" ? "PASS" : "FAIL"
+      );
+    } catch (error) {
+      logTest(`Valid address: ${address}`, "FAIL", error.message);
     }
   }
 
@@ -116,19 +120,14 @@ function testLightningAddressValidation() {
   ];
 
   for (const address of invalidAddresses) {
-    const parts = address ? address.split("@") : [];
-    if (
-      parts.length === 2 &&
-      parts[0].length > 0 &&
-      parts[1].length > 0 &&
-      parts[1].includes(".")
-    ) {
+    try {
+      lnurlPay.resolveLnurl(address);
       logTest(`Invalid address: ${address}`, "FAIL", "Should be invalid");
-    } else {
+    } catch (error) {
       logTest(
         `Invalid address: ${address}`,
-        "PASS",
-        "Correctly identified as invalid"
+        error instanceof lnurlPay.ValidationError ? "PASS" : "FAIL",
+        error.message
       );
     }
   }
@@ -137,52 +136,64 @@ function testLightningAddressValidation() {
 /**
  * Test 3: Comment validation
  */
-function testCommentValidation() {
+async function testCommentValidation() {
   logSection("Comment Validation");
 
+  const requestWithComment = async (comment, maxLength) => {
+    const service = lnurlPay.createMockLnurlService({
+      commentAllowed: maxLength,
+    });
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: service.address,
+      fetchGet: service.fetchGet,
+    });
+    return lnurlPay.requestInvoiceWithServiceParams({
+      params,
+      tokens: 100,
+      comment,
+      fetchGet: service.fetchGet,
+    });
+  };
+
   // Test valid comments
   const testCases = [
-    { comment: "Test", maxLength: 10, expected: true },
-    { comment: "Hello World", maxLength: 15, expected: true },
-    { comment: "", maxLength: 10, expected: true },
-    { comment: null, maxLength: 10, expected: true },
-    { comment: undefined, maxLength: 10, expected: true },
+    { comment: "Test", maxLength: 10 },
+    { comment: "Hello World", maxLength: 15 },
+    { comment: "", maxLength: 10 },
+    { comment: null, maxLength: 10 },
+    { comment: undefined, maxLength: 10 },
   ];
 
-  for (const testCase of testCases) {
-    const { comment, maxLength, expected } = testCase;
-    const isValid =
-      !comment || (typeof comment === "string" && comment.length <= maxLength);
-
-    if (isValid === expected) {
+  for (const { comment, maxLength } of testCases) {
+    try {
+      await requestWithComment(comment, maxLength);
       logTest(`Comment "${comment}" (max ${maxLength})`, "PASS");
-    } else {
-      logTest(
-        `Comment "${comment}" (max ${maxLength})`,
-        "FAIL",
-        `Expected ${expected}, got ${isValid}`
-      );
+    } catch (error) {
+      logTest(`Comment "${comment}" (max ${maxLength})`, "FAIL", error.message);
     }
   }
 
   // Test invalid comments
   const invalidCases = [
-    { comment: "Too long comment", maxLength: 5, expected: false },
-    { comment: "1234567890", maxLength: 5, expected: false },
+    { comment: "Too long comment", maxLength: 5 },
+    { comment: "1234567890", maxLength: 5 },
   ];
 
-  for (const testCase of invalidCases) {
-    const { comment, maxLength, expected } = testCase;
-    const isValid =
-      !comment || (typeof comment === "string" && comment.length <= maxLength);
-
-    if (isValid === expected) {
-      logTest(`Invalid comment "${comment}" (max ${maxLength})`, "PASS");
-    } else {
+  for (const { comment, maxLength } of invalidCases) {
+    try {
+      await requestWithComment(comment, maxLength);
       logTest(
         `Invalid comment "${comment}" (max ${maxLength})`,
         "FAIL",
-        `Expected ${expected}, got ${isValid}`
+        "Should reject long comment"
+      );
+    } catch (error) {
+      logTest(
+        `Invalid comment "${comment}" (max ${maxLength})`,
+        error instanceof lnurlPay.ValidationError && error.field === "comment"
+          ? "PASS"
+          : "FAIL",
+        error.message
       );
     }
   }
@@ -376,7 +387,11 @@ function testApiCompatibility() {
   }
 
   // Test that the class is also exported
-  if (typeof lnurlPay === "function" && lnurlPay.name === "EnhancedLnurlPay") {
+  if (
+    typeof lnurlPay.EnhancedLnurlPay === "function" &&
+    lnurlPay.EnhancedLnurlPay.name === "EnhancedLnurlPay" &&
+    lnurlPay.default === lnurlPay.EnhancedLnurlPay
+  ) {
     logTest("Class export", "PASS", "EnhancedLnurlPay class exported");
   } else {
     logTest("Class export", "FAIL", "Class not properly exported");
@@ -384,24 +399,4503 @@ function testApiCompatibility() {
 }
 
 /**
- * Run all unit tests
+ * Test 7: LNURL resolution
  */
-function runAllUnitTests() {
-  console.log("[UNIT TESTS] @bringinxyz/lnurl-pay");
-  console.log("=".repeat(60));
+async function testLnurlResolution() {
+  logSection("LNURL Resolution");
 
-  const startTime = Date.now();
+  const endpoint = "https://bringin.xyz/.well-known/lnurlp/merchant";
+  const lnurl = lnurlPay.encodeLnurl(endpoint);
+
+  const cases = [
+    { input: "merchant@bringin.xyz", url: endpoint, type: "address" },
+    { input: lnurl, url: endpoint, type: "lnurl" },
+    { input: `lightning:${lnurl.toLowerCase()}`, url: endpoint, type: "lnurl" },
+    {
+      input: `https://wallet.example/pay?lightning=${lnurl}`,
+      url: endpoint,
+      type: "lnurl",
+    },
+    {
+      input: "lnurlp://bringin.xyz/.well-known/lnurlp/merchant",
+      url: endpoint,
+      type: "lud17",
+    },
+    { input: endpoint, url: endpoint, type: "url" },
+  ];
+
+  for (const testCase of cases) {
+    try {
+      const resolved = lnurlPay.resolveLnurl(testCase.input);
+      if (resolved.url === testCase.url && resolved.type === testCase.type) {
+        logTest(`resolveLnurl: ${testCase.type}`, "PASS", resolved.url);
+      } else {
+        logTest(
+          `resolveLnurl: ${testCase.type}`,
+          "FAIL",
+          `Got ${resolved.type} ${resolved.url}`
+        );
+      }
+    } catch (error) {
+      logTest(`resolveLnurl: ${testCase.type}`, "FAIL", error.message);
+    }
+  }
+
+  const invalidInputs = [
+    "invalid-address",
+    "lnurl1invalid",
+    "ftp://bringin.xyz",
+    "merchant@abc.onion",
+  ];
+  for (const input of invalidInputs) {
+    try {
+      lnurlPay.resolveLnurl(input);
+      logTest(`resolveLnurl rejects: ${input}`, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(`resolveLnurl rejects: ${input}`, "PASS", error.message);
+    }
+  }
+
+  // Clearnet services must use HTTPS, also inside an LNURL
+  const insecure = "http://bringin.xyz/.well-known/lnurlp/merchant";
+  for (const [name, input] of [
+    ["Rejects plain HTTP URLs", insecure],
+    ["Rejects LNURLs encoding plain HTTP", lnurlPay.encodeLnurl(insecure)],
+  ]) {
+    try {
+      lnurlPay.resolveLnurl(input);
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        name,
+        error instanceof lnurlPay.ValidationError &&
+          error.code === "INSECURE_URL"
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+  }
 
   try {
-    testInputValidation();
-    testLightningAddressValidation();
-    testCommentValidation();
-    testHelperFunctions();
-    testErrorMessageFormat();
-    testApiCompatibility();
+    const local = lnurlPay.resolveLnurl(
+      lnurlPay.encodeLnurl("http://127.0.0.1:8080/.well-known/lnurlp/merchant"),
+      { allowInsecure: true }
+    );
+    const onion = lnurlPay.resolveLnurl(
+      lnurlPay.encodeLnurl("http://abc.onion/.well-known/lnurlp/merchant"),
+      { onionAllowed: true }
+    );
+    logTest(
+      "Plain HTTP with allowInsecure or onion",
+      local.url.startsWith("http://127.0.0.1:8080/") &&
+        onion.url.startsWith("http://abc.onion/")
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Plain HTTP with allowInsecure or onion", "FAIL", error.message);
+  }
 
-    const duration = Date.now() - startTime;
-    console.log(`\n[SUCCESS] All unit tests completed in ${duration}ms`);
+  try {
+    await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: insecure,
+      fetchGet: async () => {
+        throw new Error("Should not fetch");
+      },
+    });
+    logTest("Requests reject plain HTTP", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Requests reject plain HTTP",
+      error.code === "INSECURE_URL" && error.step === "input" ? "PASS" : "FAIL",
+      error.message
+    );
+  }
+
+  try {
+    await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "lnurlw://bringin.xyz/withdraw",
+    });
+    logTest("LUD-17 tag check", "FAIL", "Should reject lnurlw://");
+  } catch (error) {
+    logTest("LUD-17 tag check", "PASS", error.message);
+  }
+
+  // Every input type goes through the same fetch and parse flow
+  const requested = [];
+  const fetchGet = async ({ url }) => {
+    requested.push(url);
+    return {
+      tag: "payRequest",
+      callback: "https://bringin.xyz/lnurlp/merchant/callback",
+      minSendable: 1000,
+      maxSendable: 100000000,
+      metadata: JSON.stringify([["text/plain", "Bringin merchant"]]),
+      commentAllowed: 144,
+    };
+  };
+
+  for (const testCase of cases) {
+    try {
+      const params = await lnurlPay.requestPayServiceParams({
+        lnUrlOrAddress: testCase.input,
+        fetchGet,
+      });
+      const lastUrl = requested[requested.length - 1];
+      if (lastUrl === endpoint && params.description === "Bringin merchant") {
+        logTest(`requestPayServiceParams: ${testCase.type}`, "PASS");
+      } else {
+        logTest(
+          `requestPayServiceParams: ${testCase.type}`,
+          "FAIL",
+          `Fetched ${lastUrl}`
+        );
+      }
+    } catch (error) {
+      logTest(
+        `requestPayServiceParams: ${testCase.type}`,
+        "FAIL",
+        error.message
+      );
+    }
+  }
+}
+
+// Invoices signed with a throwaway node key for offline decoding tests.
+// All commit to the "Bringin merchant" metadata and a payment hash of
+// sha256(TEST_PREIMAGE); VALID_INVOICE and TESTNET_INVOICE expire in 2087.
+const TEST_PREIMAGE =
+  "0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20";
+const TEST_PAYEE =
+  "03e7156ae33b0a208d0744199163177e909e80176e55d97a2f221ede0f934dd9ad";
+const TEST_METADATA = JSON.stringify([["text/plain", "Bringin merchant"]]);
+const VALID_INVOICE =
+  "lnbc1u1pj48ugqpp54cskcth4y3ar0qkpxhh6y7drunxuvyy5yu8462l9333qfdaxztyshp587pp4k0d9hkq9xqhhv3f6slu9vxueq2nfuxdw6d72g4hvuaq6jmqxq8pmnt9qqsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygs9qypqsqcqpfaz8j4vq5c0p9u8lu29ywl08tgxtxa9jyzr65m6ylgj9uetprzafqfnlwjh3krv6wl6yzyyhqf9yt2zgnt9ndf88nlt0sn2y843wnkhcpg76jx2";
+const TESTNET_INVOICE =
+  "lntb1u1pj48ugqpp54cskcth4y3ar0qkpxhh6y7drunxuvyy5yu8462l9333qfdaxztyshp587pp4k0d9hkq9xqhhv3f6slu9vxueq2nfuxdw6d72g4hvuaq6jmqxq8pmnt9qqsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygs9qypqsqcqpftffctcn8s88uzltwjgtx5jkyqjvav6krl858df3jmf6glvqwqwy9j6hajtm6amj0sra86699jh5gljl508emum5musphlf4j6lyhqmqp03xn02";
+const WRONG_HASH_INVOICE =
+  "lnbc1u1pj48ugqpp54cskcth4y3ar0qkpxhh6y7drunxuvyy5yu8462l9333qfdaxztyshp5qqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqxq8pmnt9qqsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygs9qypqsqcqpffh9kdqfpxweffr0mykvhwlznz9he483e5zsx4whfyg2w9r5ewjqjnt7f6fnxd7dkclv0rtmdn3jrgxpfcz8mu9sa0gxuxlp55rhwe7qpgjdh9q";
+const EXPIRED_INVOICE =
+  "lnbc1u1pj48ugqpp54cskcth4y3ar0qkpxhh6y7drunxuvyy5yu8462l9333qfdaxztyshp587pp4k0d9hkq9xqhhv3f6slu9vxueq2nfuxdw6d72g4hvuaq6jmqxqzjcsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygs9qypqsqcqpfe6yyvtpat2hrjcqrpwj9kpfs4he08ndccjytan63tahg4l37vp4kp6e86y7s0zz5fsa3pz0h4jlyyjgftkt03dzq36lesx766xuc39qp8nfe0d";
+
+function createFakeService(invoice, callbackExtras = {}) {
+  return async ({ url }) => {
+    if (url.includes("/callback")) {
+      return { pr: invoice, routes: [], ...callbackExtras };
+    }
+    return {
+      tag: "payRequest",
+      callback: "https://bringin.xyz/lnurlp/merchant/callback",
+      minSendable: 1000,
+      maxSendable: 100000000,
+      metadata: TEST_METADATA,
+      commentAllowed: 144,
+    };
+  };
+}
+
+// Plain HTTP request to a local server, without relying on global fetch
+// (Node < 18)
+function httpRequest(url, method = "GET") {
+  const http = require("http");
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method }, (response) => {
+      const chunks = [];
+      response.on("data", (chunk) => chunks.push(chunk));
+      response.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        resolve({
+          status: response.statusCode,
+          body: text ? JSON.parse(text) : null,
+        });
+      });
+    });
+    request.on("error", reject);
+    request.end();
+  });
+}
+
+/**
+ * Test 8: Invoice decoding and verification
+ */
+async function testInvoiceVerification() {
+  logSection("Invoice Verification");
+
+  try {
+    const decoded = lnurlPay.decodeInvoice(VALID_INVOICE);
+    const checks = [
+      ["network", decoded.network === "bitcoin"],
+      ["amount", decoded.amountMsat === "100000" && decoded.amountSat === 100],
+      ["payee", decoded.payeeNodeKey === TEST_PAYEE],
+      ["expiry", decoded.expiresAt === 1700000000 + 2000000000],
+      ["payment hash", decoded.paymentHash.length === 64],
+    ];
+    for (const [name, ok] of checks) {
+      logTest(`decodeInvoice: ${name}`, ok ? "PASS" : "FAIL");
+    }
+  } catch (error) {
+    logTest("decodeInvoice", "FAIL", error.message);
+  }
+
+  try {
+    lnurlPay.decodeInvoice(VALID_INVOICE.slice(0, -1) + "q");
+    logTest("decodeInvoice: bad checksum", "FAIL", "Should throw");
+  } catch (error) {
+    logTest("decodeInvoice: bad checksum", "PASS", error.message);
+  }
+
+  const mismatches = [
+    { name: "amount", invoice: VALID_INVOICE, msats: 200000 },
+    { name: "network", invoice: TESTNET_INVOICE, msats: 100000 },
+    { name: "expiry", invoice: EXPIRED_INVOICE, msats: 100000 },
+  ];
+  for (const testCase of mismatches) {
+    try {
+      lnurlPay.verifyInvoice(testCase.invoice, { msats: testCase.msats });
+      logTest(`verifyInvoice: ${testCase.name}`, "FAIL", "Should throw");
+    } catch (error) {
+      if (
+        error instanceof lnurlPay.InvoiceMismatchError &&
+        error.field === testCase.name
+      ) {
+        logTest(`verifyInvoice: ${testCase.name}`, "PASS", error.message);
+      } else {
+        logTest(`verifyInvoice: ${testCase.name}`, "FAIL", error.message);
+      }
+    }
+  }
+
+  try {
+    const invoice = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      fetchGet: createFakeService(VALID_INVOICE),
+    });
+    if (
+      invoice.hasValidAmount &&
+      invoice.decodedInvoice.payeeNodeKey === TEST_PAYEE
+    ) {
+      logTest("requestInvoice: decoded invoice", "PASS");
+    } else {
+      logTest("requestInvoice: decoded invoice", "FAIL", "Missing decode");
+    }
+  } catch (error) {
+    logTest("requestInvoice: decoded invoice", "FAIL", error.message);
+  }
+
+  try {
+    await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 200,
+      fetchGet: createFakeService(VALID_INVOICE),
+    });
+    logTest("requestInvoice: amount mismatch", "FAIL", "Should throw");
+  } catch (error) {
+    if (error instanceof lnurlPay.InvoiceMismatchError) {
+      logTest("requestInvoice: amount mismatch", "PASS", error.message);
+    } else {
+      logTest("requestInvoice: amount mismatch", "FAIL", error.message);
+    }
+  }
+}
+
+/**
+ * Test 9: Description hash verification
+ */
+async function testDescriptionHash() {
+  logSection("Description Hash Verification");
+
+  // Same metadata with whitespace: a re-serialized array would hash differently
+  const spacedMetadata = '[["text/plain", "Bringin merchant"]]';
+  const params = {
+    rawMetadata: spacedMetadata,
+    metadata: JSON.parse(spacedMetadata),
+  };
+  const expectedHash = require("crypto")
+    .createHash("sha256")
+    .update(spacedMetadata)
+    .digest("hex");
+
+  if (lnurlPay.calculateMetadataHash(spacedMetadata) === expectedHash) {
+    logTest("calculateMetadataHash: raw string", "PASS");
+  } else {
+    logTest("calculateMetadataHash: raw string", "FAIL");
+  }
+  if (lnurlPay.calculateMetadataHash(params) === expectedHash) {
+    logTest("calculateMetadataHash: service params", "PASS");
+  } else {
+    logTest("calculateMetadataHash: service params", "FAIL");
+  }
+
+  try {
+    const invoice = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      fetchGet: createFakeService(VALID_INVOICE),
+    });
+    if (invoice.hasValidDescriptionHash === true) {
+      logTest("Matching description hash", "PASS");
+    } else {
+      logTest("Matching description hash", "FAIL", "Flagged as invalid");
+    }
+  } catch (error) {
+    logTest("Matching description hash", "FAIL", error.message);
+  }
+
+  try {
+    await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      fetchGet: createFakeService(WRONG_HASH_INVOICE),
+    });
+    logTest("Swapped invoice rejected", "FAIL", "Should throw");
+  } catch (error) {
+    if (
+      error instanceof lnurlPay.InvoiceMismatchError &&
+      error.field === "descriptionHash"
+    ) {
+      logTest("Swapped invoice rejected", "PASS", error.message);
+    } else {
+      logTest("Swapped invoice rejected", "FAIL", error.message);
+    }
+  }
+
+  try {
+    const invoice = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      validateDescriptionHash: false,
+      fetchGet: createFakeService(WRONG_HASH_INVOICE),
+    });
+    if (invoice.hasValidDescriptionHash === false) {
+      logTest("Swapped invoice flagged", "PASS");
+    } else {
+      logTest("Swapped invoice flagged", "FAIL", "Should be flagged");
+    }
+  } catch (error) {
+    logTest("Swapped invoice flagged", "FAIL", error.message);
+  }
+}
+
+/**
+ * Test 10: Preimage validation
+ */
+async function testPreimageValidation() {
+  logSection("Preimage Validation");
+
+  try {
+    const invoice = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      fetchGet: createFakeService(VALID_INVOICE),
+    });
+
+    const cases = [
+      { name: "matching preimage", preimage: TEST_PREIMAGE, expected: true },
+      {
+        name: "uppercase preimage",
+        preimage: TEST_PREIMAGE.toUpperCase(),
+        expected: true,
+      },
+      { name: "wrong preimage", preimage: "00".repeat(32), expected: false },
+      { name: "short preimage", preimage: "0102", expected: false },
+      { name: "non-hex preimage", preimage: "zz".repeat(32), expected: false },
+      { name: "missing preimage", preimage: undefined, expected: false },
+    ];
+    for (const testCase of cases) {
+      const result = invoice.validatePreimage(testCase.preimage);
+      logTest(
+        `validatePreimage: ${testCase.name}`,
+        result === testCase.expected ? "PASS" : "FAIL"
+      );
+    }
+  } catch (error) {
+    logTest("validatePreimage", "FAIL", error.message);
+  }
+
+  const equalityCases = [
+    { a: "abcd", b: "ABCD", expected: true },
+    { a: "abcd", b: "abce", expected: false },
+    { a: "abcd", b: "abcdef", expected: false },
+    { a: "", b: "", expected: false },
+    { a: "not-hex", b: "not-hex", expected: false },
+  ];
+  for (const testCase of equalityCases) {
+    const result = lnurlPay.timingSafeEqual(testCase.a, testCase.b);
+    logTest(
+      `timingSafeEqual: "${testCase.a}" vs "${testCase.b}"`,
+      result === testCase.expected ? "PASS" : "FAIL"
+    );
+  }
+}
+
+/**
+ * Test 11: Success actions (LUD-09 / LUD-10)
+ */
+async function testSuccessActions() {
+  logSection("Success Actions");
+
+  const crypto = require("crypto");
+  const iv = Buffer.alloc(16, 7);
+  const cipher = crypto.createCipheriv(
+    "aes-256-cbc",
+    Buffer.from(TEST_PREIMAGE, "hex"),
+    iv
+  );
+  const aesAction = {
+    tag: "aes",
+    description: "Your voucher",
+    iv: iv.toString("base64"),
+    ciphertext: Buffer.concat([
+      cipher.update("VOUCHER-1234", "utf8"),
+      cipher.final(),
+    ]).toString("base64"),
+  };
+
+  const validCases = [
+    {
+      name: "message",
+      action: { tag: "message", message: "Thanks!" },
+      check: (result) => result.message === "Thanks!",
+    },
+    {
+      name: "url on callback domain",
+      action: {
+        tag: "url",
+        description: "Receipt",
+        url: "https://bringin.xyz/receipt/1",
+      },
+      check: (result) => result.url === "https://bringin.xyz/receipt/1",
+    },
+    {
+      name: "aes decryption",
+      action: aesAction,
+      check: (result) =>
+        result.plaintext === "VOUCHER-1234" &&
+        result.description === "Your voucher",
+    },
+  ];
+  for (const testCase of validCases) {
+    try {
+      const result = lnurlPay.processSuccessAction(
+        testCase.action,
+        TEST_PREIMAGE,
+        { domain: "bringin.xyz" }
+      );
+      logTest(
+        `processSuccessAction: ${testCase.name}`,
+        result.tag === testCase.action.tag && testCase.check(result)
+          ? "PASS"
+          : "FAIL"
+      );
+    } catch (error) {
+      logTest(`processSuccessAction: ${testCase.name}`, "FAIL", error.message);
+    }
+  }
+
+  const invalidCases = [
+    {
+      name: "message too long",
+      action: { tag: "message", message: "x".repeat(145) },
+      preimage: TEST_PREIMAGE,
+    },
+    {
+      name: "url on other domain",
+      action: {
+        tag: "url",
+        description: "Receipt",
+        url: "https://evil.example/receipt",
+      },
+      preimage: TEST_PREIMAGE,
+    },
+    { name: "aes without preimage", action: aesAction, preimage: undefined },
+    {
+      name: "aes wrong preimage",
+      action: aesAction,
+      preimage: "11".repeat(32),
+    },
+    {
+      name: "aes without ciphertext",
+      action: { ...aesAction, ciphertext: undefined },
+      preimage: TEST_PREIMAGE,
+    },
+    {
+      name: "unknown tag",
+      action: { tag: "confetti" },
+      preimage: TEST_PREIMAGE,
+    },
+  ];
+  for (const testCase of invalidCases) {
+    try {
+      lnurlPay.processSuccessAction(testCase.action, testCase.preimage, {
+        domain: "bringin.xyz",
+      });
+      logTest(`processSuccessAction: ${testCase.name}`, "FAIL", "Accepted");
+    } catch (error) {
+      logTest(
+        `processSuccessAction: ${testCase.name}`,
+        error instanceof lnurlPay.LnurlPayError ? "PASS" : "FAIL",
+        error.message
+      );
+    }
+  }
+
+  try {
+    const invoice = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      fetchGet: createFakeService(VALID_INVOICE, {
+        successAction: {
+          tag: "url",
+          description: "Receipt",
+          url: "https://evil.example/receipt",
+        },
+      }),
+    });
+    invoice.processSuccessAction(TEST_PREIMAGE);
+    logTest("Invoice response: callback domain check", "FAIL", "Accepted");
+  } catch (error) {
+    logTest("Invoice response: callback domain check", "PASS", error.message);
+  }
+}
+
+/**
+ * Test 12: Timeouts and abort support
+ */
+async function testTimeouts() {
+  logSection("Timeouts");
+
+  const http = require("http");
+  let aborted = false;
+
+  // Never answers; only settles once the request is aborted
+  const hangingFetch = ({ signal }) =>
+    new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => {
+        aborted = true;
+        reject(new Error("aborted"));
+      });
+    });
+
+  try {
+    await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fetchGet: hangingFetch,
+      timeout: 50,
+    });
+    logTest("Params step timeout", "FAIL", "Should time out");
+  } catch (error) {
+    logTest(
+      "Params step timeout",
+      error instanceof lnurlPay.TimeoutError &&
+        error.step === "params" &&
+        aborted
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+
+  // Node 14 has no AbortController, the step still gets a signal
+  const globalAbortController = global.AbortController;
+  global.AbortController = undefined;
+  aborted = false;
+  try {
+    await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fetchGet: hangingFetch,
+      timeout: 50,
+    });
+    logTest("Timeout without AbortController", "FAIL", "Should time out");
+  } catch (error) {
+    logTest(
+      "Timeout without AbortController",
+      error instanceof lnurlPay.TimeoutError && aborted ? "PASS" : "FAIL",
+      error.message
+    );
+  } finally {
+    global.AbortController = globalAbortController;
+  }
+
+  try {
+    const service = createFakeService(VALID_INVOICE);
+    await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      // Ignores the signal: the deadline must still be enforced
+      fetchGet: (request) =>
+        request.url.includes("/callback")
+          ? new Promise(() => {})
+          : service(request),
+      timeout: 50,
+    });
+    logTest("Callback step timeout", "FAIL", "Should time out");
+  } catch (error) {
+    logTest(
+      "Callback step timeout",
+      error instanceof lnurlPay.TimeoutError && error.step === "callback"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+
+  try {
+    const service = createFakeService(VALID_INVOICE);
+    await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      fetchGet: (request) =>
+        new Promise((resolve) => setTimeout(resolve, 40)).then(() =>
+          service(request)
+        ),
+      timeout: 1000,
+      totalTimeout: 60,
+    });
+    logTest("Total timeout", "FAIL", "Should time out");
+  } catch (error) {
+    logTest(
+      "Total timeout",
+      error instanceof lnurlPay.TimeoutError && error.scope === "total"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+
+  try {
+    // AbortController is global from Node 15
+    const { createAbortController } = require("../lib/timeout");
+    const controller = createAbortController();
+    setTimeout(() => controller.abort(), 20);
+    await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fetchGet: hangingFetch,
+      signal: controller.signal,
+    });
+    logTest("Caller abort", "FAIL", "Should abort");
+  } catch (error) {
+    logTest(
+      "Caller abort",
+      error.code === "ABORTED" ? "PASS" : "FAIL",
+      error.message
+    );
+  }
+
+  // Default HTTP client against a local endpoint that never answers
+  const server = http.createServer(() => {});
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const { port } = server.address();
+    await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: `http://127.0.0.1:${port}/.well-known/lnurlp/merchant`,
+      allowInsecure: true,
+      timeout: 100,
+    });
+    logTest("Default client timeout", "FAIL", "Should time out");
+  } catch (error) {
+    logTest(
+      "Default client timeout",
+      error instanceof lnurlPay.TimeoutError ? "PASS" : "FAIL",
+      error.message
+    );
+  } finally {
+    if (server.closeAllConnections) {
+      server.closeAllConnections();
+    }
+    server.close();
+  }
+}
+
+/**
+ * Test 13: Typed errors
+ */
+async function testErrorTypes() {
+  logSection("Error Types");
+
+  const cases = [
+    {
+      name: "Missing address",
+      run: () => lnurlPay.requestInvoice({ tokens: 100, posMode: true }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError &&
+        error.code === "VALIDATION_ERROR" &&
+        error.field === "lnUrlOrAddress" &&
+        error.step === "input" &&
+        error.posMode === true,
+    },
+    {
+      name: "Invalid address",
+      run: () =>
+        lnurlPay.requestInvoice({ lnUrlOrAddress: "not-valid", tokens: 100 }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError &&
+        error.code === "INVALID_LNURL",
+    },
+    {
+      name: "Amount out of range",
+      run: () =>
+        lnurlPay.requestInvoiceWithServiceParams({
+          params: {
+            callback: "https://bringin.xyz/callback",
+            min: 22000,
+            max: 1000000,
+            commentAllowed: 0,
+            posMode: false,
+          },
+          tokens: 50,
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.AmountOutOfRangeError &&
+        error instanceof lnurlPay.ValidationError &&
+        error.code === "AMOUNT_OUT_OF_RANGE" &&
+        error.min === 22000 &&
+        error.amount === 50 &&
+        error.posMode === false,
+    },
+    {
+      name: "Service error reason",
+      run: () =>
+        lnurlPay.requestInvoice({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          tokens: 100,
+          posMode: true,
+          fetchGet: createFakeService(VALID_INVOICE, {
+            status: "ERROR",
+            reason: "Route not found",
+          }),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ServiceError &&
+        error.code === "SERVICE_ERROR" &&
+        error.reason === "Route not found" &&
+        error.step === "callback" &&
+        error.posMode === true,
+    },
+    {
+      name: "Network failure",
+      run: () =>
+        lnurlPay.requestPayServiceParams({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          fetchGet: async () => {
+            throw new Error("getaddrinfo ENOTFOUND bringin.xyz");
+          },
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.NetworkError &&
+        error.code === "NETWORK_ERROR" &&
+        error.step === "params" &&
+        error.cause instanceof Error &&
+        error.message.startsWith("Failed to get service params"),
+    },
+    {
+      name: "Invoice mismatch",
+      run: () =>
+        lnurlPay.requestInvoice({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          tokens: 200,
+          fetchGet: createFakeService(VALID_INVOICE),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.InvoiceMismatchError &&
+        error.code === "INVOICE_MISMATCH" &&
+        error.step === "verify",
+    },
+  ];
+
+  for (const testCase of cases) {
+    try {
+      await testCase.run();
+      logTest(testCase.name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        testCase.name,
+        error instanceof lnurlPay.LnurlPayError && testCase.check(error)
+          ? "PASS"
+          : "FAIL",
+        `${error.name} (${error.code}): ${error.message}`
+      );
+    }
+  }
+
+  // Bugs and errors from caller code are not network errors
+  try {
+    await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      fetchGet: createFakeService(VALID_INVOICE),
+      payeePins: {
+        getPayees() {
+          throw new TypeError("pins.get is not a function");
+        },
+      },
+    });
+    logTest("Programming errors pass through", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Programming errors pass through",
+      error instanceof TypeError &&
+        !(error instanceof lnurlPay.LnurlPayError) &&
+        error.message === "pins.get is not a function"
+        ? "PASS"
+        : "FAIL",
+      `${error.name}: ${error.message}`
+    );
+  }
+
+  const timeoutError = new lnurlPay.TimeoutError("Request timeout", {
+    step: "params",
+  });
+  logTest(
+    "TimeoutError is a NetworkError",
+    timeoutError instanceof lnurlPay.NetworkError &&
+      timeoutError.code === "TIMEOUT"
+      ? "PASS"
+      : "FAIL"
+  );
+}
+
+/**
+ * Test 14: POS mode for Lightning addresses
+ */
+async function testPosMode() {
+  logSection("POS Mode");
+
+  const requests = [];
+  const createPosService =
+    (honourPos) =>
+    async ({ url, params }) => {
+      requests.push({ url, params });
+      const pos = honourPos && new URL(url).searchParams.get("pos") === "true";
+      if (url.includes("/callback")) {
+        return { pr: VALID_INVOICE, routes: [] };
+      }
+      return {
+        tag: "payRequest",
+        callback: "https://bringin.xyz/lnurlp/merchant/callback",
+        minSendable: pos ? 20000 : 22000000,
+        maxSendable: 100000000,
+        metadata: TEST_METADATA,
+        commentAllowed: 144,
+      };
+    };
+
+  try {
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      posMode: true,
+      checkPosLimits: true,
+      fetchGet: createPosService(true),
+    });
+    const posRequest = requests.find((request) =>
+      request.url.includes("pos=true")
+    );
+    logTest(
+      "POS flag on address URL",
+      posRequest &&
+        posRequest.url ===
+          "https://bringin.xyz/.well-known/lnurlp/merchant?pos=true"
+        ? "PASS"
+        : "FAIL",
+      posRequest && posRequest.url
+    );
+    logTest(
+      "POS limits reported",
+      params.posMode === true &&
+        params.posLimitsApplied === true &&
+        params.min === 20 &&
+        params.standardMin === 22000
+        ? "PASS"
+        : "FAIL",
+      `min ${params.min}, standard ${params.standardMin}`
+    );
+  } catch (error) {
+    logTest("POS flag on address URL", "FAIL", error.message);
+  }
+
+  try {
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      posMode: true,
+      checkPosLimits: true,
+      fetchGet: createPosService(false),
+    });
+    logTest(
+      "POS ignored by service",
+      params.posLimitsApplied === false && params.min === 22000
+        ? "PASS"
+        : "FAIL",
+      `min ${params.min}`
+    );
+  } catch (error) {
+    logTest("POS ignored by service", "FAIL", error.message);
+  }
+
+  try {
+    requests.length = 0;
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      posMode: true,
+      fetchGet: createPosService(true),
+    });
+    logTest(
+      "POS payments skip the standard params",
+      requests.length === 2 &&
+        requests[0].url.includes("pos=true") &&
+        response.params.posLimitsApplied === null
+        ? "PASS"
+        : "FAIL",
+      `${requests.length} requests`
+    );
+  } catch (error) {
+    logTest("POS payments skip the standard params", "FAIL", error.message);
+  }
+
+  try {
+    const posOnly = async (request) => {
+      if (!request.url.includes("pos=true")) {
+        throw new Error("connect ECONNREFUSED");
+      }
+      return createPosService(true)(request);
+    };
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      posMode: true,
+      checkPosLimits: true,
+      fetchGet: posOnly,
+    });
+    logTest(
+      "Failed limit check leaves it unknown",
+      params.min === 20 && params.posLimitsApplied === null ? "PASS" : "FAIL",
+      String(params.posLimitsApplied)
+    );
+  } catch (error) {
+    logTest("Failed limit check leaves it unknown", "FAIL", error.message);
+  }
+
+  try {
+    requests.length = 0;
+    await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      posMode: true,
+      fetchGet: createPosService(true),
+    });
+    const callback = requests.find((request) =>
+      request.url.includes("/callback")
+    );
+    logTest(
+      "POS flag on callback",
+      callback && callback.params.pos === "true" ? "PASS" : "FAIL"
+    );
+  } catch (error) {
+    logTest("POS flag on callback", "FAIL", error.message);
+  }
+
+  try {
+    requests.length = 0;
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fetchGet: createPosService(true),
+    });
+    logTest(
+      "Standard mode unchanged",
+      requests.length === 1 &&
+        !requests[0].url.includes("pos=") &&
+        params.posMode === false &&
+        params.posLimitsApplied === false
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Standard mode unchanged", "FAIL", error.message);
+  }
+
+  try {
+    requests.length = 0;
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      posMode: "auto",
+      fetchGet: createPosService(true),
+    });
+    logTest(
+      "Auto mode falls back to POS",
+      response.mode === "pos" &&
+        response.modeReason === "below-standard-minimum" &&
+        response.params.posLimitsApplied === true &&
+        requests.length === 3
+        ? "PASS"
+        : "FAIL",
+      `${response.mode} (${response.modeReason}), ${requests.length} requests`
+    );
+  } catch (error) {
+    logTest("Auto mode falls back to POS", "FAIL", error.message);
+  }
+
+  try {
+    const standardService = async ({ url }) =>
+      url.includes("/callback")
+        ? { pr: VALID_INVOICE, routes: [] }
+        : {
+            tag: "payRequest",
+            callback: "https://bringin.xyz/lnurlp/merchant/callback",
+            minSendable: 1000,
+            maxSendable: 100000000,
+            metadata: TEST_METADATA,
+          };
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      posMode: "auto",
+      fetchGet: standardService,
+    });
+    logTest(
+      "Auto mode keeps standard limits",
+      response.mode === "standard" &&
+        response.modeReason === "within-standard-limits"
+        ? "PASS"
+        : "FAIL",
+      `${response.mode} (${response.modeReason})`
+    );
+  } catch (error) {
+    logTest("Auto mode keeps standard limits", "FAIL", error.message);
+  }
+
+  try {
+    await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      posMode: "auto",
+    });
+    logTest("Auto mode needs an amount", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Auto mode needs an amount",
+      error instanceof lnurlPay.ValidationError && error.field === "posMode"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+}
+
+/**
+ * Test 15: Transport retries and headers
+ */
+async function testTransport() {
+  logSection("Transport");
+
+  const http = require("http");
+  const seen = [];
+  let failures = 0;
+  let throttles = 0;
+  const server = http.createServer((req, res) => {
+    seen.push({ url: req.url, headers: req.headers });
+    if (req.url.startsWith("/busy") && failures++ < 1) {
+      res.writeHead(503, { "Retry-After": "0" });
+      res.end("busy");
+      return;
+    }
+    if (req.url.startsWith("/throttled") && throttles++ < 1) {
+      res.writeHead(429, { "Retry-After": "1" });
+      res.end("slow down");
+      return;
+    }
+    if (req.url.startsWith("/moved")) {
+      res.writeHead(302, { Location: "/" });
+      res.end();
+      return;
+    }
+    if (req.url.startsWith("/missing")) {
+      res.writeHead(404);
+      res.end("not found");
+      return;
+    }
+    if (req.url.startsWith("/refused")) {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "ERROR", reason: "Unknown user" }));
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ tag: "payRequest" }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const transport = lnurlPay.createTransport({
+    retries: 2,
+    minDelay: 1,
+    userAgent: "bringin-test/1.0",
+    headers: { "X-Api-Key": "secret" },
+  });
+
+  try {
+    const data = await transport({ url: `${base}/busy`, params: { a: 1 } });
+    const last = seen[seen.length - 1];
+    logTest(
+      "Retries 5xx",
+      data.tag === "payRequest" && seen.length === 2 ? "PASS" : "FAIL",
+      `${seen.length} requests`
+    );
+    logTest(
+      "Custom headers",
+      last.headers["user-agent"] === "bringin-test/1.0" &&
+        last.headers["x-api-key"] === "secret" &&
+        last.url === "/busy?a=1"
+        ? "PASS"
+        : "FAIL",
+      last.headers["user-agent"]
+    );
+  } catch (error) {
+    logTest("Retries 5xx", "FAIL", error.message);
+  }
+
+  seen.length = 0;
+  const throttledAt = Date.now();
+  try {
+    const data = await transport({ url: `${base}/throttled` });
+    const waited = Date.now() - throttledAt;
+    logTest(
+      "Retries 429 after Retry-After",
+      data.tag === "payRequest" && seen.length === 2 && waited >= 900
+        ? "PASS"
+        : "FAIL",
+      `${seen.length} requests, waited ${waited}ms`
+    );
+  } catch (error) {
+    logTest("Retries 429 after Retry-After", "FAIL", error.message);
+  }
+
+  for (const [name, path, check] of [
+    [
+      "No retry on 4xx",
+      "/missing",
+      (error) => error instanceof lnurlPay.NetworkError && error.status === 404,
+    ],
+    [
+      "No retry on LNURL error",
+      "/refused",
+      (error) =>
+        error instanceof lnurlPay.ServiceError &&
+        error.reason === "Unknown user",
+    ],
+  ]) {
+    seen.length = 0;
+    try {
+      await transport({ url: `${base}${path}` });
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        name,
+        check(error) && seen.length === 1 ? "PASS" : "FAIL",
+        `${error.message}, ${seen.length} requests`
+      );
+    }
+  }
+
+  // Node < 18 without axios: Node's HTTP client, following redirects
+  const globalFetch = global.fetch;
+  const axiosPath = require.resolve("axios");
+  const cachedAxios = require.cache[axiosPath];
+  global.fetch = undefined;
+  require.cache[axiosPath] = {
+    id: axiosPath,
+    filename: axiosPath,
+    loaded: true,
+    exports: null,
+  };
+  try {
+    seen.length = 0;
+    const data = await transport({ url: `${base}/moved` });
+    logTest(
+      "Falls back to Node's HTTP client",
+      data.tag === "payRequest" &&
+        seen.map((request) => request.url).join(",") === "/moved,/"
+        ? "PASS"
+        : "FAIL",
+      seen.map((request) => request.url).join(", ")
+    );
+  } catch (error) {
+    logTest("Falls back to Node's HTTP client", "FAIL", error.message);
+  } finally {
+    global.fetch = globalFetch;
+    if (cachedAxios) {
+      require.cache[axiosPath] = cachedAxios;
+    } else {
+      delete require.cache[axiosPath];
+    }
+  }
+
+  // A lookup set by a resolution policy decides where to connect
+  const lookups = [];
+  const pinned = (hostname, options, callback) => {
+    lookups.push(hostname);
+    if (options.all) {
+      callback(null, [{ address: "127.0.0.1", family: 4 }]);
+    } else {
+      callback(null, "127.0.0.1", 4);
+    }
+  };
+  const pinnedBase = `http://pinned.bringin.test:${server.address().port}`;
+  try {
+    const data = await transport({ url: `${pinnedBase}/`, lookup: pinned });
+    logTest(
+      "Connects through the given lookup",
+      data.tag === "payRequest" &&
+        lookups[0] === "pinned.bringin.test" &&
+        seen[seen.length - 1].headers["user-agent"] === "bringin-test/1.0"
+        ? "PASS"
+        : "FAIL",
+      lookups.join(", ")
+    );
+  } catch (error) {
+    logTest("Connects through the given lookup", "FAIL", error.message);
+  }
+  try {
+    await transport({ url: `${pinnedBase}/refused`, lookup: pinned });
+    logTest("LNURL errors through the given lookup", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "LNURL errors through the given lookup",
+      error instanceof lnurlPay.ServiceError && error.reason === "Unknown user"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+
+  if (server.closeAllConnections) {
+    server.closeAllConnections();
+  }
+  server.close();
+
+  let attempts = 0;
+  const flaky = lnurlPay.createTransport({
+    retries: 3,
+    minDelay: 1,
+    fetchGet: async () => {
+      attempts++;
+      throw new lnurlPay.NetworkError("socket hang up");
+    },
+  });
+  try {
+    await flaky({ url: "https://bringin.xyz/.well-known/lnurlp/merchant" });
+    logTest("Gives up after retries", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Gives up after retries",
+      attempts === 4 ? "PASS" : "FAIL",
+      `${attempts} attempts`
+    );
+  }
+
+  attempts = 0;
+  const throttled = lnurlPay.createTransport({
+    maxRetryAfter: 1000,
+    fetchGet: async () => {
+      attempts++;
+      const error = new lnurlPay.NetworkError("HTTP 503", { status: 503 });
+      error.retryAfter = 120000;
+      throw error;
+    },
+  });
+  try {
+    await throttled({ url: "https://bringin.xyz/.well-known/lnurlp/merchant" });
+    logTest("Long Retry-After fails fast", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Long Retry-After fails fast",
+      attempts === 1 ? "PASS" : "FAIL",
+      `${attempts} attempts`
+    );
+  }
+}
+
+/**
+ * Test 16: Service params cache
+ */
+async function testParamsCache() {
+  logSection("Params Cache");
+
+  let time = 1000000;
+  let fetches = 0;
+  const service = createFakeService(VALID_INVOICE);
+  const fetchGet = async (request) => {
+    if (!request.url.includes("/callback")) {
+      fetches++;
+    }
+    return service(request);
+  };
+  const cache = lnurlPay.createParamsCache({
+    ttl: 1000,
+    staleWhileRevalidate: 5000,
+    now: () => time,
+  });
+  const request = (options = {}) =>
+    lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fetchGet,
+      cache,
+      ...options,
+    });
+
+  try {
+    const first = await request();
+    const second = await request();
+    logTest(
+      "Fresh entry served from cache",
+      fetches === 1 && !first.fromCache && second.fromCache ? "PASS" : "FAIL",
+      `${fetches} fetches`
+    );
+
+    // The cached standard params tell whether POS limits were applied
+    const pos = await request({ posMode: true });
+    logTest(
+      "Keyed by POS mode",
+      fetches === 2 && pos.posLimitsApplied !== null ? "PASS" : "FAIL",
+      `${fetches} fetches`
+    );
+
+    time += 2000;
+    const stale = await request();
+    await cache.settle();
+    logTest(
+      "Stale entry revalidated in background",
+      stale.fromCache && fetches === 3 ? "PASS" : "FAIL",
+      `${fetches} fetches`
+    );
+
+    time += 10000;
+    const expired = await request();
+    logTest(
+      "Expired entry refetched",
+      !expired.fromCache && fetches === 4 ? "PASS" : "FAIL",
+      `${fetches} fetches`
+    );
+
+    await cache.invalidate("MERCHANT@bringin.xyz");
+    await request();
+    logTest(
+      "Invalidate address",
+      fetches === 5 ? "PASS" : "FAIL",
+      `${fetches} fetches`
+    );
+  } catch (error) {
+    logTest("Params cache", "FAIL", error.message);
+  }
+
+  try {
+    await lnurlPay.requestInvoiceWithServiceParams({
+      params: { ...(await request()), expiresAt: Date.now() - 1 },
+      tokens: 100,
+      fetchGet,
+    });
+    logTest("Expired params rejected", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Expired params rejected",
+      error.code === "PARAMS_EXPIRED" ? "PASS" : "FAIL",
+      error.message
+    );
+  }
+
+  const storage = lnurlPay.createMemoryStorage({ maxEntries: 2 });
+  storage.set("a", 1);
+  storage.set("b", 2);
+  storage.get("a");
+  storage.set("c", 3);
+  logTest(
+    "LRU eviction",
+    storage.get("a") === 1 && storage.get("b") === undefined ? "PASS" : "FAIL"
+  );
+}
+
+/**
+ * Test 17: LUD-18 payerData
+ */
+async function testPayerData() {
+  logSection("Payer Data");
+
+  // description_hash = sha256(TEST_METADATA + '{"name":"Satoshi","email":"satoshi@bringin.xyz"}')
+  const PAYER_DATA_INVOICE =
+    "lnbc1u1pj48ugqpp54cskcth4y3ar0qkpxhh6y7drunxuvyy5yu8462l9333qfdaxztyshp5vx550fph309q2ex5dxfg2tg433exgqn0pfz820evf45mdcajhh2sxq8pmnt9qqsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygs9qypqsqcqpfmgzq8jp4n6ylkhs8jz0lkxf79p8jl66w7ad0x2yzlmdc5pmwx58y7pxk6vkqfxvdxtm4g6yretghejvdee4ck5lglr70rw3ds6nrsaspt5nv36";
+  let callbackParams;
+  const fetchGet = async ({ url, params }) => {
+    if (url.includes("/callback")) {
+      callbackParams = params;
+      return { pr: PAYER_DATA_INVOICE, routes: [] };
+    }
+    return {
+      tag: "payRequest",
+      callback: "https://bringin.xyz/lnurlp/merchant/callback",
+      minSendable: 1000,
+      maxSendable: 100000000,
+      metadata: TEST_METADATA,
+      payerData: {
+        name: { mandatory: true },
+        email: { mandatory: false },
+        pubkey: { mandatory: false },
+      },
+    };
+  };
+
+  try {
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fetchGet,
+    });
+    logTest(
+      "Requirements exposed",
+      params.payerData.name.mandatory === true &&
+        params.payerData.email.mandatory === false &&
+        !params.payerData.identifier
+        ? "PASS"
+        : "FAIL",
+      JSON.stringify(params.payerData)
+    );
+
+    const response = await lnurlPay.requestInvoiceWithServiceParams({
+      params,
+      tokens: 100,
+      payerData: { email: "satoshi@bringin.xyz", name: "Satoshi" },
+      fetchGet,
+    });
+    logTest(
+      "Serialized into callback",
+      callbackParams.payerdata ===
+        '{"name":"Satoshi","email":"satoshi@bringin.xyz"}'
+        ? "PASS"
+        : "FAIL",
+      callbackParams.payerdata
+    );
+    logTest(
+      "Hash includes payerData",
+      response.hasValidDescriptionHash ? "PASS" : "FAIL"
+    );
+
+    const cases = [
+      ["Mandatory field missing", undefined, /name/],
+      [
+        "Field not requested",
+        { name: "Satoshi", identifier: "x" },
+        /identifier/,
+      ],
+      ["Invalid pubkey", { name: "Satoshi", pubkey: "02abc" }, /pubkey/],
+    ];
+    for (const [name, payerData, pattern] of cases) {
+      try {
+        await lnurlPay.requestInvoiceWithServiceParams({
+          params,
+          tokens: 100,
+          payerData,
+          fetchGet,
+        });
+        logTest(name, "FAIL", "Should throw");
+      } catch (error) {
+        logTest(
+          name,
+          error instanceof lnurlPay.ValidationError &&
+            error.field === "payerData" &&
+            pattern.test(error.message)
+            ? "PASS"
+            : "FAIL",
+          error.message
+        );
+      }
+    }
+
+    // Same invoice without payerData no longer matches the plain metadata
+    try {
+      await lnurlPay.requestInvoiceWithServiceParams({
+        params: { ...params, payerData: null },
+        tokens: 100,
+        fetchGet,
+      });
+      logTest("Hash without payerData", "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        "Hash without payerData",
+        error instanceof lnurlPay.InvoiceMismatchError ? "PASS" : "FAIL",
+        error.message
+      );
+    }
+  } catch (error) {
+    logTest("Payer data", "FAIL", error.message);
+  }
+
+  for (const [name, auth] of [
+    ["Auth without k1 dropped", { mandatory: true }],
+    ["Auth with invalid k1 dropped", { mandatory: true, k1: "abc" }],
+  ]) {
+    try {
+      const params = await lnurlPay.requestPayServiceParams({
+        lnUrlOrAddress: "merchant@bringin.xyz",
+        fetchGet: async () => ({
+          tag: "payRequest",
+          callback: "https://bringin.xyz/lnurlp/merchant/callback",
+          minSendable: 1000,
+          maxSendable: 100000000,
+          metadata: TEST_METADATA,
+          payerData: { name: { mandatory: true }, auth },
+        }),
+      });
+      logTest(
+        name,
+        params.payerData.name.mandatory === true && !params.payerData.auth
+          ? "PASS"
+          : "FAIL",
+        JSON.stringify(params.payerData)
+      );
+    } catch (error) {
+      logTest(name, "FAIL", error.message);
+    }
+  }
+}
+
+/**
+ * Test 18: LUD-21 payment verification
+ */
+async function testPaymentVerification() {
+  logSection("Payment Verification");
+
+  const http = require("http");
+  let checks = 0;
+  const server = http.createServer((req, res) => {
+    checks++;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    if (req.url === "/verify/pending") {
+      res.end(JSON.stringify({ status: "OK", settled: false, preimage: null }));
+      return;
+    }
+    if (req.url === "/verify/wrong") {
+      res.end(
+        JSON.stringify({
+          status: "OK",
+          settled: true,
+          preimage: "00".repeat(32),
+        })
+      );
+      return;
+    }
+    // Settles on the third check
+    const settled = checks >= 3;
+    res.end(
+      JSON.stringify({
+        status: "OK",
+        settled,
+        preimage: settled ? TEST_PREIMAGE : null,
+        pr: VALID_INVOICE,
+      })
+    );
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      fetchGet: createFakeService(VALID_INVOICE, {
+        verify: `${base}/verify/paid`,
+      }),
+    });
+    logTest(
+      "Verify URL exposed",
+      response.verify === `${base}/verify/paid` ? "PASS" : "FAIL",
+      response.verify
+    );
+
+    const status = await lnurlPay.verifyPayment(response);
+    logTest(
+      "Verify payment",
+      status.settled === false && status.preimage === null ? "PASS" : "FAIL",
+      JSON.stringify(status)
+    );
+
+    const progress = [];
+    const paid = await lnurlPay.waitForPayment(response, {
+      interval: 10,
+      onProgress: (event) => progress.push(event),
+    });
+    logTest(
+      "Wait for payment",
+      paid.settled &&
+        paid.preimage === TEST_PREIMAGE &&
+        progress.length === 2 &&
+        progress[1].settled
+        ? "PASS"
+        : "FAIL",
+      `${progress.length} progress events`
+    );
+
+    try {
+      await lnurlPay.waitForPayment(
+        { ...response, verify: `${base}/verify/pending` },
+        { interval: 10, timeout: 100 }
+      );
+      logTest("Polling timeout", "FAIL", "Should time out");
+    } catch (error) {
+      logTest(
+        "Polling timeout",
+        error instanceof lnurlPay.TimeoutError && error.step === "verify"
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+
+    try {
+      await lnurlPay.verifyPayment({
+        ...response,
+        verify: `${base}/verify/wrong`,
+      });
+      logTest("Wrong preimage rejected", "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        "Wrong preimage rejected",
+        error instanceof lnurlPay.ServiceError &&
+          error.code === "INVALID_PREIMAGE"
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+
+    try {
+      await lnurlPay.waitForPayment({
+        invoice: EXPIRED_INVOICE,
+        verify: `${base}/verify/pending`,
+      });
+      logTest("Expired invoice", "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        "Expired invoice",
+        error.code === "INVOICE_EXPIRED" ? "PASS" : "FAIL",
+        error.message
+      );
+    }
+
+    try {
+      await lnurlPay.verifyPayment({ ...response, verify: undefined });
+      logTest("No verify URL", "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        "No verify URL",
+        error.code === "VERIFY_NOT_SUPPORTED" ? "PASS" : "FAIL",
+        error.message
+      );
+    }
+  } catch (error) {
+    logTest("Payment verification", "FAIL", error.message);
+  } finally {
+    if (server.closeAllConnections) {
+      server.closeAllConnections();
+    }
+    server.close();
+  }
+}
+
+/**
+ * Test 19: LNURL-withdraw
+ */
+async function testWithdraw() {
+  logSection("LNURL-withdraw");
+
+  const K1 = "a".repeat(64);
+  let paramsUrl;
+  let callbackParams;
+  const createWithdrawService =
+    (extras = {}) =>
+    async ({ url, params }) => {
+      if (url.includes("/withdraw/callback")) {
+        callbackParams = params;
+        return extras.callbackResponse || { status: "OK" };
+      }
+      paramsUrl = url;
+      return {
+        tag: "withdrawRequest",
+        callback: "https://bringin.xyz/withdraw/callback",
+        k1: K1,
+        defaultDescription: "Bringin voucher",
+        minWithdrawable: 1500,
+        maxWithdrawable: extras.maxWithdrawable || 200000,
+      };
+    };
+
+  try {
+    const lnurl = lnurlPay.encodeLnurl("https://bringin.xyz/withdraw/voucher");
+    const params = await lnurlPay.requestWithdrawParams({
+      lnUrlOrAddress: lnurl,
+      posMode: true,
+      fetchGet: createWithdrawService(),
+    });
+    logTest(
+      "Withdraw params",
+      params.k1 === K1 &&
+        params.minWithdrawable === 1500 &&
+        params.min === 2 &&
+        params.max === 200 &&
+        params.posMode === true &&
+        paramsUrl.endsWith("?pos=true")
+        ? "PASS"
+        : "FAIL",
+      paramsUrl
+    );
+
+    const result = await lnurlPay.submitWithdrawInvoice({
+      params,
+      invoice: VALID_INVOICE,
+      fetchGet: createWithdrawService(),
+    });
+    logTest(
+      "Submit withdraw invoice",
+      result.decodedInvoice.amountMsat === "100000" &&
+        callbackParams.k1 === K1 &&
+        callbackParams.pr === VALID_INVOICE &&
+        callbackParams.pos === "true"
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Withdraw params", "FAIL", error.message);
+  }
+
+  const cases = [
+    {
+      name: "Amount above maxWithdrawable",
+      run: async () =>
+        lnurlPay.submitWithdrawInvoice({
+          params: await lnurlPay.requestWithdrawParams({
+            lnUrlOrAddress: "lnurlw://bringin.xyz/withdraw/voucher",
+            fetchGet: createWithdrawService({ maxWithdrawable: 99999 }),
+          }),
+          invoice: VALID_INVOICE,
+          fetchGet: createWithdrawService(),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.AmountOutOfRangeError &&
+        error.unit === "msat" &&
+        error.max === 99999,
+    },
+    {
+      name: "Lightning address rejected",
+      run: () =>
+        lnurlPay.requestWithdrawParams({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          fetchGet: createWithdrawService(),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError &&
+        error.code === "INVALID_LNURL",
+    },
+    {
+      name: "Withdraw service error",
+      run: async () =>
+        lnurlPay.submitWithdrawInvoice({
+          params: await lnurlPay.requestWithdrawParams({
+            lnUrlOrAddress: "https://bringin.xyz/withdraw/voucher",
+            fetchGet: createWithdrawService(),
+          }),
+          invoice: VALID_INVOICE,
+          fetchGet: createWithdrawService({
+            callbackResponse: { status: "ERROR", reason: "Voucher used" },
+          }),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ServiceError &&
+        error.reason === "Voucher used" &&
+        error.step === "callback",
+    },
+  ];
+
+  for (const testCase of cases) {
+    try {
+      await testCase.run();
+      logTest(testCase.name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        testCase.name,
+        testCase.check(error) ? "PASS" : "FAIL",
+        error.message
+      );
+    }
+  }
+}
+
+/**
+ * Test 20: LNURL-auth
+ */
+async function testLnurlAuth() {
+  logSection("LNURL-auth");
+
+  const SEED = "000102030405060708090a0b0c0d0e0f";
+  const K1 = "e2af6254a8df433264fa23f67eb8188635d15ce883e8fc020989d5f82ae6f11e";
+  // Cross-checked against an independent BIP32 + RFC 6979 implementation
+  const LINKING_KEY =
+    "035efdc5c145614d3cfb0ed09bbd2a2778846480a93829555653e5f6e49fc3a9f1";
+  const SIGNATURE =
+    "3044022071f9595ba8c6b1db23701e3b2968ce25c9e44051163cd2b19dd25aea7507fa0a0220488f9ccf43130fec440cd05f41e5eb722afb0641f573f09d631cbed90039840a";
+  const lnurl = lnurlPay.encodeLnurl(
+    `https://bringin.xyz/auth?tag=login&k1=${K1}&action=login`
+  );
+
+  let callback;
+  const fetchGet = async (request) => {
+    callback = request;
+    return { status: "OK" };
+  };
+
+  try {
+    const result = await lnurlPay.lnurlAuth(lnurl, { seed: SEED, fetchGet });
+    logTest(
+      "Linking key derivation",
+      result.key === LINKING_KEY && callback.params.key === LINKING_KEY
+        ? "PASS"
+        : "FAIL",
+      result.key
+    );
+    logTest(
+      "Signs k1",
+      callback.params.sig === SIGNATURE &&
+        callback.url.includes(`k1=${K1}`) &&
+        result.domain === "bringin.xyz"
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Linking key derivation", "FAIL", error.message);
+  }
+
+  // The nonce inversion is randomly blinded, the signature must not change
+  try {
+    const seedSigner = lnurlPay.createSeedSigner(SEED);
+    const signatures = await Promise.all(
+      [1, 2, 3].map(() => seedSigner.sign(K1, "bringin.xyz"))
+    );
+    logTest(
+      "Blinded signing stays deterministic",
+      signatures.every((signature) => signature === SIGNATURE) ? "PASS" : "FAIL"
+    );
+  } catch (error) {
+    logTest("Blinded signing stays deterministic", "FAIL", error.message);
+  }
+
+  const other = lnurlPay.deriveLinkingKey(SEED, "pos.bringin.xyz");
+  logTest(
+    "Per-domain keys",
+    other.publicKey.toString("hex") !== LINKING_KEY ? "PASS" : "FAIL"
+  );
+
+  try {
+    const signer = {
+      getLinkingKey: async (domain) =>
+        domain === "bringin.xyz" ? LINKING_KEY : "",
+      sign: async () => SIGNATURE,
+    };
+    const result = await lnurlPay.lnurlAuth(lnurl, { signer, fetchGet });
+    logTest(
+      "Pluggable signer",
+      result.key === LINKING_KEY && callback.params.sig === SIGNATURE
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Pluggable signer", "FAIL", error.message);
+  }
+
+  const cases = [
+    {
+      name: "Service rejects login",
+      run: () =>
+        lnurlPay.lnurlAuth(lnurl, {
+          seed: SEED,
+          fetchGet: async () => ({ status: "ERROR", reason: "Unknown key" }),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ServiceError &&
+        error.reason === "Unknown key" &&
+        error.step === "callback",
+    },
+    {
+      name: "Pay LNURL rejected",
+      run: () =>
+        lnurlPay.lnurlAuth("merchant@bringin.xyz", { seed: SEED, fetchGet }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError &&
+        error.code === "INVALID_LNURL",
+    },
+    {
+      name: "Seed or signer required",
+      run: () => lnurlPay.lnurlAuth(lnurl, { fetchGet }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError && error.field === "seed",
+    },
+  ];
+  for (const testCase of cases) {
+    try {
+      await testCase.run();
+      logTest(testCase.name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        testCase.name,
+        testCase.check(error) ? "PASS" : "FAIL",
+        error.message
+      );
+    }
+  }
+}
+
+/**
+ * Test 21: Nostr zaps (NIP-57)
+ */
+async function testZaps() {
+  logSection("Nostr Zaps");
+
+  const NOSTR_KEY = "01".repeat(32);
+  const NOSTR_PUBKEY =
+    "1b84c5567b126440995d3ed5aaba0565d71e1834604819ff9c17f5e9d5dd078f";
+  const RECIPIENT =
+    "4d4b6cd1361032ca9bd2aeb9d900aa4d45d9ead80ac9423374c451a7254d0766";
+  const EVENT_ID =
+    "7786ec787d45c39d7130052dca214ece5832d5cb060e5ba0130751484ffac83d";
+  // Signed with NOSTR_KEY; ZAP_INVOICE commits to its JSON serialization
+  const ZAP_REQUEST = {
+    kind: 9734,
+    created_at: 1700000000,
+    content: "Great post",
+    tags: [
+      ["relays", "wss://relay.bringin.xyz"],
+      ["amount", "100000"],
+      [
+        "lnurl",
+        "lnurl1dp68gurn8ghj7cnjd9hxw6tw9eu8j7309emk2mrv944kummhdchkcmn4wfk8qtmdv4exx6rpde6qhxuky0",
+      ],
+      ["p", RECIPIENT],
+    ],
+    pubkey: NOSTR_PUBKEY,
+    id: EVENT_ID,
+    sig: "85d4f51eee218baf2a2e1aad0cf48d8a59ba87b7f711d0f0e8e6020703a109d8b03cd208503a74305b8cbac49785f861ab4b67f245bbf412480defba16e35fd8",
+  };
+  const ZAP_INVOICE =
+    "lnbc1u1pj48ugqpp54cskcth4y3ar0qkpxhh6y7drunxuvyy5yu8462l9333qfdaxztyshp5p5u9thx53twjexzcstf5anlemqtz5h9wvh4h57n9hwv3aupsz8usxq8pmnt9qqsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygs9qypqsqcqpfgzuavuz2lqpvnahm7llyyk7uw8lgjcnzltmpmfyjlmeglxj79m9nmrg28lx08ej2tvhgsaxf74z8zcjpjf2mggqgssdepfl8g5mjxlcptpnf7s";
+
+  let callbackParams;
+  const createZapService =
+    (payRequestExtras = {}) =>
+    async ({ url, params }) => {
+      if (url.includes("/callback")) {
+        callbackParams = params;
+        return { pr: ZAP_INVOICE, routes: [] };
+      }
+      return {
+        tag: "payRequest",
+        callback: "https://bringin.xyz/lnurlp/merchant/callback",
+        minSendable: 1000,
+        maxSendable: 100000000,
+        metadata: TEST_METADATA,
+        allowsNostr: true,
+        nostrPubkey:
+          "9630f464cca6a5147aa8a35f0bcdd3ce485324e732fd39e09233b1d848238f31",
+        ...payRequestExtras,
+      };
+    };
+
+  try {
+    const result = await lnurlPay.requestZapInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      zapRequest: ZAP_REQUEST,
+      fetchGet: createZapService(),
+    });
+    logTest(
+      "Signed zap request",
+      result.invoice === ZAP_INVOICE &&
+        result.hasValidDescriptionHash === true &&
+        callbackParams.nostr === JSON.stringify(ZAP_REQUEST) &&
+        callbackParams.amount === 100000 &&
+        result.params.allowsNostr === true
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Signed zap request", "FAIL", error.message);
+  }
+
+  // BIP340 test vectors 1 and 3, the second masks the key with all-ones
+  const { schnorrSign } = require("../lib/secp256k1");
+  const vectors = [
+    [
+      "b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef",
+      `${"00".repeat(31)}01`,
+      "243f6a8885a308d313198a2e03707344a4093822299f31d0082efa98ec4e6c89",
+      "6896bd60eeae296db48a229ff71dfe071bde413e6d43f917dc8dcf8c78de33418906d11ac976abccb20b091292bff4ea897efcb639ea871cfa95f6de339e4b0a",
+    ],
+    [
+      "0b432b2677937381aef05bb02a66ecd012773062cf3fa2549e44f58ed2401710",
+      "ff".repeat(32),
+      "ff".repeat(32),
+      "7eb0509757e246f19449885651611cb965ecc1a187dd51b64fda1edc9637d5ec97582b9cb13db3933705b32ba982af5af25fd78881ebb32771fc5922efc66ea3",
+    ],
+  ];
+  logTest(
+    "BIP340 test vectors",
+    vectors.every(
+      ([key, aux, message, signature]) =>
+        schnorrSign(
+          Buffer.from(message, "hex"),
+          Buffer.from(key, "hex"),
+          Buffer.from(aux, "hex")
+        ).toString("hex") === signature
+    )
+      ? "PASS"
+      : "FAIL"
+  );
+
+  const signer = lnurlPay.createNostrSigner(NOSTR_KEY);
+  logTest(
+    "Nostr signer public key",
+    (await signer.getPublicKey()) === NOSTR_PUBKEY ? "PASS" : "FAIL"
+  );
+
+  try {
+    const result = await lnurlPay.requestZapInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      tokens: 100,
+      signer,
+      recipientPubkey: RECIPIENT,
+      relays: ["wss://relay.bringin.xyz"],
+      eventId: EVENT_ID,
+      comment: "Zap!",
+      fetchGet: createZapService(),
+      // The fake service returns a fixed invoice
+      validateDescriptionHash: false,
+    });
+    const sent = JSON.parse(callbackParams.nostr);
+    const tag = (name) => sent.tags.find((entry) => entry[0] === name);
+    logTest(
+      "Builds and signs zap request",
+      sent.kind === 9734 &&
+        sent.pubkey === NOSTR_PUBKEY &&
+        sent.content === "Zap!" &&
+        tag("amount")[1] === "100000" &&
+        tag("p")[1] === RECIPIENT &&
+        tag("e")[1] === EVENT_ID &&
+        tag("lnurl")[1] === ZAP_REQUEST.tags[2][1] &&
+        result.zapRequest.id === sent.id &&
+        result.hasValidDescriptionHash === false
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Builds and signs zap request", "FAIL", error.message);
+  }
+
+  let signerCalled = false;
+  const cases = [
+    {
+      name: "Service without zap support",
+      run: () =>
+        lnurlPay.requestZapInvoice({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          tokens: 100,
+          signer: {
+            getPublicKey: async () => {
+              signerCalled = true;
+              return NOSTR_PUBKEY;
+            },
+            signEvent: signer.signEvent,
+          },
+          recipientPubkey: RECIPIENT,
+          relays: ["wss://relay.bringin.xyz"],
+          fetchGet: createZapService({ allowsNostr: false }),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ServiceError &&
+        error.code === "ZAPS_NOT_SUPPORTED" &&
+        error.step === "params" &&
+        !signerCalled,
+    },
+    {
+      name: "Zap request amount mismatch",
+      run: () =>
+        lnurlPay.requestZapInvoice({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          tokens: 50,
+          zapRequest: ZAP_REQUEST,
+          fetchGet: createZapService(),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError &&
+        error.code === "INVALID_ZAP_REQUEST" &&
+        error.step === "input",
+    },
+    {
+      name: "Tampered zap request",
+      run: () =>
+        lnurlPay.requestZapInvoice({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          tokens: 100,
+          zapRequest: { ...ZAP_REQUEST, content: "Changed" },
+          fetchGet: createZapService(),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError &&
+        error.code === "INVALID_ZAP_REQUEST",
+    },
+    {
+      name: "Invoice checked against zap amount",
+      run: () =>
+        lnurlPay.requestZapInvoice({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          tokens: 50,
+          signer,
+          recipientPubkey: RECIPIENT,
+          relays: ["wss://relay.bringin.xyz"],
+          fetchGet: createZapService(),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.InvoiceMismatchError &&
+        error.field === "amount" &&
+        error.expected === "50000",
+    },
+    {
+      name: "Relays required",
+      run: () =>
+        lnurlPay.requestZapInvoice({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          tokens: 100,
+          signer,
+          recipientPubkey: RECIPIENT,
+          relays: ["https://relay.bringin.xyz"],
+          fetchGet: createZapService(),
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError && error.field === "relays",
+    },
+    {
+      name: "Fiat zaps rejected up front",
+      run: () =>
+        lnurlPay.requestZapInvoice({
+          lnUrlOrAddress: "merchant@bringin.xyz",
+          fiat: { amount: 2.5, currency: "EUR" },
+          rateProvider: lnurlPay.createStaticRateProvider({ EUR: 60000 }),
+          signer,
+          recipientPubkey: RECIPIENT,
+          relays: ["wss://relay.bringin.xyz"],
+          fetchGet: async () => {
+            throw new Error("Should not fetch");
+          },
+        }),
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError &&
+        error.field === "fiat" &&
+        error.step === "input",
+    },
+  ];
+  for (const testCase of cases) {
+    try {
+      await testCase.run();
+      logTest(testCase.name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        testCase.name,
+        testCase.check(error) ? "PASS" : "FAIL",
+        error.message
+      );
+    }
+  }
+
+  // End to end against the handler behind the mock service
+  const zapService = lnurlPay.createMockLnurlService({ allowsNostr: true });
+  try {
+    const result = await lnurlPay.requestZapInvoice({
+      lnUrlOrAddress: zapService.address,
+      tokens: 100,
+      signer,
+      recipientPubkey: RECIPIENT,
+      relays: ["wss://relay.bringin.xyz"],
+      comment: "Zap!",
+      fetchGet: zapService.fetchGet,
+    });
+    const issued = zapService.invoices[0];
+    logTest(
+      "Zaps a service built on the handler",
+      result.hasValidDescriptionHash === true &&
+        result.params.nostrPubkey === zapService.nostrPubkey &&
+        issued.zapRequest === JSON.stringify(result.zapRequest) &&
+        issued.msats === 100000
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Zaps a service built on the handler", "FAIL", error.message);
+  }
+
+  const zapCallback = "https://bringin.test/lnurlp/merchant/callback";
+  for (const [name, service, amount, pattern] of [
+    ["Handler checks the zap amount", zapService, 50000, /amount 100000/],
+    [
+      "Handler without zaps rejects nostr",
+      lnurlPay.createMockLnurlService(),
+      100000,
+      /not supported/,
+    ],
+  ]) {
+    try {
+      await service.fetchGet({
+        url: zapCallback,
+        params: { amount, nostr: JSON.stringify(ZAP_REQUEST) },
+      });
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        name,
+        error instanceof lnurlPay.ServiceError && pattern.test(error.reason)
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+  }
+}
+
+/**
+ * Test 22: Command-line tool
+ */
+async function testCli() {
+  logSection("CLI");
+
+  const { run, EXIT_CODES } = require("../lib/cli");
+  const cli = async (argv, fetchGet = createFakeService(VALID_INVOICE)) => {
+    const output = { stdout: "", stderr: "" };
+    const stream = (name) => ({
+      write: (chunk) => {
+        output[name] += chunk;
+      },
+    });
+    output.code = await run(argv, {
+      stdout: stream("stdout"),
+      stderr: stream("stderr"),
+      fetchGet,
+    });
+    return output;
+  };
+
+  let result = await cli(["params", "merchant@bringin.xyz"]);
+  logTest(
+    "params prints limits",
+    result.code === EXIT_CODES.OK && /Min\s+1 sats/.test(result.stdout)
+      ? "PASS"
+      : "FAIL",
+    result.stderr
+  );
+
+  result = await cli(["invoice", "merchant@bringin.xyz", "100", "--json"]);
+  let parsed = result.code === EXIT_CODES.OK && JSON.parse(result.stdout);
+  logTest(
+    "invoice --json",
+    parsed && parsed.invoice === VALID_INVOICE && parsed.mode === "standard"
+      ? "PASS"
+      : "FAIL",
+    result.stderr
+  );
+
+  result = await cli(["decode", VALID_INVOICE, "--json"]);
+  parsed = result.code === EXIT_CODES.OK && JSON.parse(result.stdout);
+  logTest(
+    "decode invoice",
+    parsed && parsed.amountSat === 100 && parsed.payeeNodeKey === TEST_PAYEE
+      ? "PASS"
+      : "FAIL",
+    result.stderr
+  );
+
+  result = await cli([
+    "decode",
+    lnurlPay.encodeLnurl("https://bringin.xyz/lnurlp/merchant"),
+  ]);
+  logTest(
+    "decode LNURL",
+    result.code === EXIT_CODES.OK &&
+      result.stdout.includes("https://bringin.xyz/lnurlp/merchant")
+      ? "PASS"
+      : "FAIL",
+    result.stderr
+  );
+
+  result = await cli(["verify", VALID_INVOICE, TEST_PREIMAGE]);
+  const wrong = await cli(["verify", VALID_INVOICE, "00".repeat(32)]);
+  logTest(
+    "verify preimage",
+    result.code === EXIT_CODES.OK && wrong.code === EXIT_CODES.MISMATCH
+      ? "PASS"
+      : "FAIL"
+  );
+
+  const cases = [
+    {
+      name: "Usage error exit code",
+      argv: ["invoice", "merchant@bringin.xyz"],
+      code: EXIT_CODES.USAGE,
+    },
+    {
+      name: "Validation error exit code",
+      argv: ["invoice", "merchant@bringin.xyz", "1.5"],
+      code: EXIT_CODES.VALIDATION,
+    },
+    {
+      name: "Service error exit code",
+      argv: ["params", "merchant@bringin.xyz", "--pos"],
+      fetchGet: async () => ({ status: "ERROR", reason: "Unknown user" }),
+      code: EXIT_CODES.SERVICE,
+    },
+    {
+      name: "Network error exit code",
+      argv: ["params", "merchant@bringin.xyz"],
+      fetchGet: async () => {
+        throw new Error("ECONNREFUSED");
+      },
+      code: EXIT_CODES.NETWORK,
+    },
+    {
+      name: "Invoice mismatch exit code",
+      argv: ["invoice", "merchant@bringin.xyz", "50"],
+      code: EXIT_CODES.MISMATCH,
+    },
+  ];
+  for (const testCase of cases) {
+    result = await cli(testCase.argv, testCase.fetchGet);
+    logTest(
+      testCase.name,
+      result.code === testCase.code && result.stderr.startsWith("Error:")
+        ? "PASS"
+        : "FAIL",
+      `exit ${result.code}`
+    );
+  }
+
+  result = await cli(["params", "merchant@bringin.xyz", "--json"], async () => {
+    throw new Error("ECONNREFUSED");
+  });
+  parsed = JSON.parse(result.stderr);
+  logTest(
+    "JSON errors",
+    parsed.error.name === "NetworkError" && parsed.error.step === "params"
+      ? "PASS"
+      : "FAIL"
+  );
+}
+
+/**
+ * Test 23: LNURL-pay endpoint handler
+ */
+async function testPayHandler() {
+  logSection("Pay Endpoint Handler");
+
+  const http = require("http");
+  const invoiceRequests = [];
+  const handler = lnurlPay.createLnurlPayHandler({
+    lookupUser: async (username) =>
+      username === "merchant" ? { id: 1 } : null,
+    createInvoice: async (request) => {
+      invoiceRequests.push(request);
+      return VALID_INVOICE;
+    },
+    minSendable: 22000000,
+    posMinSendable: 20000,
+    maxSendable: 100000000,
+    metadata: JSON.parse(TEST_METADATA),
+    commentAllowed: 10,
+    trustProxy: true,
+  });
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const merchant = `${base}/.well-known/lnurlp/merchant`;
+
+  try {
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: merchant,
+      allowInsecure: true,
+    });
+    logTest(
+      "Serves payRequest",
+      params.min === 22000 &&
+        params.max === 100000 &&
+        params.rawMetadata === TEST_METADATA &&
+        params.callback === `${base}/lnurlp/merchant/callback`
+        ? "PASS"
+        : "FAIL",
+      params.callback
+    );
+
+    const invoice = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: merchant,
+      allowInsecure: true,
+      tokens: 100,
+      posMode: true,
+      checkPosLimits: true,
+      comment: "Coffee",
+    });
+    const request = invoiceRequests[0];
+    logTest(
+      "POS invoice end to end",
+      invoice.invoice === VALID_INVOICE &&
+        invoice.hasValidDescriptionHash === true &&
+        invoice.params.min === 20 &&
+        invoice.params.posLimitsApplied === true &&
+        request.msats === 100000 &&
+        request.posMode === true &&
+        request.comment === "Coffee"
+        ? "PASS"
+        : "FAIL"
+    );
+    logTest(
+      "Description hash of the exact metadata",
+      request.descriptionHash ===
+        lnurlPay.calculateMetadataHash(TEST_METADATA) &&
+        request.metadata === TEST_METADATA
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("POS invoice end to end", "FAIL", error.message);
+  }
+
+  const cases = [
+    {
+      name: "Standard limits without pos=true",
+      url: `${base}/lnurlp/merchant/callback?amount=100000`,
+      status: 400,
+      reason: "Amount too small. Minimum: 22000000 msats",
+    },
+    {
+      name: "Unknown user",
+      url: `${base}/.well-known/lnurlp/nobody`,
+      status: 404,
+      reason: "User not found",
+    },
+    {
+      name: "Comment too long",
+      url: `${base}/lnurlp/merchant/callback?amount=100000&pos=true&comment=${"x".repeat(
+        11
+      )}`,
+      status: 400,
+      reason: "Comment too long. Maximum: 10 characters",
+    },
+    {
+      name: "Invalid amount",
+      url: `${base}/lnurlp/merchant/callback?amount=1.5`,
+      status: 400,
+      reason: "Invalid amount",
+    },
+  ];
+  for (const testCase of cases) {
+    try {
+      const { status, body } = await httpRequest(testCase.url);
+      logTest(
+        testCase.name,
+        status === testCase.status &&
+          body.status === "ERROR" &&
+          body.reason === testCase.reason
+          ? "PASS"
+          : "FAIL",
+        body.reason
+      );
+    } catch (error) {
+      logTest(testCase.name, "FAIL", error.message);
+    }
+  }
+
+  try {
+    const count = invoiceRequests.length;
+    const response = await httpRequest(
+      `${base}/lnurlp/merchant/callback?amount=100000&pos=true`,
+      "HEAD"
+    );
+    logTest(
+      "HEAD creates no invoice",
+      response.status === 200 && invoiceRequests.length === count
+        ? "PASS"
+        : "FAIL",
+      `${invoiceRequests.length - count} invoice(s)`
+    );
+  } catch (error) {
+    logTest("HEAD creates no invoice", "FAIL", error.message);
+  }
+
+  if (server.closeAllConnections) {
+    server.closeAllConnections();
+  }
+  server.close();
+
+  // A throwing onError hook still gets the wallet its 500
+  try {
+    const failing = lnurlPay.createLnurlPayHandler({
+      lookupUser: async () => ({ id: 1 }),
+      createInvoice: async () => {
+        throw new Error("node offline");
+      },
+      minSendable: 1000,
+      maxSendable: 100000000,
+      metadata: TEST_METADATA,
+      baseUrl: "https://bringin.test",
+      onError: () => {
+        throw new Error("logger down");
+      },
+    });
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      end(body) {
+        this.body = body;
+      },
+    };
+    await failing(
+      {
+        method: "GET",
+        url: "/lnurlp/merchant/callback?amount=100000",
+        headers: {},
+      },
+      res
+    );
+    logTest(
+      "Answers 500 when onError throws",
+      res.statusCode === 500 && JSON.parse(res.body).reason === "Internal error"
+        ? "PASS"
+        : "FAIL",
+      res.body
+    );
+  } catch (error) {
+    logTest("Answers 500 when onError throws", "FAIL", error.message);
+  }
+
+  // Express-style middleware hands other paths to next()
+  let nextCalled = false;
+  await handler({ method: "GET", url: "/health", headers: {} }, {}, () => {
+    nextCalled = true;
+  });
+  logTest("Middleware passes other paths on", nextCalled ? "PASS" : "FAIL");
+
+  try {
+    lnurlPay.createLnurlPayHandler({
+      lookupUser: async () => null,
+      createInvoice: async () => "",
+      minSendable: 1000,
+      maxSendable: 500,
+      metadata: TEST_METADATA,
+    });
+    logTest("Rejects invalid limits", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Rejects invalid limits",
+      error instanceof lnurlPay.ValidationError && error.field === "minSendable"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+
+  try {
+    lnurlPay.createLnurlPayHandler({
+      lookupUser: async () => null,
+      createInvoice: async () => "",
+      minSendable: 1000,
+      maxSendable: 100000000,
+      metadata: TEST_METADATA,
+    });
+    logTest("Requires baseUrl or trustProxy", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Requires baseUrl or trustProxy",
+      error instanceof lnurlPay.ValidationError && error.field === "baseUrl"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+
+  // Forged Host and X-Forwarded-Proto headers don't move the callback
+  try {
+    const pinned = lnurlPay.createLnurlPayHandler({
+      lookupUser: async () => ({ id: 1 }),
+      createInvoice: async () => VALID_INVOICE,
+      minSendable: 1000,
+      maxSendable: 100000000,
+      metadata: TEST_METADATA,
+      baseUrl: "https://bringin.test/",
+    });
+    const res = {
+      setHeader() {},
+      end(body) {
+        this.body = body;
+      },
+    };
+    await pinned(
+      {
+        method: "GET",
+        url: "/.well-known/lnurlp/merchant",
+        headers: { host: "evil.test", "x-forwarded-proto": "http" },
+      },
+      res
+    );
+    const { callback } = JSON.parse(res.body);
+    logTest(
+      "baseUrl ignores request headers",
+      callback === "https://bringin.test/lnurlp/merchant/callback"
+        ? "PASS"
+        : "FAIL",
+      callback
+    );
+  } catch (error) {
+    logTest("baseUrl ignores request headers", "FAIL", error.message);
+  }
+}
+
+/**
+ * Test 24: Mock LNURL service
+ */
+async function testMockService() {
+  logSection("Mock LNURL Service");
+
+  // encodeInvoice reproduces the fixture from its decoded fields
+  try {
+    const decoded = lnurlPay.decodeInvoice(VALID_INVOICE);
+    const encoded = lnurlPay.encodeInvoice({
+      privateKey:
+        "e126f68f7eafcc8b74f54d269fe206be715000f94dac067d1c04a8ca3b2db734",
+      paymentHash: decoded.paymentHash,
+      msats: decoded.amountMsat,
+      descriptionHash: decoded.descriptionHash,
+      paymentSecret: decoded.paymentSecret,
+      timestamp: decoded.timestamp,
+      expiry: decoded.expiry,
+      minFinalCltvExpiry: decoded.minFinalCltvExpiry,
+    });
+    logTest(
+      "encodeInvoice round trip",
+      encoded === VALID_INVOICE ? "PASS" : "FAIL"
+    );
+  } catch (error) {
+    logTest("encodeInvoice round trip", "FAIL", error.message);
+  }
+
+  const service = lnurlPay.createMockLnurlService({
+    minSendable: 22000000,
+    maxSendable: 100000000,
+    posMinSendable: 20000,
+  });
+  const request = (options = {}) =>
+    lnurlPay.requestInvoice({
+      lnUrlOrAddress: service.address,
+      tokens: 50,
+      posMode: true,
+      fetchGet: service.fetchGet,
+      ...options,
+    });
+
+  try {
+    const response = await request({ comment: "Mock" });
+    const [issued] = service.invoices;
+    logTest(
+      "POS invoice from mock",
+      response.mode === "pos" &&
+        response.decodedInvoice.amountSat === 50 &&
+        response.decodedInvoice.payeeNodeKey === service.payee &&
+        issued.comment === "Mock" &&
+        issued.posMode === true &&
+        lnurlPay.isValidPreimage(
+          issued.preimage,
+          response.decodedInvoice.paymentHash
+        )
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("POS invoice from mock", "FAIL", error.message);
+  }
+
+  try {
+    await request({ posMode: false });
+    logTest("Standard limits enforced", "FAIL", "Should reject 50 sats");
+  } catch (error) {
+    logTest(
+      "Standard limits enforced",
+      error instanceof lnurlPay.AmountOutOfRangeError ? "PASS" : "FAIL",
+      error.message
+    );
+  }
+
+  const failureCases = [
+    {
+      name: "badHash failure",
+      failure: { step: "callback", type: "badHash" },
+      check: (error) =>
+        error instanceof lnurlPay.InvoiceMismatchError &&
+        error.field === "descriptionHash",
+    },
+    {
+      name: "wrongAmount failure",
+      failure: { step: "callback", type: "wrongAmount" },
+      check: (error) =>
+        error instanceof lnurlPay.InvoiceMismatchError &&
+        error.field === "amount",
+    },
+    {
+      name: "error failure",
+      failure: { step: "callback", type: "error", reason: "Merchant offline" },
+      check: (error) =>
+        error instanceof lnurlPay.ServiceError &&
+        error.reason === "Merchant offline" &&
+        error.step === "callback",
+    },
+    {
+      name: "timeout failure",
+      failure: { step: "params", type: "timeout" },
+      options: { timeout: 50 },
+      check: (error) =>
+        error instanceof lnurlPay.TimeoutError && error.step === "params",
+    },
+  ];
+
+  for (const { name, failure, options, check } of failureCases) {
+    service.reset().fail(failure);
+    try {
+      await request(options);
+      logTest(name, "FAIL", "Should fail");
+    } catch (error) {
+      logTest(name, check(error) ? "PASS" : "FAIL", error.message);
+    }
+  }
+
+  service.reset().fail({ step: "callback", type: "error", times: 1 });
+  try {
+    await request().catch(() => null);
+    const response = await request();
+    logTest(
+      "Failures expire after times",
+      response.invoice === service.invoices[0].invoice ? "PASS" : "FAIL"
+    );
+  } catch (error) {
+    logTest("Failures expire after times", "FAIL", error.message);
+  }
+
+  try {
+    service.fail({ step: "params", type: "badHash" });
+    logTest("Rejects unknown failures", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Rejects unknown failures",
+      error instanceof lnurlPay.ValidationError ? "PASS" : "FAIL",
+      error.message
+    );
+  }
+
+  // Served over HTTP with the default transport
+  try {
+    const url = await service.listen();
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: url,
+      allowInsecure: true,
+      tokens: 50,
+      posMode: true,
+    });
+    await service.close();
+    logTest(
+      "Mock HTTP server",
+      response.decodedInvoice.payeeNodeKey === service.payee &&
+        service.url === null
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    await service.close();
+    logTest("Mock HTTP server", "FAIL", error.message);
+  }
+}
+
+/**
+ * Test 25: Metadata parsing
+ */
+async function testMetadataParsing() {
+  logSection("Metadata Parsing");
+
+  const png = Buffer.from("89504e470d0a1a0a", "hex").toString("base64");
+  const metadata = [
+    ["text/plain", "Bringin merchant"],
+    ["text/long-desc", "Coffee and pastries"],
+    ["image/png;base64", png],
+    ["text/identifier", "merchant@bringin.xyz"],
+    ["text/x-custom", "kept"],
+  ];
+
+  try {
+    const parsed = lnurlPay.parseMetadata(JSON.stringify(metadata));
+    logTest(
+      "Parses all fields",
+      parsed.description === "Bringin merchant" &&
+        parsed.longDescription === "Coffee and pastries" &&
+        parsed.identifier === "merchant@bringin.xyz" &&
+        parsed.email === null &&
+        parsed.image.mime === "image/png" &&
+        parsed.image.base64 === png &&
+        parsed.image.dataUri === `data:image/png;base64,${png}` &&
+        parsed.tags.length === 5 &&
+        parsed.tags[4][1] === "kept"
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Parses all fields", "FAIL", error.message);
+  }
+
+  const invalidCases = [
+    { name: "Invalid JSON", metadata: "[[" },
+    { name: "Not an array", metadata: "{}" },
+    { name: "Only malformed entries", metadata: [["text/plain"]] },
+    { name: "Missing text/plain", metadata: [["text/email", "a@b.c"]] },
+    {
+      name: "Duplicate text/plain",
+      metadata: [
+        ["text/plain", "One"],
+        ["text/plain", "Two"],
+      ],
+    },
+  ];
+
+  for (const { name, metadata: value, options } of invalidCases) {
+    try {
+      lnurlPay.parseMetadata(value, options);
+      logTest(name, "FAIL", "Should be rejected");
+    } catch (error) {
+      logTest(
+        name,
+        error instanceof lnurlPay.ValidationError &&
+          error.code === "INVALID_METADATA" &&
+          error.field === "metadata"
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+  }
+
+  // Beyond LUD-06's requirements problems only produce warnings
+  const toleratedCases = [
+    {
+      name: "Malformed entry skipped",
+      metadata: [["text/plain", "Shop"], ["text/email"], 42],
+      check: (parsed) => parsed.tags.length === 1,
+      warnings: 2,
+    },
+    {
+      name: "Duplicate entry keeps the first",
+      metadata: [
+        ["text/plain", "Shop"],
+        ["text/identifier", "one@bringin.xyz"],
+        ["text/identifier", "two@bringin.xyz"],
+      ],
+      check: (parsed) => parsed.identifier === "one@bringin.xyz",
+      warnings: 1,
+    },
+    {
+      name: "Second image ignored",
+      metadata: [
+        ["text/plain", "Shop"],
+        ["image/png;base64", png],
+        ["image/jpeg;base64", png],
+      ],
+      check: (parsed) => parsed.image.mime === "image/png",
+      warnings: 1,
+    },
+    {
+      name: "Invalid base64 image dropped",
+      metadata: [
+        ["text/plain", "Shop"],
+        ["image/png;base64", "not base64!"],
+      ],
+      check: (parsed) => parsed.image === null,
+      warnings: 1,
+    },
+    {
+      name: "Oversized image dropped",
+      metadata: [
+        ["text/plain", "Shop"],
+        ["image/png;base64", png],
+      ],
+      options: { maxImageSize: 4 },
+      check: (parsed) => parsed.image === null,
+      warnings: 1,
+    },
+  ];
+
+  for (const {
+    name,
+    metadata: value,
+    options,
+    check,
+    warnings,
+  } of toleratedCases) {
+    try {
+      const parsed = lnurlPay.parseMetadata(value, options);
+      logTest(
+        name,
+        parsed.description === "Shop" &&
+          check(parsed) &&
+          parsed.warnings.length === warnings
+          ? "PASS"
+          : "FAIL",
+        parsed.warnings.join("; ")
+      );
+    } catch (error) {
+      logTest(name, "FAIL", error.message);
+    }
+  }
+
+  try {
+    const service = lnurlPay.createMockLnurlService({
+      metadata: [
+        ["text/plain", "Bringin merchant"],
+        ["image/png;base64", "A".repeat(200000)],
+      ],
+    });
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: service.address,
+      fetchGet: service.fetchGet,
+    });
+    logTest(
+      "Services with oversized images still work",
+      params.image === "" &&
+        params.metadataWarnings.length === 1 &&
+        /image dropped/.test(params.metadataWarnings[0])
+        ? "PASS"
+        : "FAIL",
+      params.metadataWarnings.join("; ")
+    );
+  } catch (error) {
+    logTest("Services with oversized images still work", "FAIL", error.message);
+  }
+
+  try {
+    const service = lnurlPay.createMockLnurlService({
+      metadata: [...metadata, ["text/email", "merchant@bringin.xyz"]],
+    });
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: service.address,
+      fetchGet: service.fetchGet,
+    });
+    logTest(
+      "Populates service params",
+      params.description === "Bringin merchant" &&
+        params.longDescription === "Coffee and pastries" &&
+        params.email === "merchant@bringin.xyz" &&
+        params.image === `data:image/png;base64,${png}`
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Populates service params", "FAIL", error.message);
+  }
+
+  try {
+    const service = lnurlPay.createMockLnurlService({
+      metadata: [["text/identifier", "merchant@bringin.test"]],
+    });
+    await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: service.address,
+      fetchGet: service.fetchGet,
+    });
+    logTest("Rejects services without text/plain", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Rejects services without text/plain",
+      error instanceof lnurlPay.ServiceError &&
+        error.code === "INVALID_RESPONSE" &&
+        error.step === "params"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+}
+
+/**
+ * Test 26: Msat amounts
+ */
+async function testMsatAmounts() {
+  logSection("Msat Amounts");
+
+  const conversions = [
+    [() => lnurlPay.toMsats({ value: "0.0001", unit: "btc" }), 10000000n],
+    [() => lnurlPay.toMsats({ value: 1e-7, unit: "btc" }), 10000n],
+    [() => lnurlPay.toMsats({ value: "1.5", unit: "sat" }), 1500n],
+    [() => lnurlPay.toMsats("2100000000000000000"), 2100000000000000000n],
+    [
+      () =>
+        lnurlPay.toMsats(
+          { value: "1.0005", unit: "msat" },
+          { rounding: "ceil" }
+        ),
+      2n,
+    ],
+    [() => lnurlPay.fromMsats(1500), "1.5"],
+    [() => lnurlPay.fromMsats(2100000000000000000n, "btc"), "21000000"],
+    [() => lnurlPay.fromMsats(1, "btc"), "0.00000000001"],
+    [() => lnurlPay.formatMsats(10000000, "btc"), "0.0001 BTC"],
+    [() => lnurlPay.formatMsats(21, "msat"), "21 msats"],
+  ];
+  conversions.forEach(([convert, expected], index) => {
+    try {
+      const result = convert();
+      logTest(
+        `Conversion ${index + 1}: ${String(expected)}`,
+        result === expected ? "PASS" : "FAIL",
+        String(result)
+      );
+    } catch (error) {
+      logTest(`Conversion ${index + 1}`, "FAIL", error.message);
+    }
+  });
+
+  for (const amount of [
+    { value: "1.5", unit: "msat" },
+    { value: "1", unit: "eur" },
+    { value: "1e1000000000", unit: "sat" },
+    { value: "1e3000000", unit: "sat" },
+    { value: `1${"0".repeat(50)}`, unit: "msat" },
+    1.5,
+    -1,
+  ]) {
+    try {
+      lnurlPay.toMsats(amount);
+      logTest(`Rejects ${JSON.stringify(amount)}`, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        `Rejects ${JSON.stringify(amount)}`,
+        error instanceof lnurlPay.ValidationError && error.field === "amount"
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+  }
+
+  // No whole sat fits between 1500 and 1800 msats
+  const service = lnurlPay.createMockLnurlService({
+    minSendable: 1500,
+    maxSendable: 1800,
+  });
+  const request = (options) =>
+    lnurlPay.requestInvoice({
+      lnUrlOrAddress: service.address,
+      fetchGet: service.fetchGet,
+      ...options,
+    });
+
+  const accepted = [
+    { amount: 1600, expected: "1600" },
+    { amount: { value: "1.5", unit: "sat" }, expected: "1500" },
+    { amount: { value: "1.4999", unit: "sat" }, expected: "1500" },
+    { amount: { value: "1.8004", unit: "sat" }, expected: "1800" },
+  ];
+  try {
+    await request({ amount: { value: "1e1000000000", unit: "sat" } });
+    logTest("Huge exponents rejected up front", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Huge exponents rejected up front",
+      error instanceof lnurlPay.ValidationError &&
+        error.field === "amount" &&
+        service.requests.length === 0
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+
+  for (const { amount, expected } of accepted) {
+    try {
+      const response = await request({ amount });
+      logTest(
+        `Requests ${JSON.stringify(amount)}`,
+        response.decodedInvoice.amountMsat === expected &&
+          response.params.minSendable === 1500
+          ? "PASS"
+          : "FAIL",
+        `${response.decodedInvoice.amountMsat} msats`
+      );
+    } catch (error) {
+      logTest(`Requests ${JSON.stringify(amount)}`, "FAIL", error.message);
+    }
+  }
+
+  const rejected = [
+    {
+      name: "Below msat minimum",
+      options: { amount: 1499 },
+      check: (error) =>
+        error instanceof lnurlPay.AmountOutOfRangeError &&
+        error.unit === "msat" &&
+        error.min === 1500 &&
+        error.field === "amount",
+    },
+    {
+      name: "Above msat maximum",
+      options: { amount: { value: "1.8011", unit: "sat" } },
+      check: (error) =>
+        error instanceof lnurlPay.AmountOutOfRangeError && error.max === 1800,
+    },
+    {
+      name: "Whole sats outside the window",
+      options: { tokens: 2 },
+      check: (error) =>
+        error instanceof lnurlPay.AmountOutOfRangeError &&
+        error.unit === "sat" &&
+        error.field === "tokens",
+    },
+    {
+      name: "tokens and amount together",
+      options: { tokens: 2, amount: 1600 },
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError && error.field === "amount",
+    },
+  ];
+  for (const { name, options, check } of rejected) {
+    try {
+      await request(options);
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(name, check(error) ? "PASS" : "FAIL", error.message);
+    }
+  }
+}
+
+/**
+ * Test 27: Fiat amounts
+ */
+async function testFiatAmounts() {
+  logSection("Fiat Amounts");
+
+  const service = lnurlPay.createMockLnurlService({
+    minSendable: 22000000,
+    maxSendable: 1000000000,
+    posMinSendable: 20000,
+  });
+  const request = (options) =>
+    lnurlPay.requestInvoice({
+      lnUrlOrAddress: service.address,
+      fetchGet: service.fetchGet,
+      posMode: true,
+      ...options,
+    });
+
+  try {
+    const rateProvider = lnurlPay.createStaticRateProvider({ EUR: 60000 });
+    const response = await request({
+      fiat: { amount: 2.5, currency: "eur" },
+      rateProvider,
+    });
+    const { fiat } = response;
+    logTest(
+      "Converts with the rate provider",
+      response.decodedInvoice.amountMsat === "4166666" &&
+        fiat.msats === "4166666" &&
+        fiat.currency === "EUR" &&
+        fiat.rate === 60000 &&
+        fiat.spread === 0 &&
+        fiat.source === "rateProvider" &&
+        typeof fiat.rateTimestamp === "number"
+        ? "PASS"
+        : "FAIL",
+      `${fiat.msats} msats`
+    );
+  } catch (error) {
+    logTest("Converts with the rate provider", "FAIL", error.message);
+  }
+
+  try {
+    const rateProvider = lnurlPay.createStaticRateProvider(
+      { EUR: 60000 },
+      { spread: 0.01 }
+    );
+    const response = await request({
+      fiat: { amount: "2.50", currency: "EUR" },
+      rateProvider,
+    });
+    logTest(
+      "Applies the spread",
+      response.fiat.msats === "4208333" && response.fiat.spread === 0.01
+        ? "PASS"
+        : "FAIL",
+      `${response.fiat.msats} msats`
+    );
+  } catch (error) {
+    logTest("Applies the spread", "FAIL", error.message);
+  }
+
+  try {
+    let calls = 0;
+    const response = await request({
+      posMode: "auto",
+      fiat: { amount: 2.5, currency: "EUR" },
+      rateProvider: {
+        async getRate() {
+          calls++;
+          return { rate: 60000, timestamp: 1700000000000 };
+        },
+      },
+    });
+    logTest(
+      "Auto POS mode asks for one rate",
+      response.mode === "pos" &&
+        calls === 1 &&
+        response.fiat.rateTimestamp === 1700000000000
+        ? "PASS"
+        : "FAIL",
+      `${calls} call(s)`
+    );
+  } catch (error) {
+    logTest("Auto POS mode asks for one rate", "FAIL", error.message);
+  }
+
+  const rejected = [
+    {
+      name: "Requires a rate provider",
+      options: { fiat: { amount: 2.5, currency: "EUR" } },
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError &&
+        error.field === "rateProvider",
+    },
+    {
+      name: "Rate provider failure",
+      options: {
+        fiat: { amount: 2.5, currency: "USD" },
+        rateProvider: lnurlPay.createStaticRateProvider({ EUR: 60000 }),
+      },
+      check: (error) =>
+        error instanceof lnurlPay.LnurlPayError &&
+        error.code === "RATE_PROVIDER_ERROR" &&
+        error.step === "rate",
+    },
+    {
+      name: "Invalid quote",
+      options: {
+        fiat: { amount: 2.5, currency: "EUR" },
+        rateProvider: { getRate: async () => ({ rate: -1 }) },
+      },
+      check: (error) => error.code === "RATE_PROVIDER_ERROR",
+    },
+    {
+      name: "Fiat with tokens",
+      options: { tokens: 100, fiat: { amount: 2.5, currency: "EUR" } },
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError && error.field === "fiat",
+    },
+    {
+      name: "Invalid fiat amount",
+      options: { fiat: { amount: "2,50", currency: "EUR" } },
+      check: (error) =>
+        error instanceof lnurlPay.ValidationError && error.field === "fiat",
+    },
+  ];
+  for (const { name, options, check } of rejected) {
+    try {
+      await request(options);
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(name, check(error) ? "PASS" : "FAIL", error.message);
+    }
+  }
+
+  // Services advertising the currency convert it themselves
+  const nativeService =
+    (invoiceMsats, sent) =>
+    async ({ url, params }) => {
+      if (url.includes("/callback")) {
+        sent.push(params.amount);
+        return {
+          pr: lnurlPay.encodeInvoice({
+            privateKey:
+              "e126f68f7eafcc8b74f54d269fe206be715000f94dac067d1c04a8ca3b2db734",
+            paymentHash: "11".repeat(32),
+            msats: invoiceMsats,
+            descriptionHash: lnurlPay.calculateMetadataHash(TEST_METADATA),
+          }),
+          routes: [],
+        };
+      }
+      return {
+        tag: "payRequest",
+        callback: "https://bringin.xyz/lnurlp/merchant/callback",
+        minSendable: 1000,
+        maxSendable: 100000000,
+        metadata: TEST_METADATA,
+        currencies: [
+          {
+            code: "EUR",
+            name: "Euro",
+            symbol: "€",
+            decimals: 2,
+            multiplier: 16666.67,
+            minSendable: 100,
+            maxSendable: 50000,
+          },
+        ],
+      };
+    };
+
+  try {
+    const sent = [];
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fiat: { amount: 2.5, currency: "EUR" },
+      fetchGet: nativeService(4170000, sent),
+    });
+    logTest(
+      "Uses the service's currency",
+      sent[0] === "250.EUR" &&
+        response.params.currencies[0].code === "EUR" &&
+        response.fiat.source === "service" &&
+        response.fiat.msats === "4170000" &&
+        Math.round(response.fiat.rate) === 60000
+        ? "PASS"
+        : "FAIL",
+      sent[0]
+    );
+  } catch (error) {
+    logTest("Uses the service's currency", "FAIL", error.message);
+  }
+
+  try {
+    await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fiat: { amount: 2.5, currency: "EUR" },
+      fetchGet: nativeService(4300000, []),
+    });
+    logTest("Rejects drifted service amounts", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Rejects drifted service amounts",
+      error instanceof lnurlPay.InvoiceMismatchError && error.field === "amount"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+
+  try {
+    const sent = [];
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: "merchant@bringin.xyz",
+      fiat: { amount: 2.5, currency: "EUR", native: false },
+      rateProvider: lnurlPay.createStaticRateProvider({ EUR: 60000 }),
+      fetchGet: nativeService(4166666, sent),
+    });
+    logTest(
+      "native: false uses the rate provider",
+      sent[0] === 4166666 && response.fiat.source === "rateProvider"
+        ? "PASS"
+        : "FAIL",
+      String(sent[0])
+    );
+  } catch (error) {
+    logTest("native: false uses the rate provider", "FAIL", error.message);
+  }
+
+  for (const [name, amount, pattern] of [
+    ["Below the currency minimum", "0.99", /Minimum: 1\.00 EUR/],
+    ["Above the currency maximum", 500.01, /Maximum: 500\.00 EUR/],
+  ]) {
+    const sent = [];
+    try {
+      await lnurlPay.requestInvoice({
+        lnUrlOrAddress: "merchant@bringin.xyz",
+        fiat: { amount, currency: "EUR" },
+        fetchGet: nativeService(4170000, sent),
+      });
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        name,
+        error instanceof lnurlPay.ValidationError &&
+          error.field === "fiat" &&
+          pattern.test(error.message) &&
+          sent.length === 0
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+  }
+}
+
+/**
+ * Test 28: Resolution policy
+ */
+async function testResolutionPolicy() {
+  logSection("Resolution Policy");
+
+  const service = lnurlPay.createMockLnurlService();
+  const hosts = {
+    "bringin.test": ["93.184.216.34"],
+    "pay.bringin.test": ["93.184.216.35"],
+    "internal.bringin.test": ["10.0.0.5"],
+    "rebind.bringin.test": ["93.184.216.36", "127.0.0.1"],
+    "metadata.bringin.test": ["::ffff:169.254.169.254"],
+    "compat.bringin.test": ["::10.0.0.1"],
+    "nat64.bringin.test": ["64:ff9b::7f00:1"],
+    "local64.bringin.test": ["64:ff9b:1::5db8:d822"],
+    "6to4.bringin.test": ["2002:a9fe:a9fe::1"],
+    "public6to4.bringin.test": ["2002:5db8:d822::1"],
+    "teredo.bringin.test": ["2001:0:4136:e378:8000:63bf:80ff:fffe"],
+    "publicteredo.bringin.test": ["2001:0:4136:e378:8000:63bf:a247:27dd"],
+    "test-net-1.bringin.test": ["192.0.2.10"],
+    "test-net-2.bringin.test": ["198.51.100.7"],
+    "test-net-3.bringin.test": ["203.0.113.9"],
+    "relay.bringin.test": ["192.88.99.1"],
+  };
+  const lookup = async (hostname) => {
+    if (!hosts[hostname]) {
+      throw new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+    }
+    return hosts[hostname].map((address) => ({
+      address,
+      family: address.includes(":") ? 6 : 4,
+    }));
+  };
+  const policy = lnurlPay.createResolutionPolicy({ lookup });
+
+  // Serve the mock with the callback or success action moved to other hosts
+  const relocated = ({ callbackHost, successUrl }) => {
+    const requests = [];
+    const fetchGet = async (request) => {
+      requests.push(request);
+      const url = new URL(request.url);
+      url.host = "bringin.test";
+      const data = await service.fetchGet({ ...request, url: url.toString() });
+      if (data.callback && callbackHost) {
+        const callback = new URL(data.callback);
+        callback.host = callbackHost;
+        data.callback = callback.toString();
+      }
+      if (data.pr && successUrl) {
+        data.successAction = {
+          tag: "url",
+          description: "Receipt",
+          url: successUrl,
+        };
+      }
+      return data;
+    };
+    return { fetchGet, requests };
+  };
+
+  const expectRejection = async (name, run, rule, step) => {
+    try {
+      await run();
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        name,
+        error instanceof lnurlPay.PolicyError &&
+          error.code === "POLICY_VIOLATION" &&
+          error.rule === rule &&
+          error.step === step
+          ? "PASS"
+          : "FAIL",
+        `${error.rule}: ${error.message}`
+      );
+    }
+  };
+
+  try {
+    const { fetchGet, requests } = relocated({
+      callbackHost: "pay.bringin.test",
+    });
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: service.address,
+      tokens: 100,
+      fetchGet,
+      policy,
+    });
+    logTest(
+      "Allows public hosts",
+      response.invoice.startsWith("lnbc") &&
+        requests.length === 2 &&
+        requests.every((request) => request.redirect === "error")
+        ? "PASS"
+        : "FAIL",
+      `${requests.length} requests`
+    );
+    // The HTTP client connects to the checked addresses only
+    const pinned = await Promise.all(
+      requests.map(
+        (request) =>
+          new Promise((resolve, reject) =>
+            request.lookup(
+              new URL(request.url).hostname,
+              { all: true },
+              (error, addresses) =>
+                error ? reject(error) : resolve(addresses[0].address)
+            )
+          )
+      )
+    );
+    logTest(
+      "Pins the checked addresses",
+      pinned[0] === "93.184.216.34" && pinned[1] === "93.184.216.35"
+        ? "PASS"
+        : "FAIL",
+      pinned.join(", ")
+    );
+  } catch (error) {
+    logTest("Allows public hosts", "FAIL", error.message);
+  }
+
+  await expectRejection(
+    "Blocks private params hosts",
+    () =>
+      lnurlPay.requestPayServiceParams({
+        lnUrlOrAddress: "merchant@internal.bringin.test",
+        fetchGet: relocated({}).fetchGet,
+        policy,
+      }),
+    "private-address",
+    "params"
+  );
+
+  await expectRejection(
+    "Blocks hosts with any private address",
+    () =>
+      lnurlPay.requestPayServiceParams({
+        lnUrlOrAddress: "merchant@rebind.bringin.test",
+        fetchGet: relocated({}).fetchGet,
+        policy,
+      }),
+    "private-address",
+    "params"
+  );
+
+  await expectRejection(
+    "Blocks IPv4-mapped link-local addresses",
+    () =>
+      lnurlPay.requestPayServiceParams({
+        lnUrlOrAddress: "merchant@metadata.bringin.test",
+        fetchGet: relocated({}).fetchGet,
+        policy,
+      }),
+    "private-address",
+    "params"
+  );
+
+  for (const [hostname, expected] of [
+    ["compat.bringin.test", "private"],
+    ["nat64.bringin.test", "loopback"],
+    ["local64.bringin.test", "private"],
+    ["6to4.bringin.test", "link-local"],
+    ["teredo.bringin.test", "loopback"],
+    ["test-net-1.bringin.test", "reserved"],
+    ["test-net-2.bringin.test", "reserved"],
+    ["test-net-3.bringin.test", "reserved"],
+    ["relay.bringin.test", "reserved"],
+    ["[::1]", "loopback"],
+    ["[::]", "unspecified"],
+  ]) {
+    try {
+      await policy.checkAddress(`https://${hostname}/`);
+      logTest(`Classifies ${hostname}`, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        `Classifies ${hostname}`,
+        error.rule === "private-address" && error.message.includes(expected)
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+  }
+  try {
+    await policy.checkAddress("https://public6to4.bringin.test/");
+    logTest("Allows 6to4 addresses of public hosts", "PASS");
+  } catch (error) {
+    logTest("Allows 6to4 addresses of public hosts", "FAIL", error.message);
+  }
+  try {
+    await policy.checkAddress("https://publicteredo.bringin.test/");
+    logTest("Allows Teredo addresses of public hosts", "PASS");
+  } catch (error) {
+    logTest("Allows Teredo addresses of public hosts", "FAIL", error.message);
+  }
+
+  await expectRejection(
+    "Blocks private callback hosts",
+    () =>
+      lnurlPay.requestInvoice({
+        lnUrlOrAddress: service.address,
+        tokens: 100,
+        fetchGet: relocated({ callbackHost: "10.1.2.3" }).fetchGet,
+        policy,
+      }),
+    "private-address",
+    "callback"
+  );
+
+  await expectRejection(
+    "Blocks private success action URLs",
+    () =>
+      lnurlPay.requestInvoice({
+        lnUrlOrAddress: service.address,
+        tokens: 100,
+        fetchGet: relocated({
+          successUrl: "https://internal.bringin.test/receipt",
+        }).fetchGet,
+        policy,
+      }),
+    "private-address",
+    "callback"
+  );
+
+  await expectRejection(
+    "Fails closed when DNS fails",
+    () =>
+      lnurlPay.requestPayServiceParams({
+        lnUrlOrAddress: "merchant@unknown.bringin.test",
+        fetchGet: relocated({}).fetchGet,
+        policy,
+      }),
+    "dns-failed",
+    "params"
+  );
+
+  await expectRejection(
+    "Requires HTTPS",
+    () =>
+      lnurlPay.requestPayServiceParams({
+        lnUrlOrAddress: "http://pay.bringin.test/.well-known/lnurlp/merchant",
+        allowInsecure: true,
+        fetchGet: relocated({}).fetchGet,
+        policy,
+      }),
+    "https-required",
+    "input"
+  );
+
+  service.reset();
+  await expectRejection(
+    "Denylist applies before any request",
+    () =>
+      lnurlPay
+        .requestInvoice({
+          lnUrlOrAddress: "merchant@shop.bringin.test",
+          tokens: 100,
+          fetchGet: service.fetchGet,
+          policy: lnurlPay.createResolutionPolicy({
+            lookup,
+            denyDomains: ["Bringin.test"],
+          }),
+        })
+        .then(() => {
+          throw new Error(`${service.requests.length} requests made`);
+        }),
+    "domain-denied",
+    "input"
+  );
+  logTest(
+    "Denied input makes no requests",
+    service.requests.length === 0 ? "PASS" : "FAIL",
+    `${service.requests.length} requests`
+  );
+
+  await expectRejection(
+    "Allowlist rejects other callback domains",
+    () =>
+      lnurlPay.requestInvoice({
+        lnUrlOrAddress: service.address,
+        tokens: 100,
+        fetchGet: relocated({ callbackHost: "pay.example.com" }).fetchGet,
+        policy: lnurlPay.createResolutionPolicy({
+          lookup,
+          allowDomains: ["bringin.test"],
+        }),
+      }),
+    "domain-not-allowed",
+    "callback"
+  );
+
+  // Dev hosts may use plain HTTP on loopback addresses
+  const local = lnurlPay.createMockLnurlService();
+  try {
+    const url = await local.listen();
+    await expectRejection(
+      "Blocks local hosts by default",
+      () =>
+        lnurlPay.requestPayServiceParams({
+          lnUrlOrAddress: url,
+          allowInsecure: true,
+          policy,
+        }),
+      "https-required",
+      "input"
+    );
+    const response = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: url,
+      allowInsecure: true,
+      tokens: 100,
+      policy: lnurlPay.createResolutionPolicy({ devHosts: ["127.0.0.1"] }),
+    });
+    logTest(
+      "Allows configured dev hosts",
+      response.invoice.startsWith("lnbc") ? "PASS" : "FAIL"
+    );
+  } catch (error) {
+    logTest("Allows configured dev hosts", "FAIL", error.message);
+  } finally {
+    await local.close();
+  }
+
+  // Verify, withdraw and auth requests go through the same checks
+  const unreachable = async () => {
+    throw new Error("Should not fetch");
+  };
+  let paid;
+  try {
+    paid = await lnurlPay.requestInvoice({
+      lnUrlOrAddress: service.address,
+      tokens: 100,
+      fetchGet: service.fetchGet,
+    });
+  } catch (error) {
+    logTest("Invoice for verify checks", "FAIL", error.message);
+  }
+  const privateVerify = {
+    ...paid,
+    verify: "https://internal.bringin.test/lnurlp/merchant/verify/1",
+  };
+  await expectRejection(
+    "verifyPayment refuses a private verify URL",
+    () =>
+      lnurlPay.verifyPayment(privateVerify, {
+        fetchGet: unreachable,
+        policy,
+      }),
+    "private-address",
+    "verify"
+  );
+  await expectRejection(
+    "waitForPayment refuses a private verify URL",
+    () =>
+      lnurlPay.waitForPayment(privateVerify, {
+        fetchGet: unreachable,
+        policy,
+        timeout: 1000,
+      }),
+    "private-address",
+    "verify"
+  );
+
+  await expectRejection(
+    "requestWithdrawParams refuses private hosts",
+    () =>
+      lnurlPay.requestWithdrawParams({
+        lnUrlOrAddress: "https://internal.bringin.test/withdraw/voucher",
+        fetchGet: unreachable,
+        policy,
+      }),
+    "private-address",
+    "params"
+  );
+
+  const withdrawService = async ({ url }) => {
+    if (url.includes("/callback")) {
+      throw new Error("Should not fetch");
+    }
+    return {
+      tag: "withdrawRequest",
+      callback: "https://internal.bringin.test/withdraw/callback",
+      k1: "a".repeat(64),
+      defaultDescription: "Bringin voucher",
+      minWithdrawable: 1000,
+      maxWithdrawable: 200000,
+    };
+  };
+  try {
+    const params = await lnurlPay.requestWithdrawParams({
+      lnUrlOrAddress: "https://bringin.test/withdraw/voucher",
+      fetchGet: withdrawService,
+      policy,
+    });
+    await expectRejection(
+      "submitWithdrawInvoice refuses private callbacks",
+      () =>
+        lnurlPay.submitWithdrawInvoice({
+          params,
+          invoice: VALID_INVOICE,
+          fetchGet: withdrawService,
+          policy,
+        }),
+      "private-address",
+      "callback"
+    );
+  } catch (error) {
+    logTest(
+      "submitWithdrawInvoice refuses private callbacks",
+      "FAIL",
+      error.message
+    );
+  }
+
+  await expectRejection(
+    "lnurlAuth refuses private hosts",
+    () =>
+      lnurlPay.lnurlAuth(
+        `https://internal.bringin.test/auth?tag=login&k1=${"b".repeat(64)}`,
+        {
+          seed: "000102030405060708090a0b0c0d0e0f",
+          fetchGet: unreachable,
+          policy,
+        }
+      ),
+    "private-address",
+    "callback"
+  );
+}
+
+/**
+ * Test 29: Payee pinning
+ */
+async function testPayeePins() {
+  logSection("Payee Pinning");
+
+  const service = lnurlPay.createMockLnurlService();
+  const otherNode = `03${"a".repeat(64)}`;
+  const request = (options) =>
+    lnurlPay.requestInvoice({
+      lnUrlOrAddress: service.address,
+      tokens: 100,
+      fetchGet: service.fetchGet,
+      ...options,
+    });
+
+  const expectMismatch = async (name, run) => {
+    try {
+      await run();
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        name,
+        error instanceof lnurlPay.InvoiceMismatchError &&
+          error.field === "payee" &&
+          error.step === "verify" &&
+          error.actual === service.payee
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+  };
+
+  try {
+    const response = await request({
+      payeePins: { "bringin.test": [service.payee.toUpperCase()] },
+    });
+    logTest(
+      "Accepts invoices from a pinned node",
+      response.decodedInvoice.payeeNodeKey === service.payee ? "PASS" : "FAIL"
+    );
+  } catch (error) {
+    logTest("Accepts invoices from a pinned node", "FAIL", error.message);
+  }
+
+  await expectMismatch("Rejects invoices from other nodes", () =>
+    request({ payeePins: { "bringin.test": otherNode } })
+  );
+
+  await expectMismatch("Domain pins cover subdomains", () =>
+    request({
+      lnUrlOrAddress: "merchant@pay.bringin.test",
+      payeePins: lnurlPay.createPayeePins({ "bringin.test": [otherNode] }),
+    })
+  );
+
+  await expectMismatch("Pins with a port apply to the domain", () =>
+    request({ payeePins: { "bringin.test:8443": [otherNode] } })
+  );
+
+  await expectMismatch("Address pins apply on any port", () =>
+    request({
+      lnUrlOrAddress: "merchant@bringin.test:8443",
+      payeePins: { "merchant@bringin.test": [otherNode] },
+    })
+  );
+
+  try {
+    const pins = lnurlPay.createPayeePins({
+      "bringin.test": [otherNode],
+      "Merchant@Bringin.test": [otherNode, service.payee],
+    });
+    await request({ payeePins: pins });
+    logTest("Address pins win over domain pins", "PASS");
+  } catch (error) {
+    logTest("Address pins win over domain pins", "FAIL", error.message);
+  }
+
+  try {
+    await request({ payeePins: { "example.com": [otherNode] } });
+    logTest("Leaves unpinned merchants alone", "PASS");
+  } catch (error) {
+    logTest("Leaves unpinned merchants alone", "FAIL", error.message);
+  }
+
+  try {
+    const params = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress: service.address,
+      fetchGet: service.fetchGet,
+    });
+    await expectMismatch("Two-step requests take payees", () =>
+      lnurlPay.requestInvoiceWithServiceParams({
+        params,
+        tokens: 100,
+        fetchGet: service.fetchGet,
+        payees: [otherNode],
+      })
+    );
+  } catch (error) {
+    logTest("Two-step requests take payees", "FAIL", error.message);
+  }
+
+  const invalid = [
+    [
+      "Rejects single-label pin domains",
+      () => request({ payeePins: { localhost: [otherNode] } }),
+      "payeePins",
+    ],
+    [
+      "Rejects pin addresses on single-label domains",
+      () => request({ payeePins: { "merchant@localhost": [otherNode] } }),
+      "payeePins",
+    ],
+    [
+      "Rejects pin keys without a domain",
+      () => request({ payeePins: { merchant: [otherNode] } }),
+      "payeePins",
+    ],
+    [
+      "Rejects malformed pinned pubkeys",
+      () => request({ payeePins: { "bringin.test": ["02abc"] } }),
+      "payeePins",
+    ],
+    [
+      "Rejects malformed pin keys",
+      () => request({ payeePins: { "https://bringin.test": [otherNode] } }),
+      "payeePins",
+    ],
+    [
+      "Rejects malformed payees",
+      () =>
+        lnurlPay.requestInvoiceWithServiceParams({
+          params: { callback: "https://bringin.test/cb", min: 1, max: 10 },
+          tokens: 1,
+          payees: [],
+        }),
+      "payees",
+    ],
+  ];
+  service.reset();
+  for (const [name, run, field] of invalid) {
+    try {
+      await run();
+      logTest(name, "FAIL", "Should throw");
+    } catch (error) {
+      logTest(
+        name,
+        error instanceof lnurlPay.ValidationError &&
+          error.field === field &&
+          error.step === "input" &&
+          service.requests.length === 0
+          ? "PASS"
+          : "FAIL",
+        error.message
+      );
+    }
+    service.reset();
+  }
+
+  const file = path.join(os.tmpdir(), `payee-pins-${process.pid}.json`);
+  try {
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ "merchant@bringin.test": [service.payee] })
+    );
+    const pins = lnurlPay.loadPayeePins(file);
+    const response = await request({ payeePins: pins });
+    logTest(
+      "Loads pins from a JSON file",
+      response.invoice &&
+        JSON.stringify(pins.toJSON()) ===
+          JSON.stringify({ "merchant@bringin.test": [service.payee] })
+        ? "PASS"
+        : "FAIL"
+    );
+  } catch (error) {
+    logTest("Loads pins from a JSON file", "FAIL", error.message);
+  } finally {
+    fs.unlinkSync(file);
+  }
+
+  try {
+    lnurlPay.loadPayeePins(file);
+    logTest("Rejects missing pin files", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Rejects missing pin files",
+      error instanceof lnurlPay.ValidationError && error.field === "payeePins"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+}
+
+/**
+ * Test 30: Clients
+ */
+async function testClients() {
+  logSection("Clients");
+
+  const service = lnurlPay.createMockLnurlService({
+    minSendable: 22000000,
+    posMinSendable: 20000,
+  });
+  const lnUrlOrAddress = service.address;
+
+  try {
+    const client = lnurlPay.createClient({
+      defaults: { posMode: true },
+      transport: service.fetchGet,
+    });
+    const pos = await client.requestInvoice({ lnUrlOrAddress, tokens: 100 });
+    const kept = await client.requestInvoice({
+      lnUrlOrAddress,
+      tokens: 100,
+      posMode: undefined,
+    });
+    const standard = await client.requestInvoice({
+      lnUrlOrAddress,
+      tokens: 30000,
+      posMode: false,
+    });
+    logTest(
+      "Applies defaults with per-call overrides",
+      pos.mode === "pos" && kept.mode === "pos" && standard.mode === "standard"
+        ? "PASS"
+        : "FAIL",
+      `${pos.mode}, ${kept.mode}, ${standard.mode}`
+    );
+  } catch (error) {
+    logTest("Applies defaults with per-call overrides", "FAIL", error.message);
+  }
+
+  try {
+    const client = lnurlPay.createClient({
+      transport: { fetchGet: service.fetchGet, retries: 0 },
+    });
+    const params = await client.requestPayServiceParams({ lnUrlOrAddress });
+    logTest(
+      "Builds a transport from options",
+      params.minSendable === 22000000 ? "PASS" : "FAIL"
+    );
+  } catch (error) {
+    logTest("Builds a transport from options", "FAIL", error.message);
+  }
+
+  try {
+    const client = lnurlPay.createClient({
+      transport: async () => {
+        throw new Error("client transport used");
+      },
+    });
+    const params = await client.requestPayServiceParams({
+      lnUrlOrAddress,
+      fetchGet: service.fetchGet,
+    });
+    logTest("Calls can override the transport", params ? "PASS" : "FAIL");
+  } catch (error) {
+    logTest("Calls can override the transport", "FAIL", error.message);
+  }
+
+  try {
+    service.reset();
+    const client = lnurlPay.createClient({
+      transport: service.fetchGet,
+      cache: lnurlPay.createParamsCache(),
+    });
+    await client.requestPayServiceParams({ lnUrlOrAddress });
+    const params = await client.requestPayServiceParams({ lnUrlOrAddress });
+    logTest(
+      "Shares the params cache",
+      params.fromCache === true && service.requests.length === 1
+        ? "PASS"
+        : "FAIL",
+      `${service.requests.length} request(s)`
+    );
+  } catch (error) {
+    logTest("Shares the params cache", "FAIL", error.message);
+  }
+
+  const denied = lnurlPay.createClient({
+    transport: service.fetchGet,
+    policy: lnurlPay.createResolutionPolicy({ denyDomains: ["bringin.test"] }),
+  });
+  try {
+    await denied.requestInvoice({ lnUrlOrAddress, tokens: 30000 });
+    logTest("Applies the client policy", "FAIL", "Should throw");
+  } catch (error) {
+    logTest(
+      "Applies the client policy",
+      error instanceof lnurlPay.PolicyError && error.rule === "domain-denied"
+        ? "PASS"
+        : "FAIL",
+      error.message
+    );
+  }
+  try {
+    await denied.requestInvoice({
+      lnUrlOrAddress,
+      tokens: 30000,
+      policy: null,
+    });
+    logTest("Calls can drop the policy", "PASS");
+  } catch (error) {
+    logTest("Calls can drop the policy", "FAIL", error.message);
+  }
+
+  // A posMode: "auto" default only changes requestInvoice
+  try {
+    const zapService = lnurlPay.createMockLnurlService({ allowsNostr: true });
+    const withdrawService = async ({ url }) =>
+      url.includes("/callback")
+        ? { status: "OK" }
+        : {
+            tag: "withdrawRequest",
+            callback: "https://bringin.test/withdraw/callback",
+            k1: "a".repeat(64),
+            defaultDescription: "Bringin voucher",
+            minWithdrawable: 1000,
+            maxWithdrawable: 200000,
+          };
+    const client = lnurlPay.createClient({
+      defaults: { posMode: "auto" },
+      transport: service.fetchGet,
+    });
+    const response = await client.requestInvoice({
+      lnUrlOrAddress,
+      tokens: 100,
+    });
+    const payParams = await client.requestPayServiceParams({ lnUrlOrAddress });
+    const withdrawParams = await client.requestWithdrawParams({
+      lnUrlOrAddress: "https://bringin.test/withdraw/voucher",
+      fetchGet: withdrawService,
+    });
+    const preimage = service.invoices[service.invoices.length - 1].preimage;
+    const results = {
+      requestInvoice: response.mode === "pos",
+      requestPayServiceParams: payParams.posMode === false,
+      requestInvoiceWithServiceParams: (
+        await client.requestInvoiceWithServiceParams({
+          params: payParams,
+          tokens: 30000,
+        })
+      ).invoice.startsWith("lnbc"),
+      requestZapInvoice: (
+        await client.requestZapInvoice({
+          lnUrlOrAddress: zapService.address,
+          tokens: 100,
+          signer: lnurlPay.createNostrSigner("01".repeat(32)),
+          recipientPubkey: zapService.nostrPubkey,
+          relays: ["wss://relay.bringin.test"],
+          fetchGet: zapService.fetchGet,
+        })
+      ).invoice.startsWith("lnbc"),
+      requestWithdrawParams: withdrawParams.k1 === "a".repeat(64),
+      submitWithdrawInvoice: Boolean(
+        await client.submitWithdrawInvoice({
+          params: withdrawParams,
+          invoice: VALID_INVOICE,
+          fetchGet: withdrawService,
+        })
+      ),
+    };
+    const verifiable = {
+      ...response,
+      verify: "https://bringin.test/verify/1",
+    };
+    const settled = async () => ({
+      status: "OK",
+      settled: true,
+      preimage,
+      pr: response.invoice,
+    });
+    results.verifyPayment = (
+      await client.verifyPayment(verifiable, { fetchGet: settled })
+    ).settled;
+    results.waitForPayment = (
+      await client.waitForPayment(verifiable, { fetchGet: settled })
+    ).settled;
+    results.lnurlAuth = Boolean(
+      await client.lnurlAuth(
+        `https://bringin.test/auth?tag=login&k1=${"b".repeat(64)}`,
+        {
+          seed: "000102030405060708090a0b0c0d0e0f",
+          fetchGet: async () => ({ status: "OK" }),
+        }
+      )
+    );
+    results.resolveLnurl = Boolean(client.resolveLnurl(lnUrlOrAddress));
+    const failed = Object.keys(results).filter((name) => !results[name]);
+    logTest(
+      "Auto POS mode default works for every method",
+      failed.length === 0 ? "PASS" : "FAIL",
+      failed.join(", ")
+    );
+  } catch (error) {
+    logTest(
+      "Auto POS mode default works for every method",
+      "FAIL",
+      error.message
+    );
+  }
+
+  // Every method that makes requests goes through the client policy
+  try {
+    const withdrawService = async () => ({
+      tag: "withdrawRequest",
+      callback: "https://bringin.test/withdraw/callback",
+      k1: "a".repeat(64),
+      defaultDescription: "Bringin voucher",
+      minWithdrawable: 1000,
+      maxWithdrawable: 200000,
+    });
+    const payParams = await lnurlPay.requestPayServiceParams({
+      lnUrlOrAddress,
+      fetchGet: service.fetchGet,
+    });
+    const invoiceResponse = {
+      ...(await lnurlPay.requestInvoice({
+        lnUrlOrAddress,
+        tokens: 30000,
+        fetchGet: service.fetchGet,
+      })),
+      verify: "https://bringin.test/lnurlp/merchant/verify/1",
+    };
+    const withdrawParams = await lnurlPay.requestWithdrawParams({
+      lnUrlOrAddress: "https://bringin.test/withdraw/voucher",
+      fetchGet: withdrawService,
+    });
+
+    let requests = 0;
+    const guarded = lnurlPay.createClient({
+      transport: async () => {
+        requests++;
+        throw new Error("Should not fetch");
+      },
+      policy: lnurlPay.createResolutionPolicy({
+        denyDomains: ["bringin.test"],
+      }),
+    });
+    const calls = {
+      requestInvoice: () =>
+        guarded.requestInvoice({ lnUrlOrAddress, tokens: 30000 }),
+      requestPayServiceParams: () =>
+        guarded.requestPayServiceParams({ lnUrlOrAddress }),
+      requestInvoiceWithServiceParams: () =>
+        guarded.requestInvoiceWithServiceParams({
+          params: payParams,
+          tokens: 30000,
+        }),
+      requestZapInvoice: () =>
+        guarded.requestZapInvoice({
+          lnUrlOrAddress,
+          tokens: 30000,
+          signer: lnurlPay.createNostrSigner("01".repeat(32)),
+          recipientPubkey:
+            "9630f464cca6a5147aa8a35f0bcdd3ce485324e732fd39e09233b1d848238f31",
+          relays: ["wss://relay.bringin.test"],
+        }),
+      requestWithdrawParams: () =>
+        guarded.requestWithdrawParams({
+          lnUrlOrAddress: "https://bringin.test/withdraw/voucher",
+        }),
+      submitWithdrawInvoice: () =>
+        guarded.submitWithdrawInvoice({
+          params: withdrawParams,
+          invoice: VALID_INVOICE,
+        }),
+      verifyPayment: () => guarded.verifyPayment(invoiceResponse),
+      waitForPayment: () =>
+        guarded.waitForPayment(invoiceResponse, { timeout: 1000 }),
+      lnurlAuth: () =>
+        guarded.lnurlAuth(
+          `https://bringin.test/auth?tag=login&k1=${"b".repeat(64)}`,
+          { seed: "000102030405060708090a0b0c0d0e0f" }
+        ),
+    };
+    for (const [name, call] of Object.entries(calls)) {
+      try {
+        await call();
+        logTest(`Client policy covers ${name}`, "FAIL", "Should throw");
+      } catch (error) {
+        logTest(
+          `Client policy covers ${name}`,
+          error instanceof lnurlPay.PolicyError &&
+            error.rule === "domain-denied" &&
+            requests === 0
+            ? "PASS"
+            : "FAIL",
+          `${error.message}, ${requests} requests`
+        );
+      }
+    }
+  } catch (error) {
+    logTest("Client policy covers every method", "FAIL", error.message);
+  }
+
+  try {
+    service.reset();
+    const client = lnurlPay.createClient({ transport: service.fetchGet });
+    const response = await client.requestInvoice({
+      lnUrlOrAddress,
+      tokens: 30000,
+    });
+    const [{ preimage }] = service.invoices;
+    const status = await client.verifyPayment(
+      { ...response, verify: "https://bringin.test/verify/1" },
+      {
+        fetchGet: async () => ({
+          status: "OK",
+          settled: true,
+          preimage,
+          pr: response.invoice,
+        }),
+      }
+    );
+    logTest(
+      "Has the verify methods",
+      status.settled && status.preimage === preimage ? "PASS" : "FAIL"
+    );
+  } catch (error) {
+    logTest("Has the verify methods", "FAIL", error.message);
+  }
+
+  try {
+    const entries = [];
+    const logger = {
+      debug: (message) => entries.push(["debug", message]),
+      warn: (message, details) => entries.push(["warn", message, details]),
+    };
+    const client = lnurlPay.createClient({
+      transport: service.fetchGet,
+      logger,
+    });
+    await client.requestInvoice({
+      lnUrlOrAddress,
+      tokens: 30000,
+      comment: "secret",
+    });
+    // Fails after its params request, on the amount check
+    try {
+      await client.requestInvoice({ lnUrlOrAddress, tokens: 1 });
+    } catch (error) {
+      // Logged below
+    }
+    const requests = entries.filter(([, message]) => /^GET /.test(message));
+    const failure = entries.find(([level]) => level === "warn");
+    logTest(
+      "Logs requests and failures",
+      requests.length === 3 &&
+        requests[0][1] ===
+          "GET https://bringin.test/.well-known/lnurlp/merchant" &&
+        !entries.some(([, message]) => message.includes("secret")) &&
+        failure &&
+        failure[2].code === "AMOUNT_OUT_OF_RANGE" &&
+        failure[2].step === "input"
+        ? "PASS"
+        : "FAIL",
+      `${entries.length} entries`
+    );
+  } catch (error) {
+    logTest("Logs requests and failures", "FAIL", error.message);
+  }
+
+  try {
+    const client = lnurlPay.createClient({ defaults: { onionAllowed: true } });
+    const resolved = client.resolveLnurl("merchant@shop.onion");
+    logTest(
+      "Helpers take client defaults",
+      resolved.url === "http://shop.onion/.well-known/lnurlp/merchant" &&
+        client.toMsats({ value: "1", unit: "sat" }) === 1000n
+        ? "PASS"
+        : "FAIL",
+      resolved.url
+    );
+  } catch (error) {
+    logTest("Helpers take client defaults", "FAIL", error.message);
+  }
+}
+
+/**
+ * Run all unit tests
+ */
+async function runAllUnitTests() {
+  console.log("[UNIT TESTS] @bringinxyz/lnurl-pay");
+  console.log("=".repeat(60));
+
+  const startTime = Date.now();
+
+  try {
+    await testInputValidation();
+    testLightningAddressValidation();
+    await testCommentValidation();
+    testHelperFunctions();
+    testErrorMessageFormat();
+    testApiCompatibility();
+    await testLnurlResolution();
+    await testInvoiceVerification();
+    await testDescriptionHash();
+    await testPreimageValidation();
+    await testSuccessActions();
+    await testTimeouts();
+    await testErrorTypes();
+    await testPosMode();
+    await testTransport();
+    await testParamsCache();
+    await testPayerData();
+    await testPaymentVerification();
+    await testWithdraw();
+    await testLnurlAuth();
+    await testZaps();
+    await testCli();
+    await testPayHandler();
+    await testMockService();
+    await testMetadataParsing();
+    await testMsatAmounts();
+    await testFiatAmounts();
+    await testResolutionPolicy();
+    await testPayeePins();
+    await testClients();
+
+    const duration = Date.now() - startTime;
+    if (failures) {
+      console.error(
+        `\n[ERROR] ${failures} unit test(s) failed in ${duration}ms`
+      );
+      process.exitCode = 1;
+    } else {
+      console.log(`\n[SUCCESS] All unit tests completed in ${duration}ms`);
+    }
   } catch (error) {
     console.error("\n[ERROR] Unit test suite failed:", error.message);
     process.exit(1);
@@ -410,7 +4904,10 @@ function runAllUnitTests() {
 
 // Run tests if this file is executed directly
 if (require.main === module) {
-  runAllUnitTests();
+  runAllUnitTests().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
 }
 
 module.exports = {
@@ -420,5 +4917,29 @@ module.exports = {
   testHelperFunctions,
   testErrorMessageFormat,
   testApiCompatibility,
+  testLnurlResolution,
+  testInvoiceVerification,
+  testDescriptionHash,
+  testPreimageValidation,
+  testSuccessActions,
+  testTimeouts,
+  testErrorTypes,
+  testPosMode,
+  testTransport,
+  testParamsCache,
+  testPayerData,
+  testPaymentVerification,
+  testWithdraw,
+  testLnurlAuth,
+  testZaps,
+  testCli,
+  testPayHandler,
+  testMockService,
+  testMetadataParsing,
+  testMsatAmounts,
+  testFiatAmounts,
+  testResolutionPolicy,
+  testPayeePins,
+  testClients,
   runAllUnitTests,
 };